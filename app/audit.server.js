@@ -0,0 +1,49 @@
+import prisma from "./db.server";
+
+/**
+ * Record a staff action in the AuditLog table. Failures are logged, not thrown,
+ * unless `required` is set: then the action must not go ahead without a trail.
+ *
+ * @param {object} params
+ * @param {string} params.action - e.g. "pii_reveal"
+ * @param {string} params.target - e.g. "execution:12345"
+ * @param {{ id: string|null, name: string }} params.staff - From getStaffMember()
+ * @param {object} [params.details]
+ * @param {boolean} [params.required=false]
+ */
+export async function recordAudit({ action, target, staff, details = null, required = false }) {
+  try {
+    await prisma.auditLog.create({
+      data: {
+        action,
+        target,
+        staffId: staff.id,
+        staffName: staff.name,
+        details: details ? JSON.stringify(details) : null,
+      },
+    });
+  } catch (e) {
+    console.error(`[audit] Failed to record ${action} on ${target}:`, e.message);
+    if (required) throw e;
+  }
+}
+
+/**
+ * Most recent audit entries, newest first.
+ */
+export async function listAuditLog({ take = 50, action } = {}) {
+  const rows = await prisma.auditLog.findMany({
+    where: action ? { action } : {},
+    orderBy: { createdAt: "desc" },
+    take,
+  });
+  return rows.map((row) => ({
+    id: row.id,
+    action: row.action,
+    target: row.target,
+    staffId: row.staffId,
+    staffName: row.staffName,
+    details: row.details ? JSON.parse(row.details) : null,
+    createdAt: row.createdAt.toISOString(),
+  }));
+}
@@ -56,3 +56,30 @@ export async function appendChangeLog(admin, orderGid, entry) {
     console.log("[changelog] Successfully written, total entries:", existing.length);
   }
 }
+
+/**
+ * Look up the Shopify order GID for an order number such as "1234" or "#1234".
+ * Returns null when no order with exactly that name exists.
+ *
+ * @param {object} admin - Shopify Admin GraphQL client (from authenticate.admin)
+ * @param {string} orderNumber - Order number as stored on ExecutionOrder
+ */
+export async function findOrderGidByNumber(admin, orderNumber) {
+  const number = String(orderNumber ?? "").replace(/^#/, "").trim();
+  if (!number) return null;
+
+  const result = await admin.graphql(
+    `#graphql
+    query orderByName($query: String!) {
+      orders(first: 5, query: $query) {
+        nodes { id name }
+      }
+    }`,
+    { variables: { query: `name:${number}` } },
+  ).then((r) => r.json());
+
+  const match = (result.data?.orders?.nodes ?? []).find(
+    (order) => order.name.replace(/^#/, "") === number,
+  );
+  return match?.id ?? null;
+}
@@ -0,0 +1,133 @@
+import { useEffect, useState } from "react";
+import { useFetcher } from "@remix-run/react";
+import {
+  BlockStack,
+  InlineStack,
+  Text,
+  Button,
+  ButtonGroup,
+  Tag,
+  TextField,
+  Banner,
+  Spinner,
+} from "@shopify/polaris";
+
+/**
+ * Vote and tags of one n8n execution, loaded from and saved through
+ * /app/execution-annotation. Used on the Executions page and the order workflow panel.
+ */
+export function ExecutionAnnotation({ executionId, onSaved }) {
+  const loadFetcher = useFetcher();
+  const saveFetcher = useFetcher();
+  const [vote, setVote] = useState(null);
+  const [tags, setTags] = useState([]);
+  const [tagInput, setTagInput] = useState("");
+
+  useEffect(() => {
+    if (executionId) loadFetcher.load(`/app/execution-annotation?id=${encodeURIComponent(executionId)}`);
+  }, [executionId]);
+
+  const loaded = loadFetcher.data?.executionId === String(executionId) ? loadFetcher.data : null;
+
+  useEffect(() => {
+    if (!loaded) return;
+    setVote(loaded.annotation.vote);
+    setTags(loaded.annotation.tags);
+  }, [loaded]);
+
+  const saving = saveFetcher.state !== "idle";
+  const saveResult = saveFetcher.state === "idle" && saveFetcher.data?.executionId === String(executionId)
+    ? saveFetcher.data
+    : null;
+  const saveError = saveFetcher.state === "idle" && saveFetcher.data && !saveFetcher.data.ok ? saveFetcher.data : null;
+
+  useEffect(() => {
+    if (saveResult?.ok && onSaved) onSaved(saveResult.annotation);
+  }, [saveResult]);
+
+  if (!loaded) {
+    return <Spinner size="small" />;
+  }
+
+  const suggestions = loaded.knownTags.filter(
+    (tag) => !tags.some((t) => t.toLowerCase() === tag.toLowerCase()),
+  );
+
+  function addTag(tag) {
+    const trimmed = tag.trim();
+    if (!trimmed || tags.some((t) => t.toLowerCase() === trimmed.toLowerCase())) return;
+    setTags([...tags, trimmed]);
+    setTagInput("");
+  }
+
+  function handleSave() {
+    saveFetcher.submit(
+      { executionId: String(executionId), vote: vote ?? "", tags: JSON.stringify(tags) },
+      { method: "POST", action: "/app/execution-annotation" },
+    );
+  }
+
+  return (
+    <BlockStack gap="300">
+      <InlineStack gap="200" blockAlign="center">
+        <Text variant="bodySm" tone="subdued">Verdict</Text>
+        <ButtonGroup variant="segmented">
+          <Button size="slim" pressed={vote === "up"} onClick={() => setVote(vote === "up" ? null : "up")}>
+            Good
+          </Button>
+          <Button size="slim" pressed={vote === "down"} onClick={() => setVote(vote === "down" ? null : "down")}>
+            Bad
+          </Button>
+        </ButtonGroup>
+      </InlineStack>
+
+      {tags.length > 0 && (
+        <InlineStack gap="100">
+          {tags.map((tag) => (
+            <Tag key={tag} onRemove={() => setTags(tags.filter((t) => t !== tag))}>{tag}</Tag>
+          ))}
+        </InlineStack>
+      )}
+
+      <div onKeyDown={(e) => {
+        if (e.key === "Enter") {
+          e.preventDefault();
+          addTag(tagInput);
+        }
+      }}>
+        <TextField
+          label="Add tag"
+          labelHidden
+          placeholder="Add tag"
+          value={tagInput}
+          onChange={setTagInput}
+          autoComplete="off"
+          connectedRight={<Button onClick={() => addTag(tagInput)} disabled={!tagInput.trim()}>Add</Button>}
+        />
+      </div>
+
+      {suggestions.length > 0 && (
+        <InlineStack gap="200">
+          {suggestions.map((tag) => (
+            <Button key={tag} size="slim" variant="plain" onClick={() => addTag(tag)}>
+              + {tag}
+            </Button>
+          ))}
+        </InlineStack>
+      )}
+
+      <InlineStack>
+        <Button size="slim" onClick={handleSave} loading={saving}>Save annotation</Button>
+      </InlineStack>
+
+      {saveResult?.ok && (
+        <Text variant="bodySm" tone="success">Saved.</Text>
+      )}
+      {saveError && (
+        <Banner tone="critical">
+          <p>{saveError.n8nError?.title ?? "Saving failed"}: {saveError.error}</p>
+        </Banner>
+      )}
+    </BlockStack>
+  );
+}
@@ -0,0 +1,84 @@
+import { useEffect, useState } from "react";
+import { useFetcher, useNavigate } from "@remix-run/react";
+import { ActionList, Box, Icon, Popover, Spinner, Text, TextField } from "@shopify/polaris";
+import { SearchIcon } from "@shopify/polaris-icons";
+
+const DEBOUNCE_MS = 300;
+const MIN_LENGTH = 2;
+
+/**
+ * Header search over Shopify, the Supabase destinations and Softr (/app/search).
+ * Hits are grouped by source; choosing one opens it on its own page.
+ */
+export function GlobalSearch() {
+  const fetcher = useFetcher();
+  const navigate = useNavigate();
+  const [query, setQuery] = useState("");
+  const [open, setOpen] = useState(false);
+
+  useEffect(() => {
+    const q = query.trim();
+    if (q.length < MIN_LENGTH) return;
+    const timer = setTimeout(() => {
+      fetcher.load(`/app/search?${new URLSearchParams({ q })}`);
+      setOpen(true);
+    }, DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  const handleSelect = (url) => {
+    setOpen(false);
+    setQuery("");
+    navigate(url);
+  };
+
+  const loading = fetcher.state !== "idle";
+  const groups = fetcher.data?.groups ?? [];
+  const sections = groups.map((group) => ({
+    title: group.error
+      ? `${group.label} \u2014 fout: ${group.error}`
+      : group.notice ? `${group.label} \u2014 ${group.notice}` : group.label,
+    items: group.hits.map((hit) => ({
+      content: hit.title,
+      helpText: hit.subtitle || undefined,
+      onAction: () => handleSelect(hit.url),
+    })),
+  }));
+
+  return (
+    <Popover
+      active={open && query.trim().length >= MIN_LENGTH}
+      onClose={() => setOpen(false)}
+      preferredAlignment="right"
+      fullWidth
+      autofocusTarget="none"
+      activator={
+        <TextField
+          label="Zoeken"
+          labelHidden
+          value={query}
+          onChange={setQuery}
+          onFocus={() => fetcher.data && setOpen(true)}
+          prefix={<Icon source={SearchIcon} />}
+          suffix={loading ? <Spinner size="small" /> : null}
+          placeholder="Ordernummer, naam, e-mail of postcode"
+          clearButton
+          onClearButtonClick={() => setQuery("")}
+          autoComplete="off"
+        />
+      }
+    >
+      {fetcher.data?.error ? (
+        <Box padding="300">
+          <Text tone="critical">Zoeken mislukt: {fetcher.data.error}</Text>
+        </Box>
+      ) : sections.length > 0 ? (
+        <ActionList actionRole="menuitem" sections={sections} />
+      ) : (
+        <Box padding="300">
+          <Text tone="subdued">{loading ? "Zoeken\u2026" : "Geen resultaten"}</Text>
+        </Box>
+      )}
+    </Popover>
+  );
+}
@@ -0,0 +1,16 @@
+import { Banner, BlockStack, Text } from "@shopify/polaris";
+
+/**
+ * Banner for an n8n API error, with the kind-specific copy from describeN8nError
+ * (n8n.server.js). `prefix` names the action that failed, e.g. "Retry failed".
+ */
+export function N8nErrorBanner({ error, prefix }) {
+  return (
+    <Banner tone={error.tone} title={prefix ? `${prefix}: ${error.title}` : error.title}>
+      <BlockStack gap="100">
+        {error.hint && <p>{error.hint}</p>}
+        <Text as="p" variant="bodySm" tone="subdued">{error.message}</Text>
+      </BlockStack>
+    </Banner>
+  );
+}
@@ -0,0 +1,87 @@
+import { useEffect } from "react";
+import { useFetcher } from "@remix-run/react";
+import { Banner, BlockStack, InlineStack, Text, Button } from "@shopify/polaris";
+import { useAppBridge } from "@shopify/app-bridge-react";
+
+const MAX_SHOWN = 10;
+
+function formatAge(ms) {
+  if (ms == null) return "\u2014";
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 1) return `${Math.round(ms / 1000)}s`;
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours}h ${minutes % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+/**
+ * Overdue executions found by the watchdog (execution-watchdog.server.js), each
+ * with a one-click stop-and-retry through the Executions page action.
+ * `showOrder` adds the order number, for lists that span several orders.
+ */
+export function OverdueExecutionsBanner({ executions, workflowNames = {}, showOrder = false }) {
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+  const pendingId = fetcher.state !== "idle" ? fetcher.formData?.get("executionId") : null;
+
+  useEffect(() => {
+    if (fetcher.state !== "idle" || !fetcher.data) return;
+    const { ok, executionId, newExecutionId, error } = fetcher.data;
+    if (ok) {
+      shopify.toast.show(
+        newExecutionId ? `Stopped #${executionId}, retried as #${newExecutionId}` : `Stopped and retried #${executionId}`,
+      );
+    } else {
+      shopify.toast.show(`Stop and retry failed: ${error || "Unknown error"}`, { isError: true });
+    }
+  }, [fetcher.state, fetcher.data]);
+
+  if (!executions?.length) return null;
+
+  function handleStopAndRetry(execution) {
+    fetcher.submit(
+      { _action: "stopAndRetry", executionId: execution.executionId, orderGid: execution.orderGid ?? "" },
+      { method: "POST", action: "/app/executions" },
+    );
+  }
+
+  const shown = executions.slice(0, MAX_SHOWN);
+
+  return (
+    <Banner
+      tone="warning"
+      title={`${executions.length} overdue ${executions.length === 1 ? "execution" : "executions"}`}
+    >
+      <BlockStack gap="200">
+        <Text as="p" variant="bodySm">
+          Running or waiting far longer than this workflow usually takes.
+        </Text>
+        {shown.map((execution) => (
+          <InlineStack key={execution.executionId} align="space-between" blockAlign="center" gap="200">
+            <Text as="span" variant="bodySm">
+              #{execution.executionId} &middot;{" "}
+              {workflowNames[execution.workflowId] || `Workflow ${execution.workflowId}`}
+              {showOrder && execution.orderNumber && <> &middot; order #{execution.orderNumber}</>}
+              {" "}&middot; {execution.status} for {formatAge(execution.ageMs)}
+              {execution.p95 != null ? ` (p95 ${formatAge(execution.p95)})` : ""}
+            </Text>
+            <Button
+              size="slim"
+              onClick={() => handleStopAndRetry(execution)}
+              loading={pendingId === execution.executionId}
+              disabled={!!pendingId && pendingId !== execution.executionId}
+            >
+              Stop and retry
+            </Button>
+          </InlineStack>
+        ))}
+        {executions.length > shown.length && (
+          <Text as="span" variant="bodySm" tone="subdued">
+            +{executions.length - shown.length} more
+          </Text>
+        )}
+      </BlockStack>
+    </Banner>
+  );
+}
@@ -0,0 +1,19 @@
+import { Badge, Button, InlineStack } from "@shopify/polaris";
+
+/**
+ * Redaction state of an execution's node data (see getRedactedExecutionDetail in
+ * redaction.server.js), with "Show unredacted" for staff who may and a JSON download.
+ */
+export function RedactionControls({ redacted, canReveal, onReveal, onDownload, downloading }) {
+  return (
+    <InlineStack gap="200" blockAlign="center">
+      {redacted ? <Badge>Redacted</Badge> : <Badge tone="warning">Unredacted</Badge>}
+      {redacted && canReveal && (
+        <Button size="slim" variant="plain" onClick={onReveal}>Show unredacted</Button>
+      )}
+      <Button size="slim" variant="plain" onClick={onDownload} loading={downloading}>
+        Download JSON
+      </Button>
+    </InlineStack>
+  );
+}
@@ -0,0 +1,57 @@
+import { useEffect } from "react";
+import { Box, BlockStack, Button, InlineStack, Text } from "@shopify/polaris";
+import { XIcon } from "@shopify/polaris-icons";
+
+const WIDTH = "min(560px, 100vw)";
+
+/**
+ * Panel that slides over the right side of the page, for details that sit next
+ * to the list they belong to. Closes on the backdrop, the close button or Escape.
+ */
+export function SideSheet({ open, onClose, title, children }) {
+  useEffect(() => {
+    if (!open) return;
+    const onKeyDown = (event) => {
+      if (event.key === "Escape") onClose();
+    };
+    document.addEventListener("keydown", onKeyDown);
+    return () => document.removeEventListener("keydown", onKeyDown);
+  }, [open, onClose]);
+
+  if (!open) return null;
+
+  return (
+    <>
+      <div
+        onClick={onClose}
+        style={{ position: "fixed", inset: 0, zIndex: 510, background: "rgba(0, 0, 0, 0.3)" }}
+      />
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-label={title}
+        style={{
+          position: "fixed",
+          top: 0,
+          right: 0,
+          bottom: 0,
+          width: WIDTH,
+          zIndex: 511,
+          overflowY: "auto",
+          background: "var(--p-color-bg-surface)",
+          boxShadow: "var(--p-shadow-600)",
+        }}
+      >
+        <Box padding="400">
+          <BlockStack gap="400">
+            <InlineStack align="space-between" blockAlign="center" wrap={false}>
+              <Text variant="headingMd" as="h2">{title}</Text>
+              <Button variant="tertiary" icon={XIcon} accessibilityLabel="Sluiten" onClick={onClose} />
+            </InlineStack>
+            {children}
+          </BlockStack>
+        </Box>
+      </div>
+    </>
+  );
+}
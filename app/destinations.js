@@ -0,0 +1,323 @@
+/**
+ * Registry of fulfilment destinations: the Supabase table each supplier's orders
+ * land in, and how to find an order there. List pages, the presence check on the
+ * Vooraf betalen page and the exports all go through the query helpers below, so
+ * a new supplier only needs an entry here.
+ *
+ *   table               Supabase table
+ *   keyField / keyType  column holding the Shopify order number, and whether it
+ *                       is stored as "number" or "string"
+ *   statusField         status column, or null when the table has none
+ *   createdField        creation timestamp, used for date ranges and as the
+ *                       default keyset of list pages (queryDestinationPage)
+ *   sortField           default sort column of queryDestination
+ *   searchFields        columns matched with ilike by a free-text search
+ *   numberFields        columns matched exactly when the search is a number
+ *   channel             Supabase realtime channel name of the list page
+ *   nameField           customer name column, or null
+ *   page / linkParams   list page of the destination, and the query string that
+ *                       opens it on one row (see destinationLink)
+ *
+ * The helpers take the Supabase client as first argument: the server passes the
+ * one from supabase.server.js, the browser its own anon client.
+ */
+export const DESTINATIONS = [
+  {
+    code: "WA",
+    label: "Webattelier",
+    table: "Webattelier - orders",
+    keyField: "id",
+    keyType: "number",
+    statusField: "status",
+    createdField: "created_at",
+    sortField: "id",
+    searchFields: ["customer name"],
+    numberFields: ["id"],
+    channel: "realtime-orders-and-lines",
+    nameField: "customer name",
+    page: "/app/orders",
+    linkParams: (row) => ({ q: row.id, status: ordersTabFilter(row.status) }),
+  },
+  {
+    code: "NE",
+    label: "NE Distri",
+    table: "nedistri",
+    keyField: "orderNumber",
+    keyType: "number",
+    statusField: "status",
+    createdField: "created_at",
+    sortField: "id",
+    searchFields: ["customerName"],
+    numberFields: ["orderNumber", "orderId"],
+    channel: "realtime-nedistri",
+    nameField: "customerName",
+    page: "/app/nedistri",
+    linkParams: (row) => ({ q: row.orderNumber, tab: row.status === "Print labels" || row.status === "Done" ? "ready" : "pending" }),
+  },
+  {
+    code: "KL",
+    label: "Kleurstalen",
+    table: "Kleurstalen",
+    keyField: "orderNumber",
+    keyType: "number",
+    statusField: "status",
+    createdField: "createdAt",
+    sortField: "createdAt",
+    searchFields: ["customerName"],
+    numberFields: ["orderNumber"],
+    channel: "realtime-kleurstalen",
+    nameField: "customerName",
+    page: "/app/kleurstalen",
+    linkParams: (row) => ({ q: row.orderNumber, tab: String(row.status).toLowerCase() === "done" ? "done" : "ready" }),
+  },
+  {
+    code: "GH",
+    label: "Grand Home",
+    table: "grandhome",
+    keyField: "ordernumber",
+    keyType: "string",
+    statusField: null,
+    createdField: "created_at",
+    sortField: "created_at",
+    searchFields: ["ordernumber"],
+    numberFields: [],
+    channel: "realtime-grandhome",
+    nameField: null,
+    page: "/app/grandhome",
+    linkParams: (row) => ({ q: row.ordernumber }),
+  },
+  {
+    code: "HKL",
+    label: "HKL",
+    table: "hkl",
+    keyField: "ordernumber",
+    keyType: "string",
+    statusField: null,
+    createdField: "created_at",
+    sortField: "created_at",
+    searchFields: ["ordernumber"],
+    numberFields: [],
+    channel: "realtime-hkl",
+    nameField: null,
+    page: "/app/hkl",
+    linkParams: (row) => ({ q: row.ordernumber }),
+  },
+];
+
+// Status tab of /app/orders that lists an order with this status
+function ordersTabFilter(status) {
+  const s = String(status ?? "").toLowerCase();
+  return s === "open" || s === "creating pdf" ? "open,Creating pdf" : s;
+}
+
+/**
+ * The registry entry of a destination code. Throws for an unknown code.
+ */
+export function getDestination(code) {
+  const destination = DESTINATIONS.find((d) => d.code === code);
+  if (!destination) throw new Error(`Unknown destination "${code}"`);
+  return destination;
+}
+
+/**
+ * Deep link to the list page of a destination, opened on `row`.
+ */
+export function destinationLink(code, row) {
+  const destination = getDestination(code);
+  return `${destination.page}?${new URLSearchParams(destination.linkParams(row))}`;
+}
+
+function toKeyValues(destination, orderNumbers) {
+  return destination.keyType === "string" ? orderNumbers.map(String) : orderNumbers.map(Number);
+}
+
+// Double-quoted PostgREST filter value, for values that may hold reserved
+// characters (commas, parentheses, dots)
+function quoteFilterValue(value) {
+  return `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+}
+
+function applyFilters(query, destination, { search = "", status = "" }) {
+  const term = search.trim();
+  if (term) {
+    // Quoted, so commas and parentheses in the search box do not break the or-filter
+    const pattern = quoteFilterValue(`%${term}%`);
+    const filters = destination.searchFields.map((field) => `${field}.ilike.${pattern}`);
+    if (/^\d+$/.test(term)) filters.push(...destination.numberFields.map((field) => `${field}.eq.${term}`));
+    query = query.or(filters.join(","));
+  }
+
+  if (status && destination.statusField) {
+    const statuses = status.split(",").map((s) => s.trim());
+    if (statuses.length === 1) {
+      query = query.ilike(destination.statusField, statuses[0]);
+    } else {
+      query = query.or(statuses.map((s) => `${destination.statusField}.ilike.${quoteFilterValue(s)}`).join(","));
+    }
+  }
+  return query;
+}
+
+/**
+ * A page of a destination's orders by offset: `{ data, count }`.
+ *
+ * `search` matches the search columns (ilike) and, when it is a number, the
+ * number columns exactly. `status` is a comma-separated list of statuses,
+ * compared case-insensitively.
+ */
+export async function queryDestination(client, code, { from = 0, to = 49, search = "", status = "", sortBy, sortDir = "desc" } = {}) {
+  const destination = getDestination(code);
+  const query = client
+    .from(destination.table)
+    .select("*", { count: "exact" })
+    .order(sortBy || destination.sortField, { ascending: sortDir === "asc" })
+    .range(from, to);
+
+  const { data, error, count } = await applyFilters(query, destination, { search, status });
+  if (error) throw error;
+  return { data: data ?? [], count };
+}
+
+// Cursors are [sort value, id] of the first or last row of a page, as JSON
+function encodeCursor(row, column) {
+  return JSON.stringify([row[column] ?? null, row.id]);
+}
+
+function decodeCursor(cursor) {
+  try {
+    const value = JSON.parse(cursor);
+    return Array.isArray(value) && value.length === 2 && value[1] != null ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+// PostgREST or-filter for the rows past `cursor`, going `forward` in the page order
+// (sort column with nulls last, then id) or back against it
+function keysetFilter(column, ascending, [value, id], forward) {
+  const past = ascending === forward ? "gt" : "lt";
+  const idPast = `id.${past}.${quoteFilterValue(id)}`;
+  if (column === "id") return idPast;
+
+  if (value == null) {
+    return forward ? `and(${column}.is.null,${idPast})` : `${column}.not.is.null,and(${column}.is.null,${idPast})`;
+  }
+  const filter = `${column}.${past}.${quoteFilterValue(value)},and(${column}.eq.${quoteFilterValue(value)},${idPast})`;
+  return forward ? `${filter},${column}.is.null` : filter;
+}
+
+/**
+ * A page of a destination's orders by keyset: the `limit` rows after the `after`
+ * cursor or before the `before` cursor, ordered by (`sortBy`, id). Unlike offsets,
+ * a cursor stays on the same row while orders are inserted or deleted, so paging
+ * back and forth never skips or repeats an order. Without a cursor it is the first page.
+ *
+ * `sortBy` defaults to the creation date; `search` and `status` filter as in
+ * queryDestination. `count` is "estimated" (planner statistics on large tables),
+ * "exact", or null to skip counting.
+ *
+ * Returns `{ data, count, nextCursor, prevCursor }`; a cursor is null when there
+ * is no page that way.
+ */
+export async function queryDestinationPage(
+  client,
+  code,
+  { after, before, limit = 50, search = "", status = "", sortBy, sortDir = "desc", count = "estimated" } = {},
+) {
+  const destination = getDestination(code);
+  const column = sortBy || destination.createdField;
+  const ascending = sortDir === "asc";
+  const beforeCursor = before ? decodeCursor(before) : null;
+  const afterCursor = !beforeCursor && after ? decodeCursor(after) : null;
+  const forward = !beforeCursor;
+
+  let query = client
+    .from(destination.table)
+    .select("*")
+    .order(column, { ascending: forward ? ascending : !ascending, nullsFirst: !forward });
+  if (column !== "id") query = query.order("id", { ascending: forward ? ascending : !ascending });
+  const cursor = beforeCursor ?? afterCursor;
+  if (cursor) query = query.or(keysetFilter(column, ascending, cursor, forward));
+  query = applyFilters(query.limit(limit + 1), destination, { search, status });
+
+  const countQuery = count
+    ? applyFilters(client.from(destination.table).select("*", { count, head: true }), destination, { search, status })
+    : null;
+
+  const [rowsResult, countResult] = await Promise.all([query, countQuery]);
+  if (rowsResult.error) throw rowsResult.error;
+  if (countResult?.error) throw countResult.error;
+
+  const rows = rowsResult.data ?? [];
+  // The rows around the cursor are gone (deleted, or moved out of the filter): start over
+  if (cursor && rows.length === 0) {
+    return queryDestinationPage(client, code, { limit, search, status, sortBy, sortDir, count });
+  }
+
+  const hasMore = rows.length > limit;
+  const data = forward ? rows.slice(0, limit) : rows.slice(0, limit).reverse();
+  const first = encodeCursor(data[0] ?? {}, column);
+  const last = encodeCursor(data[data.length - 1] ?? {}, column);
+
+  return {
+    data,
+    count: countResult?.count ?? null,
+    // Paging back from `before` leaves at least the cursor row after it, paging on from `after` the one before
+    nextCursor: data.length > 0 && (hasMore || !forward) ? last : null,
+    prevCursor: data.length > 0 && (forward ? Boolean(afterCursor) : hasMore) ? first : null,
+  };
+}
+
+/**
+ * Which of `orderNumbers` have a record in the destination, as a Set of strings.
+ */
+export async function findDestinationKeys(client, code, orderNumbers) {
+  const destination = getDestination(code);
+  if (orderNumbers.length === 0) return new Set();
+
+  const { data, error } = await client
+    .from(destination.table)
+    .select(destination.keyField)
+    .in(destination.keyField, toKeyValues(destination, orderNumbers));
+  if (error) throw error;
+  return new Set((data ?? []).map((row) => String(row[destination.keyField])));
+}
+
+/**
+ * Rows of a destination for the given order numbers, newest first.
+ */
+export async function queryDestinationByKeys(client, code, orderNumbers, { limit = 50 } = {}) {
+  const destination = getDestination(code);
+  if (orderNumbers.length === 0) return [];
+
+  const { data, error } = await client
+    .from(destination.table)
+    .select("*")
+    .in(destination.keyField, toKeyValues(destination, orderNumbers))
+    .order(destination.sortField, { ascending: false })
+    .limit(limit);
+  if (error) throw error;
+  return data ?? [];
+}
+
+/**
+ * All orders of a destination created between two dates (inclusive, local days),
+ * oldest first. `columns` defaults to the id, order key and creation date.
+ */
+export async function queryDestinationByDateRange(client, code, { dateFrom, dateTo, columns } = {}) {
+  const destination = getDestination(code);
+  const from = new Date(dateFrom);
+  from.setHours(0, 0, 0, 0);
+  const to = new Date(dateTo);
+  to.setHours(23, 59, 59, 999);
+
+  const { data, error } = await client
+    .from(destination.table)
+    .select(columns ?? `id, ${destination.keyField}, ${destination.createdField}`)
+    .gte(destination.createdField, from.toISOString())
+    .lte(destination.createdField, to.toISOString())
+    .order(destination.createdField, { ascending: true });
+
+  if (error) throw error;
+  return data ?? [];
+}
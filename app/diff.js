@@ -0,0 +1,133 @@
+/**
+ * Small structural diff helpers shared by server and browser code.
+ */
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function joinPath(path, key) {
+  if (typeof key === "number") return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Structural diff of two JSON values.
+ * Objects are compared by key and arrays by index.
+ *
+ * Returns a flat list of `{ path, kind, before, after }` with kind
+ * "added", "removed" or "changed". Equal values return [].
+ */
+export function diffJson(before, after, path = "") {
+  if (Object.is(before, after)) return [];
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const changes = [];
+    const length = Math.max(before.length, after.length);
+    for (let i = 0; i < length; i++) {
+      const itemPath = joinPath(path, i);
+      if (i >= before.length) changes.push({ path: itemPath, kind: "added", before: undefined, after: after[i] });
+      else if (i >= after.length) changes.push({ path: itemPath, kind: "removed", before: before[i], after: undefined });
+      else changes.push(...diffJson(before[i], after[i], itemPath));
+    }
+    return changes;
+  }
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const changes = [];
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    for (const key of keys) {
+      const keyPath = joinPath(path, key);
+      if (!(key in before)) changes.push({ path: keyPath, kind: "added", before: undefined, after: after[key] });
+      else if (!(key in after)) changes.push({ path: keyPath, kind: "removed", before: before[key], after: undefined });
+      else changes.push(...diffJson(before[key], after[key], keyPath));
+    }
+    return changes;
+  }
+
+  if (before === undefined) return [{ path, kind: "added", before, after }];
+  if (after === undefined) return [{ path, kind: "removed", before, after }];
+  return [{ path, kind: "changed", before, after }];
+}
+
+// Above this many cells the LCS table gets too big; fall back to replacing the block.
+const MAX_LCS_CELLS = 4_000_000;
+
+/**
+ * Line diff of two strings (longest common subsequence).
+ *
+ * Returns `{ type, line, oldNumber, newNumber }` entries with type
+ * "equal", "added" or "removed"; line numbers are 1-based.
+ */
+export function diffLines(before, after) {
+  const a = (before ?? "").split("\n");
+  const b = (after ?? "").split("\n");
+
+  // Common prefix and suffix never need the LCS table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const result = [];
+  for (let i = 0; i < start; i++) {
+    result.push({ type: "equal", line: a[i], oldNumber: i + 1, newNumber: i + 1 });
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  for (const op of diffMiddle(midA, midB)) {
+    result.push({
+      type: op.type,
+      line: op.line,
+      oldNumber: op.i != null ? start + op.i + 1 : null,
+      newNumber: op.j != null ? start + op.j + 1 : null,
+    });
+  }
+
+  for (let k = 0; k < a.length - endA; k++) {
+    result.push({ type: "equal", line: a[endA + k], oldNumber: endA + k + 1, newNumber: endB + k + 1 });
+  }
+  return result;
+}
+
+function diffMiddle(a, b) {
+  if (a.length * b.length > MAX_LCS_CELLS) {
+    return [
+      ...a.map((line, i) => ({ type: "removed", line, i, j: null })),
+      ...b.map((line, j) => ({ type: "added", line, i: null, j })),
+    ];
+  }
+
+  // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push({ type: "equal", line: a[i], i, j });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      ops.push({ type: "removed", line: a[i], i, j: null });
+      i++;
+    } else {
+      ops.push({ type: "added", line: b[j], i: null, j });
+      j++;
+    }
+  }
+  while (i < a.length) ops.push({ type: "removed", line: a[i], i: i++, j: null });
+  while (j < b.length) ops.push({ type: "added", line: b[j], i: null, j: j++ });
+  return ops;
+}
@@ -0,0 +1,159 @@
+import crypto from "node:crypto";
+import prisma from "./db.server";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ERROR_STATUSES = ["error", "crashed"];
+const UNKNOWN_NODE = "(unknown node)";
+const NO_MESSAGE = "(no error message)";
+// Retries started by one "Retry all" click
+export const MAX_CLUSTER_RETRIES = 20;
+
+/**
+ * Error message with the parts that differ per execution replaced by
+ * placeholders, so the same failure groups together: email addresses, UUIDs,
+ * order numbers ("#1234", "order 1234"), hex IDs and any other number.
+ */
+export function normalizeErrorMessage(message) {
+  if (!message) return NO_MESSAGE;
+  return String(message)
+    .replace(/[^\s@"'<>()[\]]+@[^\s@"'<>()[\]]+\.[a-z]{2,}/gi, "<email>")
+    .replace(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi, "<uuid>")
+    .replace(/#\d+/g, "#<order>")
+    .replace(/\b(order|bestelling)(\s*(?:number|nummer|nr\.?)?\s*:?\s*)\d+/gi, "$1$2<order>")
+    .replace(/\b0x[0-9a-f]+\b|\b[0-9a-f]{16,}\b/gi, "<id>")
+    .replace(/\d+(\.\d+)?/g, "<n>")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Short stable ID of a cluster, used in URLs and forms.
+ */
+function clusterKey(workflowId, node, message) {
+  return crypto.createHash("sha1").update(`${workflowId}\n${node}\n${message}`).digest("hex").slice(0, 12);
+}
+
+/**
+ * Failed executions of the last `days` days grouped by workflow, failing node and
+ * normalised error message, most frequent first.
+ *
+ * Each cluster is `{ key, workflowId, node, message, sampleMessage, count,
+ * firstSeen, lastSeen, orderNumbers, executionIds }`. Executions synced before
+ * error details were stored fall under "(unknown node)".
+ */
+export async function getErrorClusters({ days = 7, workflowId } = {}) {
+  const where = {
+    status: { in: ERROR_STATUSES },
+    startedAt: { gte: new Date(Date.now() - days * DAY_MS) },
+  };
+  if (workflowId) where.workflowId = workflowId;
+
+  const rows = await prisma.executionOrder.findMany({
+    where,
+    orderBy: { startedAt: "asc" },
+    select: {
+      executionId: true,
+      workflowId: true,
+      orderNumber: true,
+      startedAt: true,
+      errorNode: true,
+      errorMessage: true,
+    },
+  });
+
+  const clusters = new Map();
+  for (const row of rows) {
+    const node = row.errorNode || UNKNOWN_NODE;
+    const message = normalizeErrorMessage(row.errorMessage);
+    const key = clusterKey(row.workflowId, node, message);
+
+    let cluster = clusters.get(key);
+    if (!cluster) {
+      cluster = {
+        key,
+        workflowId: row.workflowId,
+        node,
+        message,
+        sampleMessage: row.errorMessage ?? null,
+        count: 0,
+        firstSeen: row.startedAt,
+        lastSeen: row.startedAt,
+        orderNumbers: [],
+        executionIds: [],
+      };
+      clusters.set(key, cluster);
+    }
+
+    // Rows come oldest first
+    cluster.count++;
+    cluster.lastSeen = row.startedAt;
+    cluster.executionIds.push(row.executionId);
+    if (row.orderNumber && !cluster.orderNumbers.includes(row.orderNumber)) {
+      cluster.orderNumbers.push(row.orderNumber);
+    }
+  }
+
+  return [...clusters.values()].sort((a, b) => b.count - a.count || b.lastSeen - a.lastSeen);
+}
+
+/**
+ * One cluster by key, or null when it no longer has executions in the window.
+ */
+export async function getErrorCluster(key, options) {
+  const clusters = await getErrorClusters(options);
+  return clusters.find((c) => c.key === key) ?? null;
+}
+
+/**
+ * The executions of a cluster to retry: only the latest run of each retry chain,
+ * so one that was retried already (whether that retry is still running,
+ * succeeded or failed) is skipped. At most `limit`, newest first.
+ *
+ * Returns `{ executionIds, skipped, remaining }`: `skipped` were retried before,
+ * `remaining` are left for a next click.
+ */
+export async function getClusterRetryIds(cluster, { limit = MAX_CLUSTER_RETRIES } = {}) {
+  const retries = await prisma.executionOrder.findMany({
+    where: { retryOf: { in: cluster.executionIds } },
+    select: { retryOf: true },
+  });
+  const retried = new Set(retries.map((r) => r.retryOf));
+  // executionIds are oldest first
+  const latest = cluster.executionIds.filter((id) => !retried.has(id)).reverse();
+  return {
+    executionIds: latest.slice(0, limit),
+    skipped: cluster.executionIds.length - latest.length,
+    remaining: Math.max(0, latest.length - limit),
+  };
+}
+
+function csvCell(value) {
+  const str = value == null ? "" : String(value);
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * CSV export of a cluster's executions (one row per execution). `redactText`
+ * is applied to the error messages (see getViewRedaction in redaction.server.js).
+ */
+export async function exportErrorClusterCsv(cluster, { redactText = (text) => text } = {}) {
+  const rows = await prisma.executionOrder.findMany({
+    where: { executionId: { in: cluster.executionIds } },
+    orderBy: { startedAt: "asc" },
+  });
+
+  const header = ["executionId", "workflowId", "orderNumber", "status", "startedAt", "stoppedAt", "errorNode", "errorMessage"];
+  const lines = rows.map((row) =>
+    [
+      row.executionId,
+      row.workflowId,
+      row.orderNumber,
+      row.status,
+      row.startedAt?.toISOString(),
+      row.stoppedAt?.toISOString(),
+      row.errorNode,
+      redactText(row.errorMessage),
+    ].map(csvCell).join(","),
+  );
+  return [header.join(","), ...lines].join("\n");
+}
@@ -0,0 +1,218 @@
+import prisma from "./db.server";
+import { getExecution, retryExecution, stopExecution, deleteExecution } from "./n8n.server";
+import { appendChangeLog, findOrderGidByNumber } from "./changelog.server";
+import { ACTIVE_STATUSES, checkOverdueExecutions } from "./execution-watchdog.server";
+import { upsertExecutionOrder } from "./n8n-sync.server";
+
+const RETRY_CONCURRENCY = 3;
+
+/**
+ * Single-execution actions, with the change log action they record.
+ */
+const EXECUTION_ACTIONS = {
+  stop: { run: stopExecution, changeLogAction: "execution_stop" },
+  delete: { run: deleteExecution, changeLogAction: "execution_delete" },
+};
+
+/**
+ * Run `fn` over `items` with at most `limit` calls in flight.
+ * Results keep the order of `items`.
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Retry several executions and log a `workflow_retry` change log entry on the
+ * order of every successful retry (when its order number resolves to a Shopify order).
+ * The new runs are stored right away, so they count as retries before the next sync.
+ *
+ * Returns `{ [executionId]: { ok, error, newExecutionId } }`.
+ */
+export async function retryExecutions(admin, executionIds, { concurrency = RETRY_CONCURRENCY } = {}) {
+  const ids = [...new Set(executionIds.map(String))];
+
+  const outcomes = await mapWithConcurrency(ids, concurrency, async (executionId) => {
+    try {
+      const result = await retryExecution(executionId, { loadWorkflow: true });
+      return { executionId, ok: true, error: null, newExecutionId: result?.id != null ? String(result.id) : null };
+    } catch (e) {
+      console.error(`[execution-actions] Retry failed for ${executionId}:`, e.message);
+      return { executionId, ok: false, error: e.message, newExecutionId: null };
+    }
+  });
+
+  const succeeded = outcomes.filter((o) => o.ok);
+  await recordRetries(succeeded);
+  await logRetries(admin, succeeded);
+
+  return Object.fromEntries(
+    outcomes.map(({ executionId, ...outcome }) => [executionId, outcome]),
+  );
+}
+
+/**
+ * Insert a row for each new run, with `retryOf` and the order keys of the
+ * execution it retries. The sync fills in the rest.
+ */
+async function recordRetries(succeeded) {
+  const started = succeeded.filter((o) => o.newExecutionId);
+  if (started.length === 0) return;
+
+  const rows = await prisma.executionOrder.findMany({
+    where: { executionId: { in: started.map((o) => o.executionId) } },
+  });
+  const rowById = Object.fromEntries(rows.map((r) => [r.executionId, r]));
+
+  for (const { executionId, newExecutionId } of started) {
+    const row = rowById[executionId];
+    if (!row) continue;
+    try {
+      await upsertExecutionOrder({
+        executionId: newExecutionId,
+        orderNumber: row.orderNumber ?? undefined,
+        orderGid: row.orderGid ?? undefined,
+        destination: row.destination ?? undefined,
+        customerEmail: row.customerEmail ?? undefined,
+        workflowId: row.workflowId,
+        status: "new",
+        mode: "retry",
+        retryOf: executionId,
+      });
+    } catch (e) {
+      console.error(`[execution-actions] Failed to store retry ${newExecutionId} of ${executionId}:`, e.message);
+    }
+  }
+}
+
+/**
+ * Change log writes are read-modify-write on one metafield, so entries for
+ * the same order are appended one after another.
+ */
+async function logRetries(admin, succeeded) {
+  if (succeeded.length === 0) return;
+
+  const rows = await prisma.executionOrder.findMany({
+    where: { executionId: { in: succeeded.map((o) => o.executionId) } },
+    select: { executionId: true, orderNumber: true },
+  });
+  const orderNumberById = Object.fromEntries(rows.map((r) => [r.executionId, r.orderNumber]));
+  const gidByOrderNumber = {};
+
+  for (const { executionId } of succeeded) {
+    const orderNumber = orderNumberById[executionId];
+    if (!orderNumber) continue;
+
+    try {
+      if (!(orderNumber in gidByOrderNumber)) {
+        gidByOrderNumber[orderNumber] = await findOrderGidByNumber(admin, orderNumber);
+      }
+      const orderGid = gidByOrderNumber[orderNumber];
+      if (orderGid) {
+        await appendChangeLog(admin, orderGid, { action: "workflow_retry", executionId });
+      }
+    } catch (e) {
+      console.error(`[execution-actions] Failed to log retry of ${executionId} for order ${orderNumber}:`, e.message);
+    }
+  }
+}
+
+/**
+ * Stop or delete one execution in n8n, update the local ExecutionOrder row and
+ * record it in the order's change log with the acting staff member.
+ *
+ * The order is `orderGid` when given, otherwise the one stored on the row (by
+ * GID or order number). Throws n8n errors; a failed change log write is only logged.
+ *
+ * @param {object} admin - Shopify Admin GraphQL client
+ * @param {object} params
+ * @param {"stop"|"delete"} params.action
+ * @param {string} params.executionId
+ * @param {{ id: string|null, name: string }} params.staff - From getStaffMember()
+ * @param {string} [params.orderGid]
+ * @returns {Promise<{ status: string|null, orderGid: string|null }>}
+ */
+export async function runExecutionAction(admin, { action, executionId, staff, orderGid = null }) {
+  const config = EXECUTION_ACTIONS[action];
+  if (!config) throw new Error(`Unknown execution action: ${action}`);
+
+  const id = String(executionId);
+  const row = await prisma.executionOrder.findUnique({ where: { executionId: id } });
+  const result = await config.run(id);
+
+  let status = null;
+  if (action === "stop") {
+    status = result?.status ?? "canceled";
+    await prisma.executionOrder.updateMany({
+      where: { executionId: id },
+      data: { status, stoppedAt: result?.stoppedAt ? new Date(result.stoppedAt) : new Date() },
+    });
+  } else {
+    await prisma.executionOrder.deleteMany({ where: { executionId: id } });
+  }
+
+  let targetGid = orderGid || row?.orderGid || null;
+  try {
+    if (!targetGid && row?.orderNumber) targetGid = await findOrderGidByNumber(admin, row.orderNumber);
+    if (targetGid) {
+      await appendChangeLog(admin, targetGid, {
+        action: config.changeLogAction,
+        executionId: id,
+        staff: staff.name,
+        staffId: staff.id,
+      });
+    }
+  } catch (e) {
+    console.error(`[execution-actions] Failed to log ${action} of ${id}:`, e.message);
+  }
+
+  return { status, orderGid: targetGid };
+}
+
+/**
+ * Stop an execution that hangs and start it again: runExecutionAction("stop")
+ * followed by a retry, both recorded in the order's change log. Used for the
+ * overdue executions found by the watchdog (see execution-watchdog.server.js).
+ *
+ * The live status is read from n8n first: an execution that finished since the
+ * watchdog flagged it is not retried, only its local row is updated.
+ *
+ * Throws when either step fails; a failed retry leaves the execution stopped.
+ *
+ * @returns {Promise<{ status: string|null, newExecutionId: string|null }>}
+ */
+export async function stopAndRetryExecution(admin, { executionId, staff, orderGid = null }) {
+  const id = String(executionId);
+  const live = await getExecution(id);
+  if (!ACTIVE_STATUSES.includes(live.status)) {
+    await prisma.executionOrder.updateMany({
+      where: { executionId: id },
+      data: { status: live.status, stoppedAt: live.stoppedAt ? new Date(live.stoppedAt) : undefined },
+    });
+    await checkOverdueExecutions().catch((e) => {
+      console.error("[execution-actions] Overdue check failed:", e.message);
+    });
+    throw new Error(`Execution ${id} is no longer running (status "${live.status}"); nothing was stopped or retried`);
+  }
+
+  const { status } = await runExecutionAction(admin, { action: "stop", executionId: id, staff, orderGid });
+
+  const outcome = (await retryExecutions(admin, [id]))[id];
+  await checkOverdueExecutions().catch((e) => {
+    console.error("[execution-actions] Overdue check failed:", e.message);
+  });
+  if (!outcome.ok) throw new Error(`Stopped, but the retry failed: ${outcome.error}`);
+
+  return { status, newExecutionId: outcome.newExecutionId };
+}
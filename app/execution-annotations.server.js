@@ -0,0 +1,90 @@
+import prisma from "./db.server";
+import { getExecution } from "./n8n.server";
+
+/**
+ * Tags offered in the UI; any other tag can be typed in.
+ */
+export const SUGGESTED_TAGS = ["investigated", "customer data issue", "n8n bug"];
+
+const VOTES = ["up", "down"];
+const MAX_TAG_LENGTH = 50;
+
+function normalizeTags(tags) {
+  const seen = new Set();
+  const result = [];
+  for (const raw of tags ?? []) {
+    const tag = String(raw).trim().replace(/\s+/g, " ").slice(0, MAX_TAG_LENGTH);
+    if (!tag || seen.has(tag.toLowerCase())) continue;
+    seen.add(tag.toLowerCase());
+    result.push(tag);
+  }
+  return result;
+}
+
+/**
+ * Local annotation of an execution: `{ vote, tags }`.
+ */
+export async function getAnnotation(executionId) {
+  const row = await prisma.executionOrder.findUnique({
+    where: { executionId: String(executionId) },
+    select: { vote: true, tags: { select: { tag: true }, orderBy: { tag: "asc" } } },
+  });
+  return { vote: row?.vote ?? null, tags: row?.tags.map((t) => t.tag) ?? [] };
+}
+
+/**
+ * Replace the local vote and tags of an execution. The ExecutionOrder row must exist.
+ */
+export async function setLocalAnnotation(executionId, { vote, tags }) {
+  const id = String(executionId);
+  const normalized = normalizeTags(tags);
+  await prisma.$transaction([
+    prisma.executionOrder.update({ where: { executionId: id }, data: { vote: VOTES.includes(vote) ? vote : null } }),
+    prisma.executionTag.deleteMany({ where: { executionId: id } }),
+    ...normalized.map((tag) => prisma.executionTag.create({ data: { executionId: id, tag } })),
+  ]);
+  return { vote: VOTES.includes(vote) ? vote : null, tags: normalized };
+}
+
+/**
+ * Set the vote and tags of an execution. They are kept in the app only: n8n's
+ * annotation endpoints belong to its editor API, which does not accept the
+ * public API key. As this is the only copy, annotated executions are exempt
+ * from the retention prune (n8n-sync.server.js).
+ *
+ * Returns `{ vote, tags }`.
+ */
+export async function annotateExecution(executionId, { vote, tags }) {
+  const id = String(executionId);
+  if (vote != null && !VOTES.includes(vote)) throw new Error(`Unknown vote "${vote}"`);
+
+  // Executions that were never synced get their row first
+  const exists = await prisma.executionOrder.findUnique({ where: { executionId: id }, select: { executionId: true } });
+  if (!exists) {
+    const exec = await getExecution(id);
+    await prisma.executionOrder.create({
+      data: {
+        executionId: id,
+        workflowId: String(exec.workflowId),
+        status: exec.status,
+        startedAt: exec.startedAt ? new Date(exec.startedAt) : null,
+        stoppedAt: exec.stoppedAt ? new Date(exec.stoppedAt) : null,
+        mode: exec.mode ?? null,
+      },
+    });
+  }
+
+  return setLocalAnnotation(id, { vote, tags });
+}
+
+/**
+ * All tags in use locally, with how many executions carry them.
+ */
+export async function listTags() {
+  const groups = await prisma.executionTag.groupBy({
+    by: ["tag"],
+    _count: { _all: true },
+    orderBy: { tag: "asc" },
+  });
+  return groups.map((g) => ({ tag: g.tag, count: g._count._all }));
+}
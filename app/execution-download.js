@@ -0,0 +1,27 @@
+/**
+ * Browser helper: download the full execution JSON from /app/execution-detail,
+ * redacted unless `reveal` is set (which the server checks and audits).
+ * Resolves to `{ ok, error }`.
+ */
+export async function downloadExecutionJson(executionId, { reveal = false } = {}) {
+  const params = new URLSearchParams({ id: String(executionId), download: "1" });
+  if (reveal) params.set("reveal", "1");
+
+  try {
+    const res = await fetch(`/app/execution-detail?${params.toString()}`);
+    if (!res.ok) {
+      const body = await res.json().catch(() => null);
+      return { ok: false, error: body?.error || `HTTP ${res.status}` };
+    }
+    const blob = await res.blob();
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `execution-${executionId}${reveal ? "" : "-redacted"}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+    return { ok: true, error: null };
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
+}
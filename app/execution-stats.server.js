@@ -0,0 +1,135 @@
+import prisma from "./db.server";
+
+// Days are bucketed in the shop's timezone, not the server's
+export const STATS_TIMEZONE = "Europe/Amsterdam";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ERROR_STATUSES = ["error", "crashed"];
+const ACTIVE_STATUSES = ["new", "running", "waiting"];
+
+const dayFormatter = new Intl.DateTimeFormat("en-CA", {
+  timeZone: STATS_TIMEZONE,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+});
+
+/**
+ * Calendar day ("YYYY-MM-DD") of a date in STATS_TIMEZONE.
+ */
+export function toDay(date) {
+  return dayFormatter.format(date);
+}
+
+function timezoneOffset(date) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: STATS_TIMEZONE,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+    })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value]),
+  );
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Start (inclusive) and end (exclusive) of a "YYYY-MM-DD" day in STATS_TIMEZONE.
+ * Returns null for malformed input.
+ */
+export function dayBounds(day) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(day || "");
+  if (!match) return null;
+  const midnightUtc = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  const start = new Date(midnightUtc - timezoneOffset(new Date(midnightUtc)));
+  const nextMidnightUtc = midnightUtc + DAY_MS;
+  const end = new Date(nextMidnightUtc - timezoneOffset(new Date(nextMidnightUtc)));
+  return { start, end };
+}
+
+/**
+ * Nearest-rank percentile of an ascending array. Returns null for an empty array.
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+function summarize(rows) {
+  const durations = rows
+    .filter((r) => r.startedAt && r.stoppedAt)
+    .map((r) => r.stoppedAt - r.startedAt)
+    .sort((a, b) => a - b);
+  const errors = rows.filter((r) => ERROR_STATUSES.includes(r.status)).length;
+
+  return {
+    runs: rows.length,
+    errors,
+    errorRate: rows.length > 0 ? errors / rows.length : null,
+    p50: percentile(durations, 50),
+    p95: percentile(durations, 95),
+  };
+}
+
+/**
+ * Per-workflow health over the last `days` days, from the local ExecutionOrder table.
+ *
+ * Returns `{ days, workflows }` where `days` are "YYYY-MM-DD" (oldest first) and each
+ * workflow has `{ workflowId, total, byDay, running, waiting }`. `total` and the
+ * `byDay` entries hold `{ runs, errors, errorRate, p50, p95 }` (durations in ms).
+ * `running` and `waiting` are current counts, regardless of the window.
+ */
+export async function getWorkflowHealth({ days = 7 } = {}) {
+  // Step back from today's noon so DST changes never skip or repeat a day
+  const todayNoon = dayBounds(toDay(new Date())).start.getTime() + DAY_MS / 2;
+  const dayList = [];
+  for (let i = days - 1; i >= 0; i--) dayList.push(toDay(new Date(todayNoon - i * DAY_MS)));
+  const since = dayBounds(dayList[0]).start;
+
+  const [rows, active] = await Promise.all([
+    prisma.executionOrder.findMany({
+      where: { startedAt: { gte: since } },
+      select: { workflowId: true, status: true, startedAt: true, stoppedAt: true },
+    }),
+    prisma.executionOrder.groupBy({
+      by: ["workflowId", "status"],
+      where: { status: { in: ACTIVE_STATUSES } },
+      _count: { _all: true },
+    }),
+  ]);
+
+  const byWorkflow = {};
+  const entry = (workflowId) =>
+    (byWorkflow[workflowId] ??= { workflowId, rows: [], running: 0, waiting: 0 });
+
+  for (const row of rows) entry(row.workflowId).rows.push(row);
+  for (const group of active) {
+    const target = entry(group.workflowId);
+    if (group.status === "waiting") target.waiting += group._count._all;
+    else target.running += group._count._all;
+  }
+
+  const workflows = Object.values(byWorkflow).map(({ workflowId, rows: wfRows, running, waiting }) => {
+    const perDay = {};
+    for (const row of wfRows) (perDay[toDay(row.startedAt)] ??= []).push(row);
+
+    return {
+      workflowId,
+      total: summarize(wfRows),
+      byDay: Object.fromEntries(dayList.map((day) => [day, summarize(perDay[day] ?? [])])),
+      running,
+      waiting,
+    };
+  });
+
+  workflows.sort((a, b) => (b.total.errorRate ?? 0) - (a.total.errorRate ?? 0) || b.total.runs - a.total.runs);
+  return { days: dayList, workflows };
+}
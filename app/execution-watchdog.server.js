@@ -0,0 +1,99 @@
+import prisma from "./db.server";
+import { percentile } from "./execution-stats.server";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HISTORY_DAYS = 14;
+export const ACTIVE_STATUSES = ["new", "running", "waiting"];
+
+// Overdue once an execution runs this many times the workflow's p95 duration
+const THRESHOLD_FACTOR = 3;
+const MIN_THRESHOLD_MS = 5 * 60 * 1000;
+// Workflows with fewer finished runs than MIN_SAMPLES use the fallback
+const MIN_SAMPLES = 5;
+const FALLBACK_THRESHOLD_MS = 60 * 60 * 1000;
+// Pages reading the result re-run the check once it is older than this
+const MAX_CHECK_AGE_MS = 60 * 1000;
+
+let lastCheck = { checkedAt: null, overdue: [] };
+
+/**
+ * Per-workflow overdue threshold in ms: THRESHOLD_FACTOR × the p95 duration
+ * of runs that finished in the last HISTORY_DAYS days, at least MIN_THRESHOLD_MS.
+ *
+ * Returns `{ [workflowId]: { thresholdMs, p95, samples } }`.
+ */
+export async function getOverdueThresholds() {
+  const rows = await prisma.executionOrder.findMany({
+    where: {
+      startedAt: { gte: new Date(Date.now() - HISTORY_DAYS * DAY_MS) },
+      stoppedAt: { not: null },
+      status: { notIn: ACTIVE_STATUSES },
+    },
+    select: { workflowId: true, startedAt: true, stoppedAt: true },
+  });
+
+  const durations = {};
+  for (const row of rows) (durations[row.workflowId] ??= []).push(row.stoppedAt - row.startedAt);
+
+  return Object.fromEntries(
+    Object.entries(durations).map(([workflowId, list]) => {
+      list.sort((a, b) => a - b);
+      const p95 = percentile(list, 95);
+      const thresholdMs = list.length < MIN_SAMPLES
+        ? FALLBACK_THRESHOLD_MS
+        : Math.max(MIN_THRESHOLD_MS, p95 * THRESHOLD_FACTOR);
+      return [workflowId, { thresholdMs, p95, samples: list.length }];
+    }),
+  );
+}
+
+/**
+ * Compare every new/running/waiting execution's age with its workflow's
+ * threshold and keep the overdue ones for getOverdueExecutions(). Run after
+ * each sync.
+ *
+ * Returns the overdue executions, longest overdue first:
+ * `{ executionId, workflowId, orderNumber, orderGid, status, startedAt, ageMs, thresholdMs, p95 }`.
+ */
+export async function checkOverdueExecutions() {
+  const [active, thresholds] = await Promise.all([
+    prisma.executionOrder.findMany({
+      where: { status: { in: ACTIVE_STATUSES }, startedAt: { not: null } },
+      select: { executionId: true, workflowId: true, orderNumber: true, orderGid: true, status: true, startedAt: true },
+    }),
+    getOverdueThresholds(),
+  ]);
+
+  const now = Date.now();
+  const overdue = active
+    .map((row) => {
+      const threshold = thresholds[row.workflowId];
+      return {
+        ...row,
+        ageMs: now - row.startedAt.getTime(),
+        thresholdMs: threshold?.thresholdMs ?? FALLBACK_THRESHOLD_MS,
+        p95: threshold?.p95 ?? null,
+      };
+    })
+    .filter((row) => row.ageMs > row.thresholdMs)
+    .sort((a, b) => b.ageMs / b.thresholdMs - a.ageMs / a.thresholdMs);
+
+  lastCheck = { checkedAt: new Date(now), overdue };
+  return overdue;
+}
+
+/**
+ * Result of the most recent check, running a new one when none ran in the last
+ * MAX_CHECK_AGE_MS (the check only reads the local DB). `ageMs` is as of now.
+ * Narrowed to `orderNumbers` when given.
+ */
+export async function getOverdueExecutions({ orderNumbers } = {}) {
+  if (!lastCheck.checkedAt || Date.now() - lastCheck.checkedAt.getTime() > MAX_CHECK_AGE_MS) {
+    await checkOverdueExecutions();
+  }
+  const now = Date.now();
+  const wanted = orderNumbers && new Set(orderNumbers.map(String));
+  return lastCheck.overdue
+    .filter((row) => !wanted || (row.orderNumber && wanted.has(row.orderNumber)))
+    .map((row) => ({ ...row, ageMs: now - row.startedAt.getTime() }));
+}
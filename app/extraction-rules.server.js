@@ -0,0 +1,158 @@
+import prisma from "./db.server";
+import { getExecutions, extractFromExecutionData } from "./n8n.server";
+
+const RULES_KEY = "extraction_rules";
+
+/**
+ * Keys that are extracted from execution data and stored on ExecutionOrder.
+ */
+export const EXTRACTED_KEYS = [
+  { key: "orderNumber", label: "Ordernummer" },
+  { key: "orderGid", label: "Shopify order GID" },
+  { key: "destination", label: "Bestemming" },
+  { key: "customerEmail", label: "Klant e-mail" },
+];
+
+const KEY_NAMES = EXTRACTED_KEYS.map((k) => k.key);
+
+// "order.name", "body.line_items[0].sku", "[2].id"
+const PATH_PATTERN = /^(\[\d+\]|[A-Za-z_$][\w$-]*)(\.[A-Za-z_$][\w$-]*|\[\d+\])*$/;
+
+/**
+ * Extraction rules from the `extraction_rules` setting:
+ * `{ [workflowId]: { [key]: { node, path } } }`.
+ */
+export async function getExtractionRules() {
+  try {
+    const setting = await prisma.setting.findUnique({ where: { key: RULES_KEY } });
+    if (setting?.value) return JSON.parse(setting.value);
+  } catch (e) {
+    console.error("[extraction-rules] Failed to read rules:", e.message);
+  }
+  return {};
+}
+
+/**
+ * Validate the rules for one workflow. Rules without a node are dropped, an empty
+ * path defaults to the key itself. Throws on an unknown key or a malformed path.
+ */
+function cleanWorkflowRules(workflowRules) {
+  const cleaned = {};
+  for (const [key, rule] of Object.entries(workflowRules ?? {})) {
+    if (!KEY_NAMES.includes(key)) throw new Error(`Unknown key "${key}"`);
+    const node = String(rule?.node ?? "").trim();
+    const path = String(rule?.path ?? "").trim() || key;
+    if (!node) continue;
+    if (!PATH_PATTERN.test(path)) throw new Error(`Invalid path "${path}" for ${key}`);
+    cleaned[key] = { node, path };
+  }
+  return cleaned;
+}
+
+/**
+ * Validate and store the rules for one workflow.
+ *
+ * @param {string} workflowId
+ * @param {Object} workflowRules – `{ [key]: { node, path } }`
+ */
+export async function saveWorkflowRules(workflowId, workflowRules) {
+  if (!workflowId) throw new Error("Workflow is required");
+
+  const cleaned = cleanWorkflowRules(workflowRules);
+  const rules = await getExtractionRules();
+  if (Object.keys(cleaned).length > 0) rules[workflowId] = cleaned;
+  else delete rules[workflowId];
+
+  const value = JSON.stringify(rules);
+  await prisma.setting.upsert({
+    where: { key: RULES_KEY },
+    update: { value },
+    create: { key: RULES_KEY, value },
+  });
+  return rules;
+}
+
+/**
+ * Run (unsaved) rules against the most recent execution of a workflow.
+ * Returns `{ executionId, values }`, or null when the workflow has no executions.
+ */
+export async function testWorkflowRules(workflowId, workflowRules) {
+  const cleaned = cleanWorkflowRules(workflowRules);
+  const response = await getExecutions({ workflowId, limit: 1, includeData: true });
+  const execution = response.data?.[0];
+  if (!execution) return null;
+  return {
+    executionId: String(execution.id),
+    values: extractExecutionKeys(execution, { [String(workflowId)]: cleaned }),
+  };
+}
+
+function parsePath(path) {
+  return path.match(/[^.[\]]+|\[\d+\]/g).map((part) =>
+    part.startsWith("[") ? Number(part.slice(1, -1)) : part,
+  );
+}
+
+/**
+ * Read a value from a node's output. The path is relative to the item's `json`
+ * and addresses the first item, unless it starts with an item index (`[2].id`).
+ */
+function readNodeOutput(execution, { node, path }) {
+  const runs = execution?.data?.resultData?.runData?.[node];
+  if (!runs?.length) return undefined;
+
+  // Last run wins: a looping node's final output is the one the workflow acted on
+  const items = runs[runs.length - 1]?.data?.main?.[0];
+  if (!items?.length) return undefined;
+
+  const parts = parsePath(path);
+  const itemIndex = typeof parts[0] === "number" ? parts.shift() : 0;
+
+  let value = items[itemIndex]?.json;
+  for (const part of parts) {
+    if (value == null) return undefined;
+    value = value[part];
+  }
+  return value;
+}
+
+function readCustomData(execution, key) {
+  if (execution?.customData?.[key] !== undefined) return execution.customData[key];
+  if (execution?.annotation?.customData?.[key] !== undefined) return execution.annotation.customData[key];
+  return undefined;
+}
+
+function normalize(value) {
+  if (value == null || value === "") return null;
+  if (typeof value === "object") return null;
+  return String(value);
+}
+
+/**
+ * Extract all EXTRACTED_KEYS from an execution using the rules for its workflow.
+ *
+ * Per key: the configured node/path, then `customData`. Workflows without a rule
+ * for `orderNumber` keep the old behaviour of scanning every node's output.
+ * Returns `{ orderNumber, orderGid, destination, customerEmail }` (strings or null).
+ */
+export function extractExecutionKeys(execution, rules) {
+  const workflowRules = rules?.[String(execution?.workflowId)] ?? {};
+  const result = {};
+
+  for (const key of KEY_NAMES) {
+    const rule = workflowRules[key];
+    let value;
+    try {
+      value = rule ? readNodeOutput(execution, rule) : undefined;
+    } catch {
+      value = undefined;
+    }
+    if (value == null) value = readCustomData(execution, key);
+    if (value == null && !rule && key === "orderNumber") {
+      value = extractFromExecutionData(execution, key);
+    }
+    result[key] = normalize(value);
+  }
+
+  return result;
+}
@@ -0,0 +1,221 @@
+import supabase from "./supabase.server";
+import { DESTINATIONS, destinationLink, getDestination, queryDestination, queryDestinationByKeys } from "./destinations";
+import { searchSoftrRecords, hasCachedData, syncSoftrData } from "./softr.server";
+
+const MAX_HITS = 10;
+const MAX_SOFTR_ORDERS = 3;
+const LINES_TABLE = "Webattelier - lines";
+
+let softrWarmup = null;
+
+// Softr hits are skipped while the local Softr cache is first being filled
+class SoftrWarmingError extends Error {}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const POSTCODE_PATTERN = /^\d{4}\s?[a-z]{2}$/i;
+
+/**
+ * What a search term looks like: "number" (order number, optionally with #),
+ * "email", "postcode" (Dutch, 1234 AB) or "text" (customer name).
+ */
+export function classifyQuery(query) {
+  const term = String(query ?? "").trim().replace(/^#/, "");
+  if (/^\d+$/.test(term)) return { kind: "number", term };
+  if (EMAIL_PATTERN.test(term)) return { kind: "email", term };
+  if (POSTCODE_PATTERN.test(term)) return { kind: "postcode", term: term.toUpperCase() };
+  return { kind: "text", term };
+}
+
+// PostgREST or-filters are comma separated with parenthesised groups
+function filterSafe(term) {
+  return term.replace(/[,()]/g, " ").trim();
+}
+
+function orderNumberOf(name) {
+  const match = String(name ?? "").match(/(\d+)\s*$/);
+  return match ? match[1] : null;
+}
+
+function shopifyQueryFor({ kind, term }) {
+  if (kind === "number") return `name:${term}`;
+  if (kind === "email") return `email:${term}`;
+  return `"${term.replace(/"/g, "")}"`;
+}
+
+async function searchShopify(admin, classified) {
+  const result = await admin.graphql(
+    `#graphql
+    query globalSearch($query: String!) {
+      orders(first: ${MAX_HITS}, query: $query, sortKey: CREATED_AT, reverse: true) {
+        nodes {
+          id
+          name
+          createdAt
+          email
+          displayFinancialStatus
+          customer { displayName }
+          shippingAddress { zip }
+        }
+      }
+    }`,
+    { variables: { query: shopifyQueryFor(classified) } },
+  ).then((r) => r.json());
+  if (result.errors?.length) throw new Error(result.errors[0].message);
+  return result.data?.orders?.nodes ?? [];
+}
+
+function destinationHit(code, row) {
+  const destination = getDestination(code);
+  return {
+    id: `${code}-${row.id}`,
+    title: `#${row[destination.keyField]}`,
+    subtitle: [destination.nameField && row[destination.nameField], destination.statusField && row[destination.statusField]]
+      .filter(Boolean)
+      .join(" \u00b7 "),
+    url: destinationLink(code, row),
+  };
+}
+
+/**
+ * Rows of one destination: a direct search on its name/number columns for
+ * order numbers and names, plus the rows of the order numbers Shopify resolved.
+ * The destination tables have no email or postcode columns, so those queries
+ * only find rows through the order numbers Shopify resolved.
+ */
+async function searchDestination(code, classified, orderNumbers) {
+  const [direct, byKey] = await Promise.all([
+    classified.kind === "number" || classified.kind === "text"
+      ? queryDestination(supabase, code, { search: filterSafe(classified.term), to: MAX_HITS - 1 }).then((r) => r.data)
+      : [],
+    queryDestinationByKeys(supabase, code, orderNumbers, { limit: MAX_HITS }),
+  ]);
+  const rows = new Map();
+  for (const row of [...direct, ...byKey]) rows.set(String(row.id), row);
+  return [...rows.values()].slice(0, MAX_HITS).map((row) => destinationHit(code, row));
+}
+
+/**
+ * Webattelier lines by order number, or by anything in their customerJson
+ * (name, email, postcode). One hit per order.
+ */
+async function searchLines(classified, orderNumbers) {
+  const filters = [];
+  if (orderNumbers.length > 0) filters.push(`orderId.in.(${orderNumbers.join(",")})`);
+  if (classified.kind !== "number") filters.push(`customerJson.ilike.%${filterSafe(classified.term)}%`);
+  if (filters.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from(LINES_TABLE)
+    .select("id, orderId, productTitle")
+    .or(filters.join(","))
+    .order("orderId", { ascending: false })
+    .limit(MAX_HITS * 5);
+  if (error) throw error;
+
+  const byOrder = new Map();
+  for (const line of data ?? []) {
+    const key = String(line.orderId);
+    if (!byOrder.has(key)) byOrder.set(key, []);
+    byOrder.get(key).push(line);
+  }
+  return [...byOrder.entries()].slice(0, MAX_HITS).map(([orderId, lines]) => ({
+    id: `lines-${orderId}`,
+    title: `#${orderId}`,
+    subtitle: `${lines.length} ${lines.length === 1 ? "lijn" : "lijnen"} \u00b7 ${lines[0].productTitle ?? ""}`.trim(),
+    url: `/app/orders?${new URLSearchParams({ q: orderId, status: "" })}`,
+  }));
+}
+
+/**
+ * Softr records of the order numbers. An empty cache is filled in the
+ * background instead of during the search; until then this throws
+ * SoftrWarmingError.
+ */
+async function searchSoftr(orderNumbers) {
+  if (orderNumbers.length === 0) return [];
+  if (!(await hasCachedData())) {
+    softrWarmup ??= syncSoftrData()
+      .catch((e) => console.error("[global-search] Softr cache sync failed:", e.message))
+      .finally(() => {
+        softrWarmup = null;
+      });
+    throw new SoftrWarmingError("Softr cache wordt geladen, probeer het zo opnieuw");
+  }
+
+  const hits = [];
+  for (const orderNumber of orderNumbers.slice(0, MAX_SOFTR_ORDERS)) {
+    for (const table of await searchSoftrRecords(orderNumber, { limit: 5 })) {
+      hits.push({
+        id: `softr-${table.tableId}-${orderNumber}`,
+        title: `#${orderNumber}`,
+        subtitle: `${table.tableName} \u00b7 ${table.total} ${table.total === 1 ? "record" : "records"}`,
+        url: `/app?${new URLSearchParams({ q: orderNumber })}`,
+      });
+    }
+  }
+  return hits;
+}
+
+/**
+ * Search Shopify orders, every destination in the registry, the Webattelier
+ * lines and Softr for an order number, customer name, email or postcode.
+ *
+ * Shopify resolves names, emails and postcodes to order numbers, which are then
+ * looked up everywhere else; emails and postcodes are otherwise only matched
+ * directly in the Webattelier lines' customerJson. Returns `{ query, kind, groups }`,
+ * with per group `{ key, label, hits: [{ id, title, subtitle, url }], error, notice }`;
+ * groups without hits, error or notice are left out.
+ */
+export async function globalSearch(admin, query) {
+  const classified = classifyQuery(query);
+  if (classified.term.length < 2 && classified.kind !== "number") {
+    return { query, kind: classified.kind, groups: [] };
+  }
+
+  const groups = [];
+  const settle = async (key, label, search) => {
+    try {
+      groups.push({ key, label, hits: await search(), error: null, notice: null });
+    } catch (e) {
+      if (e instanceof SoftrWarmingError) {
+        groups.push({ key, label, hits: [], error: null, notice: e.message });
+        return;
+      }
+      console.error(`[global-search] ${label} failed:`, e.message);
+      groups.push({ key, label, hits: [], error: e.message, notice: null });
+    }
+  };
+
+  let shopifyOrders = [];
+  await settle("shopify", "Shopify", async () => {
+    shopifyOrders = await searchShopify(admin, classified);
+    return shopifyOrders.map((order) => ({
+      id: order.id,
+      title: order.name,
+      subtitle: [order.customer?.displayName, order.email, order.shippingAddress?.zip].filter(Boolean).join(" \u00b7 "),
+      url: `/app?${new URLSearchParams({ q: orderNumberOf(order.name) ?? order.name })}`,
+    }));
+  });
+
+  const orderNumbers = [
+    ...new Set([
+      ...(classified.kind === "number" ? [classified.term] : []),
+      ...shopifyOrders.map((order) => orderNumberOf(order.name)).filter(Boolean),
+    ]),
+  ];
+
+  await Promise.all([
+    ...DESTINATIONS.map((d) => settle(d.code, d.label, () => searchDestination(d.code, classified, orderNumbers))),
+    settle("lines", "Webattelier - lijnen", () => searchLines(classified, orderNumbers)),
+    settle("softr", "Softr", () => searchSoftr(orderNumbers)),
+  ]);
+
+  const order = ["shopify", ...DESTINATIONS.map((d) => d.code), "lines", "softr"];
+  return {
+    query,
+    kind: classified.kind,
+    groups: groups
+      .filter((group) => group.hits.length > 0 || group.error || group.notice)
+      .sort((a, b) => order.indexOf(a.key) - order.indexOf(b.key)),
+  };
+}
@@ -0,0 +1,85 @@
+import { queryLineHistory } from "./supabase.server";
+import { LINE_EDIT_FIELDS } from "./line-validation";
+
+// Bookkeeping columns that change on every edit and say nothing about the line itself
+const META_FIELDS = ["version", "updated_at", "updated_by", "orderJson", "customerJson"];
+
+function parseJson(value) {
+  if (value && typeof value === "object") return value;
+  try {
+    return JSON.parse(value || "{}") ?? {};
+  } catch {
+    return {};
+  }
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Changed fields between two line snapshots as `[{ field, before, after }]`.
+ * orderJson keys are compared one by one and reported as "orderJson.<key>".
+ */
+export function diffLineSnapshots(before, after) {
+  const changes = [];
+  const columns = new Set([...Object.keys(before), ...Object.keys(after)]);
+  for (const field of columns) {
+    if (META_FIELDS.includes(field) || sameValue(before[field], after[field])) continue;
+    changes.push({ field, before: before[field] ?? null, after: after[field] ?? null });
+  }
+
+  const beforeJson = parseJson(before.orderJson);
+  const afterJson = parseJson(after.orderJson);
+  for (const key of new Set([...Object.keys(beforeJson), ...Object.keys(afterJson)])) {
+    if (sameValue(beforeJson[key], afterJson[key])) continue;
+    changes.push({ field: `orderJson.${key}`, before: beforeJson[key] ?? null, after: afterJson[key] ?? null });
+  }
+  return changes;
+}
+
+function pickEditFields(snapshot) {
+  return Object.fromEntries(LINE_EDIT_FIELDS.map((field) => [field, snapshot[field] ?? null]));
+}
+
+/**
+ * Versions of a line, newest first: `{ version, changedBy, changedAt, revertedTo,
+ * changes, fields }`. The oldest entry is the line as it was before the first
+ * recorded edit, so it has no changes of its own.
+ */
+export async function getLineHistory(lineId) {
+  const rows = await queryLineHistory(lineId);
+  const versions = rows.map((row) => ({
+    version: row.version,
+    changedBy: row.changed_by,
+    changedAt: row.changed_at,
+    revertedTo: row.reverted_to,
+    changes: diffLineSnapshots(row.before, row.after),
+    fields: pickEditFields(row.after),
+  }));
+
+  const oldest = rows[rows.length - 1];
+  if (oldest) {
+    versions.push({
+      version: oldest.before.version,
+      changedBy: oldest.before.updated_by ?? null,
+      changedAt: oldest.before.updated_at ?? null,
+      revertedTo: null,
+      changes: [],
+      fields: pickEditFields(oldest.before),
+    });
+  }
+  return versions;
+}
+
+/**
+ * Editable fields of a line as they were at `version`, or null when the history
+ * does not hold that version.
+ */
+export async function getLineVersionFields(lineId, version) {
+  const rows = await queryLineHistory(lineId, { versions: [version, version + 1] });
+  const saved = rows.find((row) => row.version === version);
+  if (saved) return pickEditFields(saved.after);
+  const next = rows.find((row) => row.version === version + 1);
+  return next ? pickEditFields(next.before) : null;
+}
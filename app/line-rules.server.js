@@ -0,0 +1,68 @@
+import prisma from "./db.server";
+import { LINE_RULE_LIMITS } from "./line-validation";
+
+const RULES_KEY = "line_validation_rules";
+
+// Product group codes as they appear on the lines: "OG", "VG", ...
+const GROUP_CODE_PATTERN = /^[A-Z0-9_-]{1,20}$/;
+
+/**
+ * Dimension limits per product group from the `line_validation_rules` setting:
+ * `{ [productGroupCode]: { minWidthMm, maxWidthMm, minHeightMm, maxHeightMm,
+ * maxPanels, halfPanels? } }`. Passed to validateLine (line-validation.js).
+ */
+export async function getLineValidationRules() {
+  try {
+    const setting = await prisma.setting.findUnique({ where: { key: RULES_KEY } });
+    if (setting?.value) return JSON.parse(setting.value);
+  } catch (e) {
+    console.error("[line-rules] Failed to read rules:", e.message);
+  }
+  return {};
+}
+
+function cleanLimit(code, key, value) {
+  if (value == null || value === "") return null;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) throw new Error(`${code}: ${key} moet een getal van 0 of meer zijn`);
+  return n;
+}
+
+/**
+ * Validate the rules of every group. Empty limits are left out; a group
+ * without limits and without halfPanels is dropped. Throws on an invalid code,
+ * a negative limit or a min above its max.
+ */
+function cleanRules(rules) {
+  const cleaned = {};
+  for (const [rawCode, groupRules] of Object.entries(rules ?? {})) {
+    const code = rawCode.trim().toUpperCase();
+    if (!GROUP_CODE_PATTERN.test(code)) throw new Error(`Ongeldige productgroep "${rawCode}"`);
+
+    const group = {};
+    for (const { key } of LINE_RULE_LIMITS) {
+      const limit = cleanLimit(code, key, groupRules?.[key]);
+      if (limit != null) group[key] = limit;
+    }
+    if (group.minWidthMm > group.maxWidthMm) throw new Error(`${code}: min. breedte ligt boven de max. breedte`);
+    if (group.minHeightMm > group.maxHeightMm) throw new Error(`${code}: min. hoogte ligt boven de max. hoogte`);
+    if (typeof groupRules?.halfPanels === "boolean") group.halfPanels = groupRules.halfPanels;
+
+    if (Object.keys(group).length > 0) cleaned[code] = group;
+  }
+  return cleaned;
+}
+
+/**
+ * Validate and store the rules of all product groups, replacing the stored ones.
+ */
+export async function saveLineValidationRules(rules) {
+  const cleaned = cleanRules(rules);
+  const value = JSON.stringify(cleaned);
+  await prisma.setting.upsert({
+    where: { key: RULES_KEY },
+    update: { value },
+    create: { key: RULES_KEY, value },
+  });
+  return cleaned;
+}
@@ -0,0 +1,160 @@
+/**
+ * Dimension rules of Webattelier lines, shared by the OrderLine editor and the
+ * /app/order-lines action, so an invalid edit is refused before it reaches Supabase.
+ *
+ * Widths and heights are in mm. Cut sizes hold cm despite the column names:
+ * per side for pleated products (finished width × plooiFactor), per panel
+ * (height + 250 mm) for OG.
+ *
+ * The min/max limits per productGroupCode are not hard-coded: they come from
+ * the `line_validation_rules` setting (line-rules.server.js), maintained by the
+ * atelier under Instellingen. Groups without configured limits only get the
+ * checks below that follow from the line itself (no negatives, whole banen,
+ * cut size consistency).
+ */
+
+/**
+ * Configurable limits of a product group, in the order the settings form shows them.
+ */
+export const LINE_RULE_LIMITS = [
+  { key: "minWidthMm", label: "Min. breedte (mm)" },
+  { key: "maxWidthMm", label: "Max. breedte (mm)" },
+  { key: "minHeightMm", label: "Min. hoogte (mm)" },
+  { key: "maxHeightMm", label: "Max. hoogte (mm)" },
+  { key: "maxPanels", label: "Max. banen per kant" },
+];
+
+const NO_LIMITS = Object.fromEntries(LINE_RULE_LIMITS.map(({ key }) => [key, null]));
+
+// Overgordijnen are cut in banen of (height + 250 mm); half banen can share a baan
+const HALF_PANEL_GROUPS = ["OG"];
+
+const OG_PANEL_ALLOWANCE_MM = 250;
+const CUT_SIZE_TOLERANCE_CM = 1;
+
+/**
+ * Line fields the editor can change; edits and reverts write only these.
+ */
+export const LINE_EDIT_FIELDS = [
+  "panelsLeft",
+  "panelsRight",
+  "finishedWidthLeftInMm",
+  "finishedWidthRightInMm",
+  "cutSizeLeftInMm",
+  "cutSizeRightInMm",
+];
+
+const SIDES = [
+  { side: "Left", label: "links" },
+  { side: "Right", label: "rechts" },
+];
+
+/**
+ * Rules for a product group from the configured `rulesByGroup`
+ * (`{ [productGroupCode]: { minWidthMm, ..., halfPanels } }`). Limits that are
+ * not configured are null and not checked.
+ */
+export function getLineRules(rulesByGroup, productGroupCode) {
+  return {
+    ...NO_LIMITS,
+    halfPanels: HALF_PANEL_GROUPS.includes(productGroupCode),
+    ...rulesByGroup?.[productGroupCode],
+  };
+}
+
+function outside(value, min, max) {
+  return (min != null && value < min) || (max != null && value > max);
+}
+
+function rangeText(min, max) {
+  if (min != null && max != null) return `tussen ${min / 10} en ${max / 10} cm liggen`;
+  return min != null ? `minstens ${min / 10} cm zijn` : `hooguit ${max / 10} cm zijn`;
+}
+
+function toNumber(value) {
+  if (value == null || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : NaN;
+}
+
+/**
+ * Check a line (current values with the edit applied) against the rules of its
+ * product group (see getLineRules). Returns `{ valid, errors }`, with `errors`
+ * keyed by line field: panelsLeft/Right, finishedWidthLeft/RightInMm,
+ * cutSizeLeft/RightInMm and finishedHeightInMm.
+ */
+export function validateLine(line, rulesByGroup) {
+  const rules = getLineRules(rulesByGroup, line.productGroupCode);
+  const isOG = line.productGroupCode === "OG";
+  const plooiFactor = Number(line.plooiFactor) || 0;
+  const division = String(line.panelDivision || "").toLowerCase();
+  const singlePart = division.includes("1 part");
+  const errors = {};
+
+  const height = toNumber(line.finishedHeightInMm);
+  if (Number.isNaN(height) || height < 0) {
+    errors.finishedHeightInMm = "Hoogte moet 0 of meer zijn";
+  } else if (height > 0 && outside(height, rules.minHeightMm, rules.maxHeightMm)) {
+    errors.finishedHeightInMm = `Hoogte moet ${rangeText(rules.minHeightMm, rules.maxHeightMm)}`;
+  }
+
+  for (const { side, label } of SIDES) {
+    const panelsField = `panels${side}`;
+    const widthField = `finishedWidth${side}InMm`;
+    const cutField = `cutSize${side}InMm`;
+    const panels = toNumber(line[panelsField]);
+    const width = toNumber(line[widthField]);
+    const cut = toNumber(line[cutField]);
+
+    // Panels: never negative, whole banen unless the group allows half banen on a split curtain
+    if (Number.isNaN(panels) || panels < 0) {
+      errors[panelsField] = `Banen ${label} moet 0 of meer zijn`;
+    } else if (rules.maxPanels != null && panels > rules.maxPanels) {
+      errors[panelsField] = `Banen ${label} mag hooguit ${rules.maxPanels} zijn`;
+    } else if (panels != null && !Number.isInteger(rules.halfPanels && !singlePart ? panels * 2 : panels)) {
+      errors[panelsField] = rules.halfPanels && !singlePart
+        ? `Banen ${label} moet een veelvoud van 0,5 zijn`
+        : `Banen ${label} moet een heel getal zijn`;
+    }
+
+    // One-part curtains only have panels on their own side
+    const unusedSide = (division === "1 part left" && side === "Right") || (division === "1 part right" && side === "Left");
+    if (unusedSide && panels > 0) {
+      errors[panelsField] = `Een gordijn van 1 deel heeft geen banen ${label}`;
+    }
+
+    if (Number.isNaN(width) || width < 0) {
+      errors[widthField] = `Breedte ${label} moet 0 of meer zijn`;
+    } else if (width > 0 && outside(width, rules.minWidthMm, rules.maxWidthMm)) {
+      errors[widthField] = `Breedte ${label} moet ${rangeText(rules.minWidthMm, rules.maxWidthMm)}`;
+    }
+
+    if (Number.isNaN(cut) || cut < 0) {
+      errors[cutField] = `Knipmaat ${label} moet 0 of meer zijn`;
+    } else if (cut > 0 && !errors[widthField]) {
+      // Cut size has to follow from the finished width (pleated) or the height (OG)
+      const expected = isOG
+        ? (height > 0 ? (height + OG_PANEL_ALLOWANCE_MM) / 10 : null)
+        : (plooiFactor > 0 && width > 0 ? Math.round((width * plooiFactor) / 10) : null);
+      if (expected != null && Math.abs(cut - expected) > CUT_SIZE_TOLERANCE_CM) {
+        errors[cutField] = isOG
+          ? `Knipmaat ${label} per baan hoort ${expected} cm te zijn (hoogte + 25 cm)`
+          : `Knipmaat ${label} hoort ${expected} cm te zijn (breedte \u00d7 plooifactor ${plooiFactor})`;
+      }
+    }
+  }
+
+  return { valid: Object.keys(errors).length === 0, errors };
+}
+
+/**
+ * Validate an edit of `line`: the rules run on the line with `fields` applied, but
+ * only fields the edit changes are reported. Values that were already off (e.g. an
+ * imported height the editor cannot change) do not block saving other fields.
+ */
+export function validateLineEdit(line, fields, rulesByGroup) {
+  const { errors } = validateLine({ ...line, ...fields }, rulesByGroup);
+  const changed = Object.keys(fields).filter((key) => toNumber(fields[key]) !== toNumber(line[key]));
+  const relevant = Object.fromEntries(Object.entries(errors).filter(([key]) => changed.includes(key)));
+  return { valid: Object.keys(relevant).length === 0, errors: relevant };
+}
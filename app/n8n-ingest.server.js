@@ -0,0 +1,137 @@
+import crypto from "node:crypto";
+import prisma from "./db.server";
+import { upsertExecutionOrder, MAX_ERROR_MESSAGE_LENGTH } from "./n8n-sync.server";
+import { EXTRACTED_KEYS } from "./extraction-rules.server";
+
+/**
+ * Push-based execution ingestion.
+ *
+ * n8n error workflows and end-of-workflow nodes POST execution events to
+ * /webhooks/n8n/executions. Each request is signed with the shared secret
+ * N8N_INGEST_SECRET:
+ *
+ *   X-Ingest-Timestamp: <unix seconds>
+ *   X-Ingest-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+ *
+ * Requests outside the tolerance window are rejected, and so is any request
+ * whose signature was already seen inside the window (replay).
+ */
+
+export const TIMESTAMP_HEADER = "X-Ingest-Timestamp";
+export const SIGNATURE_HEADER = "X-Ingest-Signature";
+
+const TOLERANCE_SECONDS = 5 * 60;
+
+const KNOWN_STATUSES = ["new", "running", "waiting", "success", "error", "crashed", "canceled", "unknown"];
+
+export class IngestError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = "IngestError";
+    this.status = status;
+  }
+}
+
+function sign(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+/**
+ * Check timestamp and signature of a raw request body. Returns the hex signature.
+ * Throws IngestError (401) when the request is not authentic or too old.
+ */
+export function verifySignature({ timestamp, signature, body }) {
+  const secret = process.env.N8N_INGEST_SECRET;
+  if (!secret) throw new IngestError("Ingestion is not configured", 503);
+
+  const ts = Number(timestamp);
+  if (!Number.isInteger(ts)) throw new IngestError("Missing or invalid timestamp", 401);
+  if (Math.abs(Date.now() / 1000 - ts) > TOLERANCE_SECONDS) {
+    throw new IngestError("Timestamp outside tolerance window", 401);
+  }
+
+  const provided = String(signature || "").replace(/^sha256=/, "");
+  const expected = sign(secret, ts, body);
+  const providedBuf = Buffer.from(provided, "hex");
+  const expectedBuf = Buffer.from(expected, "hex");
+  if (providedBuf.length !== expectedBuf.length || !crypto.timingSafeEqual(providedBuf, expectedBuf)) {
+    throw new IngestError("Invalid signature", 401);
+  }
+  return expected;
+}
+
+/**
+ * Validate an event body and map it onto ExecutionOrder fields.
+ * Throws IngestError (400) for missing or unknown values.
+ */
+export function parseEvent(event) {
+  if (!event || typeof event !== "object") throw new IngestError("Body must be a JSON object", 400);
+
+  const { executionId, workflowId, status, startedAt, stoppedAt, mode, retryOf } = event;
+  if (executionId == null || executionId === "") throw new IngestError("executionId is required", 400);
+  if (workflowId == null || workflowId === "") throw new IngestError("workflowId is required", 400);
+  if (!KNOWN_STATUSES.includes(status)) throw new IngestError(`Unknown status "${status}"`, 400);
+
+  for (const [field, value] of Object.entries({ startedAt, stoppedAt })) {
+    if (value != null && Number.isNaN(new Date(value).getTime())) {
+      throw new IngestError(`${field} is not a valid date`, 400);
+    }
+  }
+
+  // Leave fields the event does not carry alone, so a sync's values survive
+  const keys = {};
+  for (const { key } of EXTRACTED_KEYS) {
+    if (event[key] != null && event[key] !== "") keys[key] = String(event[key]);
+  }
+
+  return {
+    executionId: String(executionId),
+    workflowId: String(workflowId),
+    status,
+    ...keys,
+    startedAt: startedAt ?? undefined,
+    stoppedAt: stoppedAt ?? undefined,
+    mode: mode ?? undefined,
+    retryOf: retryOf != null && retryOf !== "" ? String(retryOf) : undefined,
+    errorNode: event.errorNode ? String(event.errorNode) : undefined,
+    errorMessage: event.errorMessage ? String(event.errorMessage).slice(0, MAX_ERROR_MESSAGE_LENGTH) : undefined,
+  };
+}
+
+/**
+ * Record the signature of an accepted request. Throws IngestError (409) when it
+ * was seen before. Signatures older than the tolerance window are pruned, as
+ * those requests are already rejected on their timestamp.
+ */
+async function claimSignature(signature, executionId) {
+  await prisma.ingestEvent.deleteMany({
+    where: { receivedAt: { lt: new Date(Date.now() - 2 * TOLERANCE_SECONDS * 1000) } },
+  });
+
+  try {
+    await prisma.ingestEvent.create({ data: { signature, executionId } });
+  } catch (e) {
+    if (e.code === "P2002") throw new IngestError("Replayed request", 409);
+    throw e;
+  }
+}
+
+/**
+ * Verify, de-duplicate and store one signed execution event.
+ * Returns the stored event fields.
+ */
+export async function ingestExecutionEvent({ timestamp, signature, body }) {
+  const verified = verifySignature({ timestamp, signature, body });
+
+  let event;
+  try {
+    event = JSON.parse(body);
+  } catch {
+    throw new IngestError("Body is not valid JSON", 400);
+  }
+  const record = parseEvent(event);
+
+  await claimSignature(verified, record.executionId);
+  await upsertExecutionOrder(record);
+  return record;
+}
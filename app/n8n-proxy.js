@@ -0,0 +1,26 @@
+/**
+ * Browser helper for calling n8n webhooks through the /app/n8n-proxy action.
+ * Always resolves to `{ ok, error, data }`, also when the request itself fails.
+ */
+export async function callN8nProxy(webhook, payload = {}) {
+  try {
+    const res = await fetch("/app/n8n-proxy", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ webhook, payload }),
+    });
+    const result = await res.json().catch(() => null);
+    if (!result) return { ok: false, error: `HTTP ${res.status}`, data: null };
+    return result;
+  } catch (e) {
+    return { ok: false, error: e.message, data: null };
+  }
+}
+
+/**
+ * Turn a binary proxy response (`{ contentType, base64 }`) back into a Blob.
+ */
+export function proxyDataToBlob(data) {
+  const bytes = Uint8Array.from(atob(data.base64), (c) => c.charCodeAt(0));
+  return new Blob([bytes], { type: data.contentType });
+}
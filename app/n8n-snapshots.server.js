@@ -0,0 +1,192 @@
+import prisma from "./db.server";
+import { getWorkflow, updateWorkflow } from "./n8n.server";
+import { diffJson, diffLines } from "./diff";
+
+/**
+ * Workflow settings the n8n public API accepts on PUT; anything else is rejected.
+ * Same list as the manual procedure in n8n-backups/REVERT-2026-05-12-decimal-fix.md.
+ */
+const ALLOWED_SETTINGS = new Set([
+  "saveExecutionProgress",
+  "saveManualExecutions",
+  "saveDataErrorExecution",
+  "saveDataSuccessExecution",
+  "executionTimeout",
+  "errorWorkflow",
+  "timezone",
+  "executionOrder",
+]);
+
+/**
+ * Strip what must not be stored locally: node credentials and `pinData`
+ * (pinned test payloads, which contain customer data). The names of nodes
+ * that had credentials are kept so a restore can tell which ones need them back.
+ */
+function sanitizeWorkflow(workflow) {
+  const nodes = workflow.nodes ?? [];
+  return {
+    name: workflow.name,
+    nodes: nodes.map(({ credentials: _credentials, ...node }) => node),
+    connections: workflow.connections ?? {},
+    settings: workflow.settings ?? {},
+    staticData: workflow.staticData ?? null,
+    credentialNodes: nodes.filter((n) => n.credentials).map((n) => n.name),
+  };
+}
+
+function filterSettings(settings) {
+  return Object.fromEntries(
+    Object.entries(settings ?? {}).filter(([key]) => ALLOWED_SETTINGS.has(key)),
+  );
+}
+
+function toSnapshotSummary(row) {
+  const data = JSON.parse(row.data);
+  return {
+    id: row.id,
+    workflowId: row.workflowId,
+    workflowName: row.workflowName,
+    reason: row.reason,
+    note: row.note,
+    versionId: row.versionId,
+    n8nUpdatedAt: row.n8nUpdatedAt?.toISOString() ?? null,
+    createdAt: row.createdAt.toISOString(),
+    nodeCount: data.nodes?.length ?? 0,
+  };
+}
+
+/**
+ * Fetch a workflow from n8n and store a sanitised copy.
+ *
+ * @param {string} workflowId
+ * @param {Object} [options]
+ * @param {string} [options.reason="manual"] – Why the snapshot was taken ("manual", "pre-restore", ...)
+ * @param {string} [options.note]           – Free text shown in the snapshot list
+ */
+export async function createSnapshot(workflowId, { reason = "manual", note = null } = {}) {
+  const workflow = await getWorkflow(workflowId);
+  return storeSnapshot(workflow, { reason, note });
+}
+
+async function storeSnapshot(workflow, { reason, note }) {
+  const row = await prisma.workflowSnapshot.create({
+    data: {
+      workflowId: String(workflow.id),
+      workflowName: workflow.name,
+      reason,
+      note: note || null,
+      versionId: workflow.versionId ?? null,
+      n8nUpdatedAt: workflow.updatedAt ? new Date(workflow.updatedAt) : null,
+      data: JSON.stringify(sanitizeWorkflow(workflow)),
+    },
+  });
+  return toSnapshotSummary(row);
+}
+
+/**
+ * Snapshots for one workflow, newest first (without the workflow data).
+ */
+export async function listSnapshots(workflowId) {
+  const rows = await prisma.workflowSnapshot.findMany({
+    where: { workflowId: String(workflowId) },
+    orderBy: { createdAt: "desc" },
+  });
+  return rows.map(toSnapshotSummary);
+}
+
+/**
+ * Load the sanitised workflow of a snapshot, or of the live workflow when
+ * `ref` is "live". Returns `{ label, workflow }` or null.
+ */
+async function loadVersion(workflowId, ref) {
+  if (ref === "live") {
+    const workflow = await getWorkflow(workflowId);
+    return { label: "Live", workflow: sanitizeWorkflow(workflow) };
+  }
+  const row = await prisma.workflowSnapshot.findUnique({ where: { id: Number(ref) } });
+  if (!row || row.workflowId !== String(workflowId)) return null;
+  return { label: `Snapshot #${row.id}`, workflow: JSON.parse(row.data) };
+}
+
+/**
+ * Node-by-node diff between two versions of a workflow. `a` and `b` are
+ * snapshot IDs or "live". `jsCode` is diffed line by line; all other node
+ * parameters are diffed structurally.
+ */
+export async function diffVersions(workflowId, a, b) {
+  const [before, after] = await Promise.all([loadVersion(workflowId, a), loadVersion(workflowId, b)]);
+  if (!before || !after) return null;
+
+  const beforeNodes = Object.fromEntries(before.workflow.nodes.map((n) => [n.name, n]));
+  const afterNodes = Object.fromEntries(after.workflow.nodes.map((n) => [n.name, n]));
+  const names = [...new Set([...Object.keys(beforeNodes), ...Object.keys(afterNodes)])];
+
+  const nodes = names.map((name) => {
+    const oldNode = beforeNodes[name];
+    const newNode = afterNodes[name];
+    const { jsCode: oldCode, ...oldParams } = oldNode?.parameters ?? {};
+    const { jsCode: newCode, ...newParams } = newNode?.parameters ?? {};
+
+    const codeChanged = (oldCode ?? null) !== (newCode ?? null);
+    const parameterChanges = diffJson(oldParams, newParams);
+    const status = !oldNode ? "added" : !newNode ? "removed" : codeChanged || parameterChanges.length > 0 ? "changed" : "unchanged";
+
+    return {
+      name,
+      type: (newNode ?? oldNode).type?.split(".").pop(),
+      status,
+      codeDiff: codeChanged ? diffLines(oldCode, newCode) : null,
+      parameterChanges,
+    };
+  });
+
+  return {
+    before: before.label,
+    after: after.label,
+    nodes,
+    connectionsChanged: diffJson(before.workflow.connections, after.workflow.connections).length > 0,
+    settingsChanges: diffJson(before.workflow.settings, after.workflow.settings),
+  };
+}
+
+/**
+ * Put a snapshot back into n8n.
+ *
+ * The live workflow is snapshotted first ("pre-restore"), so a restore can itself be undone.
+ * Credentials were stripped when the snapshot was stored; they are taken from the
+ * live node with the same id (or name). Nodes for which no live credentials exist are
+ * reported in `missingCredentials` and will need their credentials set in n8n.
+ */
+export async function restoreSnapshot(snapshotId) {
+  const row = await prisma.workflowSnapshot.findUnique({ where: { id: Number(snapshotId) } });
+  if (!row) throw new Error(`Snapshot ${snapshotId} not found`);
+
+  const snapshot = JSON.parse(row.data);
+  const live = await getWorkflow(row.workflowId);
+  const preRestore = await storeSnapshot(live, {
+    reason: "pre-restore",
+    note: `Before restoring snapshot #${row.id}`,
+  });
+
+  const liveById = Object.fromEntries((live.nodes ?? []).map((n) => [n.id, n]));
+  const liveByName = Object.fromEntries((live.nodes ?? []).map((n) => [n.name, n]));
+  const missingCredentials = [];
+
+  const nodes = snapshot.nodes.map((node) => {
+    const liveNode = liveById[node.id] ?? liveByName[node.name];
+    if (liveNode?.credentials) return { ...node, credentials: liveNode.credentials };
+    if (snapshot.credentialNodes?.includes(node.name)) missingCredentials.push(node.name);
+    return node;
+  });
+
+  const payload = {
+    name: snapshot.name,
+    nodes,
+    connections: snapshot.connections,
+    settings: filterSettings(snapshot.settings),
+  };
+  if (snapshot.staticData != null) payload.staticData = snapshot.staticData;
+
+  const updated = await updateWorkflow(row.workflowId, payload);
+  return { preRestoreSnapshotId: preRestore.id, updatedAt: updated.updatedAt ?? null, missingCredentials };
+}
@@ -1,14 +1,36 @@
 import prisma from "./db.server";
-import { getExecutions, extractFromExecutionData } from "./n8n.server";
+import { getExecutions, getExecution, describeN8nError, extractExecutionError } from "./n8n.server";
+import { getExtractionRules, extractExecutionKeys } from "./extraction-rules.server";
+import { checkOverdueExecutions } from "./execution-watchdog.server";
 
-const MAX_ROWS = 10;
+const PAGE_SIZE = 50;
+const MAX_PAGES_PER_SYNC = 10; // 500 executions per run, the rest continues next run
+const MAX_UNFINISHED_REFRESH = 25;
+export const MAX_ERROR_MESSAGE_LENGTH = 1000;
 const SYNC_COOLDOWN = 60_000; // 1 minute between syncs
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_RETENTION_DAYS = 90;
+const RETENTION_KEY = "execution_retention_days";
+const SYNC_STATE_KEY = "n8n_sync_state";
+
+const UNFINISHED_STATUSES = ["new", "running", "waiting"];
 
 let syncInProgress = false;
 let lastSyncTime = 0;
+let lastSyncError = null;
 
 /**
- * Sync the 10 most recent executions from n8n into the local ExecutionOrder table.
+ * Sync n8n executions into the local ExecutionOrder table.
+ *
+ * Each run:
+ *   1. pages from the newest execution down to the last one synced before,
+ *   2. continues gaps earlier runs could not page through within their budget,
+ *   3. refreshes rows that were still running/waiting,
+ *   4. continues the history backfill from the stored `nextCursor`,
+ *   5. prunes rows older than the retention window,
+ *   6. checks for overdue executions (see execution-watchdog.server.js).
+ *
  * Throttled to at most once per minute. Fire-and-forget.
  */
 export async function syncExecutions() {
@@ -17,20 +39,27 @@ export async function syncExecutions() {
   syncInProgress = true;
 
   try {
-    const response = await getExecutions({
-      limit: MAX_ROWS,
-      includeData: true,
-    });
-    const executions = response.data ?? [];
+    const retentionDays = await getRetentionDays();
+    const cutoff = new Date(Date.now() - retentionDays * DAY_MS);
+    const state = await readSyncState();
+    const budget = { pages: MAX_PAGES_PER_SYNC };
+    const upsert = createBatchUpserter(await getExtractionRules());
 
-    if (executions.length > 0) {
-      await upsertBatch(executions);
-    }
+    await syncNewExecutions(state, cutoff, budget, upsert);
+    await closeGaps(state, cutoff, budget, upsert);
+    await refreshUnfinished(upsert);
+    await backfillHistory(state, cutoff, budget, upsert);
+
+    await writeSyncState(state);
+    await pruneExpiredRows(cutoff);
+    lastSyncError = null;
 
-    // Prune old rows beyond the 10 most recent
-    await pruneOldRows();
+    await checkOverdueExecutions().catch((e) => {
+      console.error("[n8n-sync] Overdue check failed:", e.message);
+    });
   } catch (e) {
     console.error("[n8n-sync] Sync failed:", e.message);
+    lastSyncError = describeN8nError(e);
   } finally {
     syncInProgress = false;
     lastSyncTime = Date.now();
@@ -38,48 +67,277 @@ export async function syncExecutions() {
 }
 
 /**
- * Keep only the MAX_ROWS most recent executions in the local DB.
+ * Description of why the most recent sync failed (see describeN8nError), or null.
  */
-async function pruneOldRows() {
-  const keep = await prisma.executionOrder.findMany({
-    orderBy: { startedAt: "desc" },
-    take: MAX_ROWS,
-    select: { id: true },
+export function getLastSyncError() {
+  return lastSyncError;
+}
+
+/**
+ * Retention window in days, from the `execution_retention_days` setting.
+ */
+export async function getRetentionDays() {
+  try {
+    const setting = await prisma.setting.findUnique({ where: { key: RETENTION_KEY } });
+    const days = parseInt(setting?.value, 10);
+    if (days > 0) return days;
+  } catch {}
+  return DEFAULT_RETENTION_DAYS;
+}
+
+async function readSyncState() {
+  try {
+    const setting = await prisma.setting.findUnique({ where: { key: SYNC_STATE_KEY } });
+    if (setting?.value) return JSON.parse(setting.value);
+  } catch {}
+  return { highWaterMark: null, gaps: [], backfillCursor: null, backfillDone: false };
+}
+
+async function writeSyncState(state) {
+  const value = JSON.stringify(state);
+  await prisma.setting.upsert({
+    where: { key: SYNC_STATE_KEY },
+    update: { value },
+    create: { key: SYNC_STATE_KEY, value },
   });
-  const keepIds = keep.map((r) => r.id);
+}
 
-  if (keepIds.length > 0) {
-    await prisma.executionOrder.deleteMany({
-      where: { id: { notIn: keepIds } },
-    });
+function isBeforeCutoff(exec, cutoff) {
+  return exec.startedAt ? new Date(exec.startedAt) < cutoff : false;
+}
+
+/**
+ * Page from the newest execution down to the high-water mark of the previous run.
+ * On the very first run there is no mark, so this doubles as the start of the backfill.
+ */
+async function syncNewExecutions(state, cutoff, budget, upsert) {
+  const mark = state.highWaterMark != null ? Number(state.highWaterMark) : null;
+  let cursor;
+  let newest = null;
+  let reachedMark = false;
+
+  while (budget.pages > 0) {
+    budget.pages--;
+    const response = await getExecutions({ limit: PAGE_SIZE, cursor, includeData: true });
+    const page = response.data ?? [];
+
+    const fresh = [];
+    for (const exec of page) {
+      if (mark != null && Number(exec.id) <= mark) {
+        reachedMark = true;
+        break;
+      }
+      if (isBeforeCutoff(exec, cutoff)) {
+        reachedMark = true;
+        break;
+      }
+      fresh.push(exec);
+    }
+
+    if (newest == null && page.length > 0) newest = String(page[0].id);
+    if (fresh.length > 0) await upsert(fresh);
+
+    cursor = response.nextCursor;
+    if (reachedMark || !cursor) {
+      reachedMark = true;
+      break;
+    }
+  }
+
+  if (mark == null) {
+    // First run: whatever we could not reach is picked up by the backfill
+    if (!reachedMark) state.backfillCursor = cursor;
+    else state.backfillDone = true;
+    if (newest != null) state.highWaterMark = newest;
+  } else if (newest != null) {
+    // More arrived than one run can page through: keep where this run stopped,
+    // closeGaps continues from there down to the old mark on the next runs
+    if (!reachedMark) state.gaps = [...(state.gaps ?? []), { cursor, until: String(mark) }];
+    state.highWaterMark = newest;
   }
 }
 
 /**
- * Extract orderNumbers from the already-fetched execution data and upsert into DB.
+ * Page on from each stored gap cursor until the high-water mark the gap was left
+ * above (or the retention cutoff). Gaps the budget does not close keep their cursor.
+ */
+async function closeGaps(state, cutoff, budget, upsert) {
+  const open = [];
+  for (const gap of state.gaps ?? []) {
+    let cursor = gap.cursor;
+    while (cursor && budget.pages > 0) {
+      budget.pages--;
+      const response = await getExecutions({ limit: PAGE_SIZE, cursor, includeData: true });
+      const page = response.data ?? [];
+      const fresh = page.filter((exec) => Number(exec.id) > Number(gap.until) && !isBeforeCutoff(exec, cutoff));
+
+      if (fresh.length > 0) await upsert(fresh);
+      cursor = fresh.length < page.length ? null : (response.nextCursor ?? null);
+    }
+    if (cursor) open.push({ ...gap, cursor });
+  }
+  state.gaps = open;
+}
+
+/**
+ * Continue paging into older history from the stored cursor until the
+ * retention cutoff or the end of the n8n execution list.
+ */
+async function backfillHistory(state, cutoff, budget, upsert) {
+  if (state.backfillDone || !state.backfillCursor) return;
+
+  let cursor = state.backfillCursor;
+  while (budget.pages > 0 && cursor) {
+    budget.pages--;
+    const response = await getExecutions({ limit: PAGE_SIZE, cursor, includeData: true });
+    const page = response.data ?? [];
+    const inWindow = page.filter((exec) => !isBeforeCutoff(exec, cutoff));
+
+    if (inWindow.length > 0) await upsert(inWindow);
+
+    if (inWindow.length < page.length) {
+      cursor = null;
+      break;
+    }
+    cursor = response.nextCursor ?? null;
+  }
+
+  state.backfillCursor = cursor;
+  state.backfillDone = !cursor;
+}
+
+/**
+ * Executions that were still running or waiting when synced never show up again
+ * above the high-water mark, so re-fetch them individually.
+ */
+async function refreshUnfinished(upsert) {
+  const rows = await prisma.executionOrder.findMany({
+    where: { status: { in: UNFINISHED_STATUSES } },
+    orderBy: { startedAt: "desc" },
+    take: MAX_UNFINISHED_REFRESH,
+    select: { executionId: true },
+  });
+
+  const executions = await Promise.all(
+    rows.map((row) =>
+      getExecution(row.executionId, { includeData: true }).catch((e) => {
+        console.error(`[n8n-sync] Failed to refresh execution ${row.executionId}:`, e.message);
+        return null;
+      }),
+    ),
+  );
+
+  const found = executions.filter(Boolean);
+  if (found.length > 0) await upsert(found);
+}
+
+/**
+ * Drop executions that started before the retention window. Annotated ones (a
+ * vote or tags, see execution-annotations.server.js) are kept: the app holds the
+ * only copy of those.
+ */
+async function pruneExpiredRows(cutoff) {
+  await prisma.executionOrder.deleteMany({
+    where: { startedAt: { lt: cutoff }, vote: null, tags: { none: {} } },
+  });
+}
+
+/**
+ * `{ errorNode, errorMessage }` of a failed execution, for the error clusters
+ * (see error-clusters.server.js). Other executions get nulls, so a retried
+ * run that succeeded does not keep a stale error. A failed execution whose error
+ * cannot be read from its data leaves the fields alone (`undefined`), keeping
+ * what the push endpoint stored.
+ */
+function errorFields(exec) {
+  if (exec.status !== "error" && exec.status !== "crashed") return { errorNode: null, errorMessage: null };
+  const error = extractExecutionError(exec);
+  return {
+    errorNode: error?.node ?? undefined,
+    errorMessage: error?.message ? error.message.slice(0, MAX_ERROR_MESSAGE_LENGTH) : undefined,
+  };
+}
+
+// Keys the rules could not find come back as null; leave those columns alone
+// rather than wiping what the push endpoint stored
+function foundKeys(keys) {
+  return Object.fromEntries(Object.entries(keys).filter(([, value]) => value != null));
+}
+
+/**
+ * Returns a function that extracts the order keys (see extraction-rules.server.js)
+ * from already-fetched execution data and upserts a batch into DB.
  * No extra API calls needed — data comes from the list response with includeData=true.
  */
-async function upsertBatch(executions) {
-  await Promise.all(
-    executions.map((exec) => {
-      const orderNumber = extractFromExecutionData(exec, "orderNumber");
-      return prisma.executionOrder.upsert({
-        where: { executionId: String(exec.id) },
-        create: {
-          executionId: String(exec.id),
-          orderNumber: orderNumber != null ? String(orderNumber) : null,
-          workflowId: String(exec.workflowId),
+function createBatchUpserter(rules) {
+  return (executions) =>
+    Promise.all(
+      executions.map((exec) =>
+        upsertExecutionOrder({
+          executionId: exec.id,
+          ...foundKeys(extractExecutionKeys(exec, rules)),
+          workflowId: exec.workflowId,
           status: exec.status,
-          startedAt: exec.startedAt ? new Date(exec.startedAt) : null,
-          stoppedAt: exec.stoppedAt ? new Date(exec.stoppedAt) : null,
-          mode: exec.mode ?? null,
-        },
-        update: {
-          orderNumber: orderNumber != null ? String(orderNumber) : null,
-          status: exec.status,
-          stoppedAt: exec.stoppedAt ? new Date(exec.stoppedAt) : null,
-        },
-      });
-    }),
-  );
+          startedAt: exec.startedAt,
+          stoppedAt: exec.stoppedAt,
+          mode: exec.mode,
+          retryOf: exec.retryOf ?? null,
+          ...errorFields(exec),
+        }),
+      ),
+    );
+}
+
+/**
+ * Insert or update one ExecutionOrder row. Shared by the sync and the push
+ * ingestion endpoint (webhooks.n8n.executions).
+ *
+ * Fields left `undefined` are not touched on update, so a partial event
+ * (e.g. only a status change) does not wipe what an earlier sync stored.
+ */
+export async function upsertExecutionOrder({
+  executionId,
+  orderNumber,
+  orderGid,
+  destination,
+  customerEmail,
+  workflowId,
+  status,
+  startedAt,
+  stoppedAt,
+  mode,
+  retryOf,
+  errorNode,
+  errorMessage,
+}) {
+  const toDate = (value) => (value ? new Date(value) : null);
+  const keys = { orderNumber, orderGid, destination, customerEmail, errorNode, errorMessage };
+  const update = { status };
+  for (const [field, value] of Object.entries(keys)) {
+    if (value !== undefined) update[field] = value;
+  }
+  if (stoppedAt !== undefined) update.stoppedAt = toDate(stoppedAt);
+  if (startedAt !== undefined && startedAt !== null) update.startedAt = toDate(startedAt);
+  if (retryOf) update.retryOf = String(retryOf);
+
+  return prisma.executionOrder.upsert({
+    where: { executionId: String(executionId) },
+    create: {
+      executionId: String(executionId),
+      orderNumber: orderNumber ?? null,
+      orderGid: orderGid ?? null,
+      destination: destination ?? null,
+      customerEmail: customerEmail ?? null,
+      workflowId: String(workflowId),
+      status,
+      // Pushed events may come before n8n reports a start time; the sync corrects it later
+      startedAt: toDate(startedAt) ?? new Date(),
+      stoppedAt: toDate(stoppedAt),
+      mode: mode ?? null,
+      retryOf: retryOf ? String(retryOf) : null,
+      errorNode: errorNode ?? null,
+      errorMessage: errorMessage ?? null,
+    },
+    update,
+  });
 }
@@ -0,0 +1,74 @@
+import { resolveWebhookUrl, webhookHeaders } from "./webhooks.server";
+
+const DEFAULT_TIMEOUT = 30_000;
+
+/**
+ * POST a payload to a named webhook from the registry.
+ *
+ * Always resolves to `{ ok, status, error, data }`:
+ *   - JSON responses are parsed into `data`,
+ *   - binary responses (e.g. PDFs) become `{ contentType, base64 }`,
+ *   - anything else is returned as text.
+ * A JSON body with `status: "error"` or an `error` field counts as a failure,
+ * since n8n answers those with HTTP 200.
+ */
+export async function callWebhook(name, payload, { timeoutMs = DEFAULT_TIMEOUT } = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const url = await resolveWebhookUrl(name);
+    const res = await fetch(url, {
+      method: "POST",
+      headers: webhookHeaders(url),
+      body: JSON.stringify(payload ?? {}),
+      signal: controller.signal,
+    });
+    const data = await readBody(res);
+
+    if (!res.ok) {
+      const detail = typeof data === "string" ? data : data?.message || data?.error;
+      return {
+        ok: false,
+        status: res.status,
+        error: `Webhook returned ${res.status}${detail ? `: ${String(detail).slice(0, 500)}` : ""}`,
+        data,
+      };
+    }
+    if (data && typeof data === "object" && (data.status === "error" || data.error)) {
+      return {
+        ok: false,
+        status: res.status,
+        error: String(data.message || data.error || "Workflow reported an error"),
+        data,
+      };
+    }
+    return { ok: true, status: res.status, error: null, data };
+  } catch (e) {
+    const error = e.name === "AbortError" ? `Timeout after ${timeoutMs / 1000}s` : e.message;
+    console.error(`[n8n-webhook] ${name} failed:`, error);
+    return { ok: false, status: null, error, data: null };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function readBody(res) {
+  const contentType = res.headers.get("content-type") || "";
+
+  if (contentType.includes("application/json")) {
+    return res.json().catch(() => null);
+  }
+  if (contentType.startsWith("text/") || !contentType) {
+    const text = await res.text().catch(() => "");
+    if (!text) return null;
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text;
+    }
+  }
+
+  const buffer = Buffer.from(await res.arrayBuffer());
+  return { contentType, base64: buffer.toString("base64") };
+}
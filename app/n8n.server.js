@@ -18,28 +18,209 @@ const N8N_API_KEY = () => {
   return key;
 };
 
+const REQUEST_TIMEOUT = 15_000;
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY = 500;
+const RETRY_MAX_DELAY = 8_000;
+const MAX_CONCURRENT_REQUESTS = 4;
+
+// ─── Errors ───
+
+/**
+ * Base class for failed n8n API calls. `kind` is a stable string the UI can switch on.
+ */
+export class N8nApiError extends Error {
+  constructor(message, { status = null, kind = "unknown", body = "", retryAfter = null } = {}) {
+    super(message);
+    this.name = "N8nApiError";
+    this.status = status;
+    this.kind = kind;
+    this.body = body;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/** 401/403 – API key missing, wrong or lacking scope. */
+export class N8nAuthError extends N8nApiError {
+  constructor(message, opts = {}) {
+    super(message, { ...opts, kind: "auth" });
+    this.name = "N8nAuthError";
+  }
+}
+
+/** 404 – execution or workflow does not exist (anymore). */
+export class N8nNotFoundError extends N8nApiError {
+  constructor(message, opts = {}) {
+    super(message, { ...opts, kind: "not_found" });
+    this.name = "N8nNotFoundError";
+  }
+}
+
+/** 429 – still rate limited after all retries. */
+export class N8nRateLimitError extends N8nApiError {
+  constructor(message, opts = {}) {
+    super(message, { ...opts, kind: "rate_limited" });
+    this.name = "N8nRateLimitError";
+  }
+}
+
+/** 5xx, timeout or network failure – n8n is down or unreachable. */
+export class N8nUnavailableError extends N8nApiError {
+  constructor(message, opts = {}) {
+    super(message, { ...opts, kind: "unavailable" });
+    this.name = "N8nUnavailableError";
+  }
+}
+
+const ERROR_DESCRIPTIONS = {
+  auth: {
+    tone: "critical",
+    title: "n8n rejected the API key",
+    hint: "Check N8N_API_KEY and its scopes in n8n Settings > n8n API.",
+  },
+  not_found: {
+    tone: "warning",
+    title: "Not found in n8n",
+    hint: "The execution or workflow may have been deleted or pruned by n8n.",
+  },
+  rate_limited: {
+    tone: "warning",
+    title: "n8n is rate limiting requests",
+    hint: "Wait a moment and try again.",
+  },
+  unavailable: {
+    tone: "critical",
+    title: "n8n is unreachable",
+    hint: "The n8n instance is down or not responding. Data shown may be out of date.",
+  },
+  unknown: {
+    tone: "critical",
+    title: "n8n request failed",
+    hint: "",
+  },
+};
+
+/**
+ * Plain, JSON-serialisable description of an error for loaders to hand to a Banner:
+ * `{ kind, status, tone, title, hint, message }`.
+ */
+export function describeN8nError(error) {
+  const kind = error instanceof N8nApiError ? error.kind : "unknown";
+  return {
+    kind,
+    status: error?.status ?? null,
+    ...ERROR_DESCRIPTIONS[kind],
+    message: error?.message ?? String(error),
+  };
+}
+
+function errorForResponse(status, body, retryAfter) {
+  const message = `n8n API error ${status}: ${body.slice(0, 500)}`;
+  const opts = { status, body, retryAfter };
+  if (status === 401 || status === 403) return new N8nAuthError(message, opts);
+  if (status === 404) return new N8nNotFoundError(message, opts);
+  if (status === 429) return new N8nRateLimitError(message, opts);
+  if (status >= 500) return new N8nUnavailableError(message, opts);
+  return new N8nApiError(message, opts);
+}
+
+// ─── Concurrency limiter ───
+
+let activeRequests = 0;
+const requestQueue = [];
+
+// A finished request hands its slot straight to the next waiter, so a new caller
+// cannot take it in between and push the count past the limit
+async function withRequestSlot(fn) {
+  if (activeRequests >= MAX_CONCURRENT_REQUESTS) {
+    await new Promise((resolve) => requestQueue.push(resolve));
+  } else {
+    activeRequests++;
+  }
+  try {
+    return await fn();
+  } finally {
+    const next = requestQueue.shift();
+    if (next) next();
+    else activeRequests--;
+  }
+}
+
+// ─── Requests ───
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Exponential backoff with full jitter. Honours Retry-After (seconds) when n8n sends it.
+ */
+function retryDelay(attempt, retryAfter) {
+  const seconds = Number(retryAfter);
+  if (seconds > 0) return Math.min(seconds * 1000, RETRY_MAX_DELAY);
+  const cap = Math.min(RETRY_BASE_DELAY * 2 ** attempt, RETRY_MAX_DELAY);
+  return Math.round(Math.random() * cap);
+}
+
 async function n8nFetch(path, options = {}) {
   const url = `${N8N_API_URL()}/api/v1${path}`;
   return n8nRequest(url, options);
 }
 
-
+/**
+ * Call the n8n API. Retries 429 for every method, and 5xx/timeouts/network errors
+ * only for GET, so a retried POST never runs a workflow twice.
+ */
 async function n8nRequest(url, options = {}) {
-  const response = await fetch(url, {
-    ...options,
-    headers: {
-      "X-N8N-API-KEY": N8N_API_KEY(),
-      "Content-Type": "application/json",
-      ...options.headers,
-    },
-  });
+  const method = (options.method || "GET").toUpperCase();
+  const idempotent = method === "GET";
+  const apiKey = N8N_API_KEY();
+
+  for (let attempt = 0; ; attempt++) {
+    const canRetry = attempt < MAX_RETRIES;
+
+    try {
+      return await withRequestSlot(() => attemptRequest(url, options, apiKey));
+    } catch (e) {
+      if (!(e instanceof N8nApiError)) throw e;
 
-  if (!response.ok) {
-    const body = await response.text();
-    throw new Error(`n8n API error ${response.status}: ${body}`);
+      const retryable = e instanceof N8nRateLimitError || (idempotent && e instanceof N8nUnavailableError);
+      if (!retryable || !canRetry) throw e;
+
+      console.warn(`[n8n] ${method} ${url} failed (${e.status ?? e.message}), retrying (${attempt + 1}/${MAX_RETRIES})`);
+      await sleep(retryDelay(attempt, e.retryAfter));
+    }
   }
+}
 
-  return response.json();
+async function attemptRequest(url, options, apiKey) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+
+  try {
+    const response = await fetch(url, {
+      ...options,
+      signal: controller.signal,
+      headers: {
+        "X-N8N-API-KEY": apiKey,
+        "Content-Type": "application/json",
+        ...options.headers,
+      },
+    });
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => "");
+      throw errorForResponse(response.status, body, response.headers.get("retry-after"));
+    }
+    if (response.status === 204) return null;
+    return await response.json();
+  } catch (e) {
+    if (e instanceof N8nApiError) throw e;
+    if (e.name === "AbortError") {
+      throw new N8nUnavailableError(`n8n did not respond within ${REQUEST_TIMEOUT / 1000}s`);
+    }
+    throw new N8nUnavailableError(`n8n request failed: ${e.message}`);
+  } finally {
+    clearTimeout(timer);
+  }
 }
 
 /**
@@ -116,6 +297,86 @@ export async function getExecution(id, { includeData = false } = {}) {
   return n8nFetch(`/executions/${id}${params}`);
 }
 
+/**
+ * Flatten an execution (fetched with includeData) into one entry per workflow node.
+ * Nodes that did not run are included with `ran: false`.
+ */
+export function extractExecutionNodes(execution) {
+  const workflowNodes = execution?.workflowData?.nodes ?? [];
+  const runData = execution?.data?.resultData?.runData ?? {};
+
+  return workflowNodes.map((node) => {
+    const runs = runData[node.name];
+    const ran = !!runs && runs.length > 0;
+    const lastRun = ran ? runs[runs.length - 1] : null;
+
+    // Extract output items from the node's run data
+    const output = lastRun?.data?.main
+      ?.flat()
+      ?.map((item) => item?.json)
+      ?.filter(Boolean) ?? [];
+
+    return {
+      name: node.name,
+      type: node.type?.split(".").pop() ?? node.type,
+      ran,
+      startTime: lastRun?.startTime ?? null,
+      executionTime: lastRun?.executionTime ?? null,
+      error: lastRun?.error?.message ?? null,
+      output: output.length === 1 ? output[0] : output.length > 0 ? output : null,
+    };
+  });
+}
+
+/**
+ * The error an execution (fetched with includeData) stopped on: `{ node, message }`,
+ * or null when it has none. Falls back to the last node run that carries an error.
+ */
+export function extractExecutionError(execution) {
+  const resultData = execution?.data?.resultData;
+  if (!resultData) return null;
+
+  if (resultData.error) {
+    return {
+      node: resultData.error.node?.name ?? resultData.lastNodeExecuted ?? null,
+      message: resultData.error.message ?? resultData.error.description ?? null,
+    };
+  }
+
+  for (const [node, runs] of Object.entries(resultData.runData ?? {})) {
+    const error = runs?.[runs.length - 1]?.error;
+    if (error) return { node, message: error.message ?? null };
+  }
+  return null;
+}
+
+/**
+ * Fetch an execution with its data and return a summary plus the nodes that ran,
+ * sorted by execution order. Returns null when no ID is given.
+ */
+export async function getExecutionDetail(executionId) {
+  if (!executionId) return null;
+
+  const exec = await getExecution(executionId, { includeData: true });
+  if (!exec) return null;
+
+  const nodes = extractExecutionNodes(exec)
+    .filter((n) => n.ran)
+    .sort((a, b) => (a.startTime ?? 0) - (b.startTime ?? 0));
+
+  return {
+    execution: {
+      id: exec.id,
+      workflowId: exec.workflowId,
+      status: exec.status,
+      startedAt: exec.startedAt,
+      stoppedAt: exec.stoppedAt,
+      mode: exec.mode,
+    },
+    nodes,
+  };
+}
+
 /**
  * Retry an execution.
  *
@@ -130,6 +391,24 @@ export async function retryExecution(id, { loadWorkflow = true } = {}) {
   });
 }
 
+/**
+ * Stop a running or waiting execution. n8n marks it as canceled.
+ *
+ * @param {string} id – Execution ID
+ */
+export async function stopExecution(id) {
+  return n8nFetch(`/executions/${id}/stop`, { method: "POST" });
+}
+
+/**
+ * Delete an execution and its data from n8n.
+ *
+ * @param {string} id – Execution ID
+ */
+export async function deleteExecution(id) {
+  return n8nFetch(`/executions/${id}`, { method: "DELETE" });
+}
+
 /**
  * List all workflows (for filter dropdowns, etc.).
  * Cached in memory for 5 minutes to avoid repeated fetches.
@@ -145,3 +424,51 @@ export async function getWorkflows() {
   workflowsCache = { data: result, expiresAt: Date.now() + CACHE_TTL };
   return result;
 }
+
+/**
+ * List every workflow (active and inactive), following pagination.
+ * Not cached; use for admin pages that need the full list.
+ */
+export async function getAllWorkflows() {
+  const workflows = [];
+  let cursor;
+  do {
+    const params = new URLSearchParams({ limit: "250" });
+    if (cursor) params.set("cursor", cursor);
+    const page = await n8nFetch(`/workflows?${params.toString()}`);
+    workflows.push(...(page.data ?? []));
+    cursor = page.nextCursor;
+  } while (cursor);
+  return workflows;
+}
+
+/**
+ * Get a single workflow including nodes, connections and settings.
+ */
+export async function getWorkflow(id) {
+  return n8nFetch(`/workflows/${id}`);
+}
+
+/**
+ * Activate or deactivate a workflow. Returns the updated workflow.
+ */
+export async function setWorkflowActive(id, active) {
+  const result = await n8nFetch(`/workflows/${id}/${active ? "activate" : "deactivate"}`, {
+    method: "POST",
+  });
+  workflowsCache = { data: null, expiresAt: 0 };
+  return result;
+}
+
+/**
+ * Replace a workflow. The public API only accepts name, nodes, connections,
+ * settings and staticData; anything else in the payload is rejected.
+ */
+export async function updateWorkflow(id, payload) {
+  const result = await n8nFetch(`/workflows/${id}`, {
+    method: "PUT",
+    body: JSON.stringify(payload),
+  });
+  workflowsCache = { data: null, expiresAt: 0 };
+  return result;
+}
@@ -0,0 +1,82 @@
+/**
+ * Status state machine of Webattelier orders, shared by the cards and the
+ * /app/order-status action that enforces it.
+ *
+ *   open → Creating pdf → ready for print → Done
+ *
+ * Any order that is not Done can go to Deleted or error; an order in error
+ * can be reopened. Deleted is the trash: the only way out is a restore, which
+ * puts the order back to its status before the delete. Statuses are written as
+ * below but compared case-insensitively, as older rows hold "done"/"deleted" as
+ * well.
+ */
+export const ORDER_STATUS = {
+  OPEN: "open",
+  CREATING_PDF: "Creating pdf",
+  READY_FOR_PRINT: "ready for print",
+  DONE: "Done",
+  DELETED: "Deleted",
+  ERROR: "error",
+};
+
+const TRANSITIONS = {
+  [ORDER_STATUS.OPEN]: [ORDER_STATUS.CREATING_PDF, ORDER_STATUS.DELETED, ORDER_STATUS.ERROR],
+  [ORDER_STATUS.CREATING_PDF]: [ORDER_STATUS.READY_FOR_PRINT, ORDER_STATUS.DELETED, ORDER_STATUS.ERROR],
+  [ORDER_STATUS.READY_FOR_PRINT]: [ORDER_STATUS.DONE, ORDER_STATUS.DELETED, ORDER_STATUS.ERROR],
+  [ORDER_STATUS.DONE]: [],
+  [ORDER_STATUS.DELETED]: [],
+  [ORDER_STATUS.ERROR]: [ORDER_STATUS.OPEN, ORDER_STATUS.DELETED],
+};
+
+/**
+ * The canonical spelling of a status, or null when it is not part of the state machine.
+ */
+export function normalizeOrderStatus(status) {
+  const lower = String(status ?? "").trim().toLowerCase();
+  return Object.values(ORDER_STATUS).find((s) => s.toLowerCase() === lower) ?? null;
+}
+
+/**
+ * Whether an order may move from status `from` to status `to`.
+ */
+export function canTransition(from, to) {
+  const source = normalizeOrderStatus(from);
+  const target = normalizeOrderStatus(to);
+  return !!source && !!target && TRANSITIONS[source].includes(target);
+}
+
+/**
+ * Browser helper: move one or more orders to `status` through /app/order-status.
+ * Resolves to `{ ok, error, updated, rejected }`; `updated` holds the changed rows,
+ * `rejected` the orders that were left alone (`{ id, status, error }`).
+ */
+export async function setOrderStatus(orderIds, status) {
+  return postOrderStatus({ orderIds: toIdList(orderIds), status });
+}
+
+/**
+ * Browser helper: restore one or more Deleted orders to their status before the
+ * delete. Resolves like setOrderStatus().
+ */
+export async function restoreOrders(orderIds) {
+  return postOrderStatus({ orderIds: toIdList(orderIds), restore: true });
+}
+
+function toIdList(orderIds) {
+  return (Array.isArray(orderIds) ? orderIds : [orderIds]).map(String);
+}
+
+async function postOrderStatus(body) {
+  try {
+    const res = await fetch("/app/order-status", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    const result = await res.json().catch(() => null);
+    if (!result) return { ok: false, error: `HTTP ${res.status}`, updated: [], rejected: [] };
+    return result;
+  } catch (e) {
+    return { ok: false, error: e.message, updated: [], rejected: [] };
+  }
+}
@@ -0,0 +1,165 @@
+import supabase from "./supabase.server";
+import { ORDER_STATUS, canTransition, normalizeOrderStatus } from "./order-status";
+
+const ORDERS_TABLE = "Webattelier - orders";
+const HISTORY_TABLE = "Webattelier - order status history";
+
+export class OrderStatusError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "OrderStatusError";
+    this.status = status;
+  }
+}
+
+async function readOrders(ids) {
+  const { data, error } = await supabase.from(ORDERS_TABLE).select("id, status").in("id", ids);
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Apply `[{ id, from, to }]` changes. Rows are only updated while they still hold
+ * `from` (the status they were read with), so a concurrent change is rejected
+ * instead of overwritten. Every change is written to the status history.
+ */
+async function applyStatusChanges(changes, staff) {
+  const groups = {};
+  for (const change of changes) {
+    (groups[`${change.from}\u0000${change.to}`] ??= { ...change, ids: [] }).ids.push(change.id);
+  }
+
+  const changedAt = new Date().toISOString();
+  const updated = [];
+  const rejected = [];
+  for (const { from, to, ids } of Object.values(groups)) {
+    const { data, error } = await supabase
+      .from(ORDERS_TABLE)
+      .update({ status: to, status_changed_at: changedAt, status_changed_by: staff.name })
+      .in("id", ids)
+      .eq("status", from)
+      .select();
+    if (error) throw error;
+
+    updated.push(...data);
+    for (const id of ids) {
+      if (!data.some((r) => String(r.id) === id)) {
+        rejected.push({ id, status: from, error: "Status changed meanwhile, reload and try again" });
+      }
+    }
+
+    await recordHistory(data.map((r) => String(r.id)), from, to, staff, changedAt);
+  }
+
+  return { updated, rejected };
+}
+
+/**
+ * History rows are what a restore reads, but the status itself is already
+ * changed by now: a failed insert is logged rather than failing the request.
+ */
+async function recordHistory(orderIds, from, to, staff, changedAt) {
+  if (orderIds.length === 0) return;
+  const { error } = await supabase.from(HISTORY_TABLE).insert(
+    orderIds.map((id) => ({
+      order_id: id,
+      from_status: from,
+      to_status: to,
+      changed_by: staff.name,
+      changed_at: changedAt,
+    })),
+  );
+  if (error) console.error("[order-status] Failed to record status history:", error.message);
+}
+
+/**
+ * Move Webattelier orders to `status`, enforcing the state machine in order-status.js.
+ * Each row is stamped with `status_changed_at` and `status_changed_by`, and the
+ * change is kept in the "Webattelier - order status history" table.
+ *
+ * Returns `{ updated, rejected }`: the updated rows, and `{ id, status, error }`
+ * for each order that was missing, in a status that cannot move to `status`,
+ * or changed meanwhile. Throws OrderStatusError for an unknown target status.
+ *
+ * @param {Array<string|number>} orderIds
+ * @param {string} status
+ * @param {{ staff: { id: string|null, name: string } }} options - From getStaffMember()
+ */
+export async function transitionOrderStatuses(orderIds, status, { staff }) {
+  const target = normalizeOrderStatus(status);
+  if (!target) throw new OrderStatusError(`Unknown status "${status}"`);
+
+  const ids = [...new Set(orderIds.map(String))];
+  if (ids.length === 0) return { updated: [], rejected: [] };
+
+  const current = await readOrders(ids);
+  const rejected = [];
+  const changes = [];
+  for (const id of ids) {
+    const row = current.find((r) => String(r.id) === id);
+    if (!row) {
+      rejected.push({ id, status: null, error: "Order not found" });
+    } else if (!canTransition(row.status, target)) {
+      rejected.push({ id, status: row.status, error: `Cannot change status from "${row.status}" to "${target}"` });
+    } else {
+      changes.push({ id, from: row.status, to: target });
+    }
+  }
+
+  const result = await applyStatusChanges(changes, staff);
+  return { updated: result.updated, rejected: [...rejected, ...result.rejected] };
+}
+
+/**
+ * The status each order had before it was last deleted, from the status history.
+ * Orders deleted before the history existed are missing from the result.
+ */
+async function getStatusesBeforeDelete(orderIds) {
+  const { data, error } = await supabase
+    .from(HISTORY_TABLE)
+    .select("order_id, from_status, to_status, changed_at")
+    .in("order_id", orderIds)
+    .ilike("to_status", ORDER_STATUS.DELETED)
+    .order("changed_at", { ascending: false });
+  if (error) throw error;
+
+  const previous = {};
+  for (const row of data) {
+    if (!(row.order_id in previous)) previous[row.order_id] = normalizeOrderStatus(row.from_status);
+  }
+  return previous;
+}
+
+/**
+ * Take orders out of the trash: each Deleted order goes back to the status it had
+ * before it was deleted, or to "open" when the history does not go back that far.
+ * This is the one way out of Deleted, outside the normal state machine.
+ *
+ * Returns `{ updated, rejected }` like transitionOrderStatuses().
+ *
+ * @param {Array<string|number>} orderIds
+ * @param {{ staff: { id: string|null, name: string } }} options - From getStaffMember()
+ */
+export async function restoreDeletedOrders(orderIds, { staff }) {
+  const ids = [...new Set(orderIds.map(String))];
+  if (ids.length === 0) return { updated: [], rejected: [] };
+
+  const [current, previous] = await Promise.all([readOrders(ids), getStatusesBeforeDelete(ids)]);
+  const rejected = [];
+  const changes = [];
+  for (const id of ids) {
+    const row = current.find((r) => String(r.id) === id);
+    if (!row) {
+      rejected.push({ id, status: null, error: "Order not found" });
+    } else if (normalizeOrderStatus(row.status) !== ORDER_STATUS.DELETED) {
+      rejected.push({ id, status: row.status, error: `Order is not deleted (status "${row.status}")` });
+    } else {
+      const before = previous[id];
+      const to = before && before !== ORDER_STATUS.DELETED ? before : ORDER_STATUS.OPEN;
+      changes.push({ id, from: row.status, to });
+    }
+  }
+
+  const result = await applyStatusChanges(changes, staff);
+  return { updated: result.updated, rejected: [...rejected, ...result.rejected] };
+}
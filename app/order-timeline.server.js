@@ -0,0 +1,150 @@
+import prisma from "./db.server";
+import { getExecution, getWorkflows, describeN8nError, N8nNotFoundError } from "./n8n.server";
+
+// Retries of retries are followed this many levels deep
+const MAX_RETRY_DEPTH = 5;
+
+/**
+ * Extract the n8n execution ID from a workflow URL.
+ * Handles URLs like:
+ *   https://n8n.example.com/workflow/abc123/executions/12345
+ *   https://n8n.example.com/execution/12345
+ */
+export function extractExecutionId(url) {
+  if (!url) return null;
+  try {
+    const parsed = new URL(url);
+    const parts = parsed.pathname.split("/").filter(Boolean);
+    const execIdx = parts.indexOf("executions");
+    if (execIdx !== -1 && parts[execIdx + 1]) return parts[execIdx + 1];
+    const execIdx2 = parts.indexOf("execution");
+    if (execIdx2 !== -1 && parts[execIdx2 + 1]) return parts[execIdx2 + 1];
+    return parts[parts.length - 1] || null;
+  } catch {
+    return null;
+  }
+}
+
+function toRun(row) {
+  return {
+    id: String(row.executionId ?? row.id),
+    workflowId: row.workflowId != null ? String(row.workflowId) : null,
+    status: row.status ?? null,
+    startedAt: row.startedAt ?? null,
+    stoppedAt: row.stoppedAt ?? null,
+    mode: row.mode ?? null,
+    retryOf: row.retryOf != null ? String(row.retryOf) : null,
+    sources: [],
+    missing: false,
+  };
+}
+
+function byStartedAt(a, b) {
+  if (!a.startedAt) return b.startedAt ? 1 : 0;
+  if (!b.startedAt) return -1;
+  return new Date(a.startedAt) - new Date(b.startedAt);
+}
+
+/**
+ * Local rows for the order, plus retries of those rows (and of `extraIds`)
+ * up to MAX_RETRY_DEPTH levels.
+ */
+async function findLocalRuns({ orderNumber, orderGid, extraIds }) {
+  const or = [];
+  if (orderNumber) or.push({ orderNumber });
+  if (orderGid) or.push({ orderGid });
+  if (extraIds.length > 0) or.push({ executionId: { in: extraIds } });
+  if (or.length === 0) return [];
+
+  const rows = await prisma.executionOrder.findMany({ where: { OR: or } });
+  const seen = new Set(rows.map((r) => r.executionId));
+  let parents = [...seen, ...extraIds];
+
+  for (let depth = 0; depth < MAX_RETRY_DEPTH && parents.length > 0; depth++) {
+    const retries = await prisma.executionOrder.findMany({
+      where: { retryOf: { in: parents }, executionId: { notIn: [...seen] } },
+    });
+    retries.forEach((r) => seen.add(r.executionId));
+    rows.push(...retries);
+    parents = retries.map((r) => r.executionId);
+  }
+  return rows;
+}
+
+/**
+ * Every n8n execution linked to an order, as a chronological list of runs with
+ * their retries nested under the run they retried.
+ *
+ * Runs come from ExecutionOrder (by order number or GID) and from `links`
+ * (`[{ url, source }]`, the execution URLs stored in order metafields). Linked
+ * executions that were never synced are fetched from n8n; ones n8n no longer
+ * has are kept with `missing: true`.
+ *
+ * Returns `{ runs, n8nError }`. Each run is `{ id, workflowId, workflowName,
+ * status, startedAt, stoppedAt, mode, retryOf, sources, missing, retries }`.
+ */
+export async function getOrderTimeline({ orderNumber, orderGid, links = [] }) {
+  const linked = links
+    .map((link) => ({ ...link, executionId: extractExecutionId(link.url) }))
+    .filter((link) => link.executionId);
+  const linkedIds = [...new Set(linked.map((l) => l.executionId))];
+
+  const rows = await findLocalRuns({ orderNumber, orderGid, extraIds: linkedIds });
+  const runs = new Map(rows.map((row) => [row.executionId, toRun(row)]));
+
+  let n8nError = null;
+  const unsynced = linkedIds.filter((id) => !runs.has(id));
+  const fetched = await Promise.all(
+    unsynced.map((id) =>
+      getExecution(id).catch((e) => {
+        if (!(e instanceof N8nNotFoundError)) {
+          console.error(`[order-timeline] Failed to fetch execution ${id}:`, e.message);
+          n8nError ??= describeN8nError(e);
+        }
+        return null;
+      }),
+    ),
+  );
+  unsynced.forEach((id, i) => {
+    runs.set(id, fetched[i] ? toRun(fetched[i]) : { ...toRun({ executionId: id }), missing: true });
+  });
+
+  for (const link of linked) {
+    const run = runs.get(link.executionId);
+    if (!run.sources.includes(link.source)) run.sources.push(link.source);
+  }
+
+  let workflowNames = {};
+  try {
+    const workflows = (await getWorkflows()).data ?? [];
+    workflowNames = Object.fromEntries(workflows.map((w) => [String(w.id), w.name]));
+  } catch (e) {
+    console.error("[order-timeline] Failed to load workflow names:", e.message);
+  }
+
+  // Walk up the retryOf chain to the first run that is in the timeline
+  const rootOf = (run) => {
+    const visited = new Set();
+    let current = run;
+    while (current.retryOf && runs.has(current.retryOf) && !visited.has(current.retryOf)) {
+      visited.add(current.id);
+      current = runs.get(current.retryOf);
+    }
+    return current;
+  };
+
+  const roots = new Map();
+  const retries = [];
+  for (const run of runs.values()) {
+    const entry = { ...run, workflowName: workflowNames[run.workflowId] ?? null };
+    if (rootOf(run) === run) roots.set(run.id, { ...entry, retries: [] });
+    else retries.push(entry);
+  }
+  for (const retry of retries) {
+    roots.get(rootOf(runs.get(retry.id)).id)?.retries.push(retry);
+  }
+
+  const timeline = [...roots.values()].sort(byStartedAt);
+  timeline.forEach((run) => run.retries.sort(byStartedAt));
+  return { runs: timeline, n8nError };
+}
@@ -0,0 +1,124 @@
+import prisma from "./db.server";
+import supabase from "./supabase.server";
+import { ORDER_STATUS } from "./order-status";
+
+const ORDERS_TABLE = "Webattelier - orders";
+const PURGE_COOLDOWN = 60 * 60 * 1000; // 1 hour between scheduled purges
+const MAX_ORDERS_PER_PURGE = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const RETENTION_KEY = "order_trash_retention_days";
+
+let purgeInProgress = false;
+let lastPurgeTime = 0;
+
+/**
+ * Days an order stays in the trash (status Deleted) before it is purged, from
+ * the `order_trash_retention_days` setting.
+ */
+export async function getTrashRetentionDays() {
+  try {
+    const setting = await prisma.setting.findUnique({ where: { key: RETENTION_KEY } });
+    const days = parseInt(setting?.value, 10);
+    return days > 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+  } catch {
+    return DEFAULT_TRASH_RETENTION_DAYS;
+  }
+}
+
+/**
+ * Ids of Deleted orders that went to the trash before `cutoff`. Orders without
+ * a status stamp are never expired (the status stamp migration backfills them).
+ */
+async function findExpiredOrders(cutoff) {
+  const { data, error } = await supabase
+    .from(ORDERS_TABLE)
+    .select("id")
+    .ilike("status", ORDER_STATUS.DELETED)
+    .lt("status_changed_at", cutoff.toISOString())
+    .order("id", { ascending: true })
+    .limit(MAX_ORDERS_PER_PURGE);
+  if (error) throw error;
+  return data.map((r) => String(r.id));
+}
+
+/**
+ * Permanently delete orders that have been in the trash longer than the
+ * retention window, together with their "Webattelier - lines", in one
+ * transaction (the webattelier_purge_orders function). Only orders still
+ * Deleted are removed, so an order restored meanwhile keeps its lines. At most
+ * 500 orders per run; the rest follows next run.
+ *
+ * A scheduled run is throttled to once per hour and fire-and-forget; a manual
+ * run is not throttled. Runs that purged something, failed, or were started
+ * manually are kept as an OrderPurgeReport, which is returned (null when skipped).
+ *
+ * @param {{ trigger?: "scheduled"|"manual", staff?: { id: string|null, name: string } }} [options]
+ */
+export async function purgeDeletedOrders({ trigger = "scheduled", staff = null } = {}) {
+  if (purgeInProgress) return null;
+  if (trigger === "scheduled" && Date.now() - lastPurgeTime < PURGE_COOLDOWN) return null;
+  purgeInProgress = true;
+
+  const retentionDays = await getTrashRetentionDays();
+  const purged = [];
+  let lineCount = 0;
+  let error = null;
+
+  try {
+    const expired = await findExpiredOrders(new Date(Date.now() - retentionDays * DAY_MS));
+    if (expired.length > 0) {
+      const { data, error: purgeError } = await supabase.rpc("webattelier_purge_orders", { p_order_ids: expired });
+      if (purgeError) throw purgeError;
+      purged.push(...data.orderIds);
+      lineCount = data.lineCount;
+    }
+  } catch (e) {
+    console.error("[order-trash] Purge failed:", e.message);
+    error = e.message;
+  } finally {
+    purgeInProgress = false;
+    lastPurgeTime = Date.now();
+  }
+
+  if (purged.length === 0 && !error && trigger === "scheduled") return null;
+
+  return saveReport({ trigger, staff, retentionDays, purged, lineCount, error });
+}
+
+async function saveReport({ trigger, staff, retentionDays, purged, lineCount, error }) {
+  try {
+    const report = await prisma.orderPurgeReport.create({
+      data: {
+        trigger,
+        staffName: staff?.name ?? null,
+        retentionDays,
+        orderIds: JSON.stringify(purged),
+        orderCount: purged.length,
+        lineCount,
+        error,
+      },
+    });
+    return toReport(report);
+  } catch (e) {
+    console.error("[order-trash] Failed to save purge report:", e.message);
+    return null;
+  }
+}
+
+function toReport(row) {
+  let orderIds = [];
+  try {
+    orderIds = JSON.parse(row.orderIds);
+  } catch {}
+  return { ...row, orderIds };
+}
+
+/**
+ * The most recent purge reports, newest first.
+ */
+export async function getPurgeReports({ limit = 20 } = {}) {
+  const rows = await prisma.orderPurgeReport.findMany({ orderBy: { createdAt: "desc" }, take: limit });
+  return rows.map(toReport);
+}
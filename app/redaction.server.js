@@ -0,0 +1,260 @@
+import prisma from "./db.server";
+import { getExecution, getExecutionDetail } from "./n8n.server";
+import { recordAudit } from "./audit.server";
+
+const SETTINGS_KEY = "redaction_settings";
+const ROLES_KEY = "staff_roles";
+
+export const REDACTED = "[redacted]";
+
+export const DEFAULT_PATTERNS = ["email", "phone", "address1", "address2", "iban"];
+
+export const ROLES = [
+  { value: "admin", label: "Beheerder" },
+  { value: "support", label: "Support" },
+  { value: "viewer", label: "Alleen lezen" },
+];
+
+// Staff without an assigned role
+export const DEFAULT_ROLE = "support";
+
+export class RevealDeniedError extends Error {
+  constructor(message = "Not allowed to show unredacted data") {
+    super(message);
+    this.name = "RevealDeniedError";
+  }
+}
+
+function normalizeKey(key) {
+  return String(key).toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * `{ patterns, revealRoles }` from the `redaction_settings` setting.
+ * A key is redacted when it contains one of the patterns, ignoring case,
+ * `_` and `-` ("phone" matches "phone_number" and "billingPhone").
+ */
+export async function getRedactionSettings() {
+  try {
+    const setting = await prisma.setting.findUnique({ where: { key: SETTINGS_KEY } });
+    if (setting?.value) {
+      const stored = JSON.parse(setting.value);
+      return {
+        patterns: Array.isArray(stored.patterns) ? stored.patterns : DEFAULT_PATTERNS,
+        revealRoles: Array.isArray(stored.revealRoles) ? stored.revealRoles : ["admin"],
+      };
+    }
+  } catch (e) {
+    console.error("[redaction] Failed to read settings:", e.message);
+  }
+  return { patterns: DEFAULT_PATTERNS, revealRoles: ["admin"] };
+}
+
+/**
+ * Store patterns (normalised like keys) and the roles allowed to reveal.
+ */
+export async function saveRedactionSettings({ patterns, revealRoles }) {
+  const cleaned = {
+    patterns: [...new Set((patterns ?? []).map(normalizeKey).filter(Boolean))],
+    revealRoles: (revealRoles ?? []).filter((role) => ROLES.some((r) => r.value === role)),
+  };
+  const value = JSON.stringify(cleaned);
+  await prisma.setting.upsert({
+    where: { key: SETTINGS_KEY },
+    update: { value },
+    create: { key: SETTINGS_KEY, value },
+  });
+  return cleaned;
+}
+
+/**
+ * `{ [staffId]: role }` from the `staff_roles` setting.
+ */
+export async function getStaffRoles() {
+  try {
+    const setting = await prisma.setting.findUnique({ where: { key: ROLES_KEY } });
+    if (setting?.value) return JSON.parse(setting.value);
+  } catch (e) {
+    console.error("[redaction] Failed to read staff roles:", e.message);
+  }
+  return {};
+}
+
+/**
+ * Assign a role to a staff member; the default role removes the entry.
+ */
+export async function saveStaffRole(staffId, role) {
+  const id = String(staffId ?? "").trim();
+  if (!/^\d+$/.test(id)) throw new Error("Staff ID must be numeric");
+  if (!ROLES.some((r) => r.value === role)) throw new Error(`Unknown role "${role}"`);
+
+  const roles = await getStaffRoles();
+  if (role === DEFAULT_ROLE) delete roles[id];
+  else roles[id] = role;
+
+  const value = JSON.stringify(roles);
+  await prisma.setting.upsert({
+    where: { key: ROLES_KEY },
+    update: { value },
+    create: { key: ROLES_KEY, value },
+  });
+  return roles;
+}
+
+/**
+ * Staff IDs that are admin regardless of the stored roles: the comma-separated
+ * ADMIN_STAFF_IDS environment variable. With the shop owner these bootstrap the
+ * first admin, who can then assign roles to others.
+ */
+function bootstrapAdminIds() {
+  return (process.env.ADMIN_STAFF_IDS || "").split(",").map((id) => id.trim()).filter(Boolean);
+}
+
+/**
+ * Role of a staff member: the assigned one, "admin" for the shop owner and
+ * ADMIN_STAFF_IDS, otherwise DEFAULT_ROLE.
+ */
+function roleOf(staff, roles) {
+  if (!staff?.id) return null;
+  if (roles[staff.id]) return roles[staff.id];
+  if (staff.accountOwner || bootstrapAdminIds().includes(String(staff.id))) return "admin";
+  return DEFAULT_ROLE;
+}
+
+/**
+ * Role of a staff member (see roleOf), for display.
+ */
+export async function getStaffRole(staff) {
+  return roleOf(staff, await getStaffRoles());
+}
+
+/**
+ * Whether a staff member has the admin role. Unknown staff never do.
+ */
+export async function isAdmin(staff) {
+  return roleOf(staff, await getStaffRoles()) === "admin";
+}
+
+/**
+ * Whether a staff member may change redaction settings and roles: admins only.
+ */
+export async function canManagePrivacy(staff) {
+  return isAdmin(staff);
+}
+
+/**
+ * Whether a staff member may see unredacted execution data.
+ */
+export async function canRevealUnredacted(staff) {
+  if (!staff?.id) return false;
+  const [{ revealRoles }, roles] = await Promise.all([getRedactionSettings(), getStaffRoles()]);
+  return revealRoles.includes(roleOf(staff, roles));
+}
+
+/**
+ * Deep copy of `value` with every non-null value under a matching key replaced
+ * by REDACTED. Objects and arrays under a matching key are masked leaf by leaf,
+ * so their shape stays visible.
+ */
+export function redactJson(value, patterns, masked = false) {
+  if (Array.isArray(value)) return value.map((item) => redactJson(item, patterns, masked));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, child]) => {
+        const normalized = normalizeKey(key);
+        const match = masked || patterns.some((p) => normalized.includes(p));
+        return [key, redactJson(child, patterns, match)];
+      }),
+    );
+  }
+  return masked && value != null ? REDACTED : value;
+}
+
+// Free text (error messages) has no keys, so these patterns are matched on the
+// shape of the value instead
+const TEXT_PATTERNS = {
+  email: /[^\s@"'<>()[\]]+@[^\s@"'<>()[\]]+\.[a-z]{2,}/gi,
+  phone: /(?:\+|\b0)\d[\d -]{7,}\d/g,
+  iban: /\b[A-Z]{2}\d{2}[A-Z0-9]{11,30}\b/g,
+};
+
+/**
+ * `text` with email addresses, phone numbers and IBANs replaced by REDACTED,
+ * for each of those the configured patterns include.
+ */
+export function redactText(text, patterns) {
+  if (text == null) return text;
+  return patterns.reduce(
+    (result, pattern) => (TEXT_PATTERNS[pattern] ? result.replace(TEXT_PATTERNS[pattern], REDACTED) : result),
+    String(text),
+  );
+}
+
+/**
+ * Redaction for execution data shown outside the reveal flow (lists, error
+ * messages, exports): `{ redacted, json, text }`. Staff who may see unredacted
+ * data get values as they are; for everyone else `json` masks by key like
+ * redactJson and `text` masks free text like redactText.
+ */
+export async function getViewRedaction(staff) {
+  const [allowed, { patterns }] = await Promise.all([canRevealUnredacted(staff), getRedactionSettings()]);
+  if (allowed) return { redacted: false, json: (value) => value, text: (text) => text };
+  return {
+    redacted: true,
+    json: (value) => redactJson(value, patterns),
+    text: (text) => redactText(text, patterns),
+  };
+}
+
+/**
+ * Check a reveal request and audit it. Returns whether data goes out unredacted.
+ * Throws RevealDeniedError when the staff member lacks the permission.
+ */
+async function authorizeReveal({ reveal, staff, executionId, action }) {
+  if (!reveal) return false;
+  if (!(await canRevealUnredacted(staff))) throw new RevealDeniedError();
+  await recordAudit({ action, target: `execution:${executionId}`, staff, required: true });
+  return true;
+}
+
+/**
+ * getExecutionDetail() with node output and node errors redacted, unless
+ * `reveal` is set and the staff member may see unredacted data (audited as
+ * "pii_reveal").
+ *
+ * Returns `{ detail, redacted, canReveal }`.
+ */
+export async function getRedactedExecutionDetail(executionId, { staff, reveal = false }) {
+  const revealed = await authorizeReveal({ reveal, staff, executionId, action: "pii_reveal" });
+  const [detail, canReveal, { patterns }] = await Promise.all([
+    getExecutionDetail(executionId),
+    revealed ? true : canRevealUnredacted(staff),
+    getRedactionSettings(),
+  ]);
+
+  if (!detail || revealed) return { detail, redacted: false, canReveal };
+  return {
+    detail: {
+      ...detail,
+      nodes: detail.nodes.map((node) => ({
+        ...node,
+        output: redactJson(node.output, patterns),
+        error: redactText(node.error, patterns),
+      })),
+    },
+    redacted: true,
+    canReveal,
+  };
+}
+
+/**
+ * The full execution (with data) for download, redacted unless revealed
+ * (audited as "pii_download").
+ */
+export async function getRedactedExecution(executionId, { staff, reveal = false }) {
+  const revealed = await authorizeReveal({ reveal, staff, executionId, action: "pii_download" });
+  const execution = await getExecution(executionId, { includeData: true });
+  if (revealed) return execution;
+  const { patterns } = await getRedactionSettings();
+  return redactJson(execution, patterns);
+}
@@ -35,6 +35,10 @@ import { authenticate } from "../shopify.server";
 import { syncExecutions } from "../n8n-sync.server";
 import prisma from "../db.server";
 import { NAV_PAGES } from "./app";
+import { downloadExecutionJson } from "../execution-download";
+import { ExecutionAnnotation } from "../components/ExecutionAnnotation";
+import { N8nErrorBanner } from "../components/N8nErrorBanner";
+import { RedactionControls } from "../components/RedactionControls";
 import {
   searchSoftrRecords,
   hasCachedData,
@@ -98,6 +102,7 @@ export const loader = async ({ request }) => {
             totalPriceSet { shopMoney { amount currencyCode } }
             n8nWorkflowUrl: metafield(namespace: "custom", key: "n8n_workflow_url") { value }
             n8nOrderFinisherUrl: metafield(namespace: "custom", key: "n8n_order_finisher_url") { value }
+            n8nExecutionUrls: metafield(namespace: "custom", key: "n8n_execution_urls") { value }
             changeLog: metafield(namespace: "custom", key: "change_log") { value }
             lineItems(first: 50) {
               nodes {
@@ -317,59 +322,115 @@ function WorkflowNodes({ nodes, isLoading }) {
   );
 }
 
-// ─── Workflow section (clickable row with status) ───
+// ─── Workflow timeline (every run linked to the order) ───
 
-function WorkflowSection({ label, data, isLoading, onClick, onRetry, isRetrying }) {
-  const disabled = !isLoading && !data;
-  const execution = data?.execution;
+const STOPPABLE_STATUSES = ["new", "running", "waiting"];
+
+const RUN_SOURCE_LABELS = {
+  workflow: "Workflow URL",
+  finisher: "Order Finisher URL",
+  linked: "Linked",
+};
+
+function runLabel(run) {
+  if (run.workflowName) return run.workflowName;
+  if (run.workflowId) return `Workflow ${run.workflowId}`;
+  return "Unknown workflow";
+}
+
+function TimelineRun({ run, isRetry, onClick, onRetry, retryingId, onAction, pendingAction }) {
+  const disabled = run.missing;
+  const pending = pendingAction?.executionId === run.id ? pendingAction.action : null;
 
   return (
     <div
       style={{
         padding: "12px 16px",
+        marginLeft: isRetry ? 24 : 0,
         borderRadius: 10,
         border: "1px solid var(--p-color-border)",
+        borderLeft: isRetry ? "3px solid var(--p-color-border-emphasis)" : "1px solid var(--p-color-border)",
         background: "var(--p-color-bg-surface)",
         opacity: disabled ? 0.6 : 1,
       }}
     >
       <InlineStack align="space-between" blockAlign="center" gap="200">
         <div
-          onClick={disabled ? undefined : onClick}
+          onClick={disabled ? undefined : () => onClick(run)}
           style={{ flex: 1, cursor: disabled ? "default" : "pointer" }}
         >
           <BlockStack gap="050">
-            <Text variant="bodySm" fontWeight="semibold">{label}</Text>
-            {isLoading ? (
-              <Text variant="bodySm" tone="subdued">Loading...</Text>
-            ) : execution ? (
-              <Text variant="bodySm" tone="subdued">
-                {formatDate(execution.startedAt)} &middot; {formatDuration(execution.startedAt, execution.stoppedAt)}
+            <InlineStack gap="100" blockAlign="center">
+              <Text variant="bodySm" fontWeight="semibold">
+                {isRetry ? `Retry \u2014 ${runLabel(run)}` : runLabel(run)}
               </Text>
-            ) : (
-              <Text variant="bodySm" tone="subdued">No workflow run</Text>
-            )}
+              {run.sources.map((source) => (
+                <Badge key={source} size="small">{RUN_SOURCE_LABELS[source] ?? source}</Badge>
+              ))}
+            </InlineStack>
+            <Text variant="bodySm" tone="subdued">
+              #{run.id} &middot;{" "}
+              {run.missing
+                ? "No longer in n8n"
+                : <>{formatDate(run.startedAt)} &middot; {formatDuration(run.startedAt, run.stoppedAt)}</>}
+            </Text>
           </BlockStack>
         </div>
         <InlineStack gap="200" blockAlign="center">
-          {isLoading ? (
-            <Spinner size="small" />
-          ) : execution ? (
-            <StatusBadge status={execution.status} map={EXEC_STATUS_BADGE} />
+          {run.missing ? (
+            <Badge tone="new">Missing</Badge>
           ) : (
-            <Badge tone="new">No run</Badge>
+            <StatusBadge status={run.status} map={EXEC_STATUS_BADGE} />
           )}
-          {onRetry && (
-            <Button size="slim" onClick={onRetry} loading={isRetrying} disabled={disabled}>
+          {!disabled && (
+            <Button size="slim" onClick={() => onRetry(run)} loading={retryingId === run.id}>
               Retry
             </Button>
           )}
+          {!disabled && STOPPABLE_STATUSES.includes(run.status) && (
+            <Button size="slim" onClick={() => onAction(run, "stop")} loading={pending === "stop"}>
+              Stop
+            </Button>
+          )}
+          {!disabled && (
+            <Button size="slim" tone="critical" onClick={() => onAction(run, "delete")} loading={pending === "delete"}>
+              Delete
+            </Button>
+          )}
         </InlineStack>
       </InlineStack>
     </div>
   );
 }
 
+function WorkflowTimeline({ runs, isLoading, ...handlers }) {
+  if (isLoading && !runs) {
+    return (
+      <InlineStack gap="200" blockAlign="center">
+        <Spinner size="small" />
+        <Text variant="bodySm" tone="subdued">Loading workflow runs...</Text>
+      </InlineStack>
+    );
+  }
+
+  if (!runs || runs.length === 0) {
+    return <Text variant="bodySm" tone="subdued">No workflow runs linked to this order.</Text>;
+  }
+
+  return (
+    <BlockStack gap="200">
+      {runs.map((run) => (
+        <BlockStack key={run.id} gap="100">
+          <TimelineRun run={run} {...handlers} />
+          {run.retries.map((retry) => (
+            <TimelineRun key={retry.id} run={retry} isRetry {...handlers} />
+          ))}
+        </BlockStack>
+      ))}
+    </BlockStack>
+  );
+}
+
 // ─── Line items panel ───
 
 function LineItemsPanel({ order }) {
@@ -451,6 +512,10 @@ function formatChangeLogDetails(entry) {
       return `Retried workflow execution${entry.executionId ? ` #${entry.executionId}` : ""}`;
     case "order_resend":
       return "Resent order to webhook";
+    case "execution_stop":
+      return `Stopped workflow execution #${entry.executionId}${entry.staff ? ` (${entry.staff})` : ""}`;
+    case "execution_delete":
+      return `Deleted workflow execution #${entry.executionId}${entry.staff ? ` (${entry.staff})` : ""}`;
     default:
       return entry.action;
   }
@@ -462,11 +527,13 @@ function formatChangeLogAction(action) {
     case "softr_record_delete": return "Record Delete";
     case "workflow_retry": return "Workflow Retry";
     case "order_resend": return "Order Resend";
+    case "execution_stop": return "Execution Stop";
+    case "execution_delete": return "Execution Delete";
     default: return action;
   }
 }
 
-function OrderDetailPanel({ order, workflowData, workflowLoading, onOpenModal, onRetry, retryingType, onOpenChangelog, onResendOrder, isResending }) {
+function OrderDetailPanel({ order, timeline, timelineLoading, onOpenModal, onRetry, retryingId, onExecutionAction, pendingExecutionAction, onOpenChangelog, onResendOrder, isResending }) {
   if (!order) {
     return (
       <Card>
@@ -481,8 +548,6 @@ function OrderDetailPanel({ order, workflowData, workflowLoading, onOpenModal, o
   }
 
   const money = order.totalPriceSet?.shopMoney;
-  const hasWorkflowUrl = !!order.n8nWorkflowUrl?.value;
-  const hasFinisherUrl = !!order.n8nOrderFinisherUrl?.value;
 
   return (
     <Card>
@@ -508,22 +573,18 @@ function OrderDetailPanel({ order, workflowData, workflowLoading, onOpenModal, o
           <Divider />
 
           <BlockStack gap="300">
-            <Text variant="headingSm" as="h3">Workflow Executions</Text>
-            <WorkflowSection
-              label="Workflow"
-              data={hasWorkflowUrl ? workflowData?.workflow : null}
-              isLoading={hasWorkflowUrl && workflowLoading}
-              onClick={() => onOpenModal("workflow")}
-              onRetry={hasWorkflowUrl ? () => onRetry("workflow") : null}
-              isRetrying={retryingType === "workflow"}
-            />
-            <WorkflowSection
-              label="Order Finisher"
-              data={hasFinisherUrl ? workflowData?.finisher : null}
-              isLoading={hasFinisherUrl && workflowLoading}
-              onClick={() => onOpenModal("finisher")}
-              onRetry={hasFinisherUrl ? () => onRetry("finisher") : null}
-              isRetrying={retryingType === "finisher"}
+            <InlineStack gap="200" blockAlign="center">
+              <Text variant="headingSm" as="h3">Workflow Executions</Text>
+              {timelineLoading && timeline && <Spinner size="small" />}
+            </InlineStack>
+            <WorkflowTimeline
+              runs={timeline}
+              isLoading={timelineLoading}
+              onClick={onOpenModal}
+              onRetry={onRetry}
+              retryingId={retryingId}
+              onAction={onExecutionAction}
+              pendingAction={pendingExecutionAction}
             />
           </BlockStack>
         </BlockStack>
@@ -860,12 +921,14 @@ export default function OrderSearch() {
   const navigation = useNavigation();
   const shopify = useAppBridge();
   const [searchParams, setSearchParams] = useSearchParams();
-  const [workflowData, setWorkflowData] = useState(null);
-  const [workflowLoading, setWorkflowLoading] = useState(false);
+  const [timelineData, setTimelineData] = useState(null);
+  const [timelineLoading, setTimelineLoading] = useState(false);
 
   const isNavigating = navigation.state === "loading";
   const [searchInput, setSearchInput] = useState(query || "");
-  const [modalType, setModalType] = useState(null); // "workflow" | "finisher"
+  const [modalRun, setModalRun] = useState(null);
+  const [modalDetail, setModalDetail] = useState(null);
+  const [modalLoading, setModalLoading] = useState(false);
 
   const selected = selectedOrder
     ? orders.find((o) => o.name === selectedOrder || o.id === selectedOrder)
@@ -886,30 +949,36 @@ export default function OrderSearch() {
     }
   }, [orders]);
 
-  // Fetch execution status for both URLs when an order is selected
-  const fetchWorkflowData = useCallback(() => {
+  // Fetch every workflow run linked to the order: synced executions by order
+  // number/GID plus the URLs in the order's metafields
+  const fetchTimeline = useCallback(() => {
     if (!selected) return;
 
-    const workflowUrl = selected.n8nWorkflowUrl?.value || "";
-    const finisherUrl = selected.n8nOrderFinisherUrl?.value || "";
-
-    if (!workflowUrl && !finisherUrl) return;
-
     const params = new URLSearchParams();
-    if (workflowUrl) params.set("workflowUrl", workflowUrl);
-    if (finisherUrl) params.set("finisherUrl", finisherUrl);
+    params.set("orderNumber", selected.name);
+    params.set("orderGid", selected.id);
+    if (selected.n8nWorkflowUrl?.value) params.set("workflowUrl", selected.n8nWorkflowUrl.value);
+    if (selected.n8nOrderFinisherUrl?.value) params.set("finisherUrl", selected.n8nOrderFinisherUrl.value);
+    if (selected.n8nExecutionUrls?.value) params.set("urls", selected.n8nExecutionUrls.value);
 
-    setWorkflowLoading(true);
+    setTimelineLoading(true);
     fetch(`/app/order-workflow-detail?${params.toString()}`)
       .then((res) => res.json())
-      .then(setWorkflowData)
+      .then((data) => {
+        if (data.error) {
+          shopify.toast.show(data.error, { isError: true });
+          return;
+        }
+        setTimelineData(data);
+      })
       .catch((e) => console.error("[workflow-fetch]", e))
-      .finally(() => setWorkflowLoading(false));
+      .finally(() => setTimelineLoading(false));
   }, [selected?.id]);
 
   useEffect(() => {
-    fetchWorkflowData();
-  }, [fetchWorkflowData]);
+    setTimelineData(null);
+    fetchTimeline();
+  }, [fetchTimeline]);
 
   const debounceRef = useRef(null);
 
@@ -937,12 +1006,33 @@ export default function OrderSearch() {
   // True when the user has typed something different from the loaded results
   const isPendingSearch = searchInput.trim() !== (query || "") && searchInput.trim().length > 0;
 
+  // Node output comes back redacted; `reveal` asks for it unredacted (permission-checked and audited)
+  const fetchModalDetail = useCallback((executionId, { reveal = false } = {}) => {
+    const params = new URLSearchParams({ id: executionId });
+    if (reveal) params.set("reveal", "1");
+
+    setModalLoading(true);
+    fetch(`/app/execution-detail?${params.toString()}`)
+      .then((res) => res.json())
+      .then((data) => {
+        if (data.error && !data.n8nError) {
+          shopify.toast.show(data.error, { isError: true });
+          return;
+        }
+        setModalDetail({ ...data, executionId });
+      })
+      .catch((e) => console.error("[execution-detail-fetch]", e))
+      .finally(() => setModalLoading(false));
+  }, [shopify]);
+
   const handleOpenModal = useCallback(
-    (type) => {
-      setModalType(type);
+    (run) => {
+      setModalRun(run);
+      setModalDetail(null);
+      fetchModalDetail(run.id);
       shopify.modal.show("workflow-modal");
     },
-    [shopify],
+    [shopify, fetchModalDetail],
   );
 
   const handleClearSearch = useCallback(() => {
@@ -981,40 +1071,80 @@ export default function OrderSearch() {
   }, [resendFetcher.state, resendFetcher.data]);
 
   const retryFetcher = useFetcher();
-  const [retryingType, setRetryingType] = useState(null);
+  const [retryingId, setRetryingId] = useState(null);
 
   const handleRetry = useCallback(
-    (type) => {
+    (run) => {
       if (!selected) return;
-      const url = type === "workflow"
-        ? selected.n8nWorkflowUrl?.value
-        : selected.n8nOrderFinisherUrl?.value;
-      if (!url) return;
-
-      setRetryingType(type);
+      setRetryingId(run.id);
       retryFetcher.submit(
-        { url, orderGid: selected.id },
+        { executionId: run.id, orderGid: selected.id },
         { method: "POST", action: "/app/order-workflow-detail" },
       );
     },
     [selected, retryFetcher],
   );
 
-  // Re-fetch execution data after a successful retry
+  // Re-fetch the timeline after a successful retry
   useEffect(() => {
-    if (retryFetcher.state === "idle" && retryFetcher.data?.ok && retryingType) {
-      setRetryingType(null);
-      // Refresh workflow data after a short delay to let n8n start the execution
-      setTimeout(fetchWorkflowData, 2000);
+    if (retryFetcher.state === "idle" && retryFetcher.data?.ok && retryingId) {
+      setRetryingId(null);
+      // Refresh after a short delay to let n8n start the execution
+      setTimeout(() => fetchTimeline(), 2000);
     }
     if (retryFetcher.state === "idle" && retryFetcher.data && !retryFetcher.data.ok) {
-      setRetryingType(null);
+      setRetryingId(null);
     }
   }, [retryFetcher.state, retryFetcher.data]);
 
-  // Get the data for the currently open modal
-  const modalData = modalType === "workflow" ? workflowData?.workflow : workflowData?.finisher;
-  const modalTitle = modalType === "workflow" ? "Workflow" : "Order Finisher";
+  const executionActionFetcher = useFetcher();
+  const [confirmExecutionAction, setConfirmExecutionAction] = useState(null);
+
+  const handleExecutionAction = useCallback(
+    (run, action) => {
+      setConfirmExecutionAction({ action, executionId: run.id, label: runLabel(run) });
+      shopify.modal.show("execution-action-modal");
+    },
+    [shopify],
+  );
+
+  const handleConfirmExecutionAction = useCallback(() => {
+    if (!selected || !confirmExecutionAction) return;
+    executionActionFetcher.submit(
+      { _action: confirmExecutionAction.action, executionId: confirmExecutionAction.executionId, orderGid: selected.id },
+      { method: "POST", action: "/app/order-workflow-detail" },
+    );
+    shopify.modal.hide("execution-action-modal");
+  }, [selected, confirmExecutionAction, executionActionFetcher, shopify]);
+
+  const pendingExecutionAction = executionActionFetcher.state !== "idle" ? confirmExecutionAction : null;
+
+  // Toast and refresh the timeline after a stop/delete
+  useEffect(() => {
+    if (executionActionFetcher.state !== "idle" || !executionActionFetcher.data) return;
+    const { ok, action, executionId, error } = executionActionFetcher.data;
+    if (ok) {
+      shopify.toast.show(action === "stop" ? `Stopped execution #${executionId}` : `Deleted execution #${executionId}`);
+      fetchTimeline();
+    } else {
+      shopify.toast.show(`${action === "stop" ? "Stop" : "Delete"} failed: ${error || "Unknown error"}`, { isError: true });
+    }
+  }, [executionActionFetcher.state, executionActionFetcher.data]);
+
+  // Detail of the currently open modal, once it belongs to the run that was clicked
+  const modalData = modalDetail?.executionId === modalRun?.id ? modalDetail : null;
+
+  const [downloadingExecution, setDownloadingExecution] = useState(false);
+
+  const handleDownloadExecution = useCallback(async () => {
+    if (!modalRun) return;
+    setDownloadingExecution(true);
+    const result = await downloadExecutionJson(modalRun.id, {
+      reveal: modalData?.redacted === false,
+    });
+    setDownloadingExecution(false);
+    if (!result.ok) shopify.toast.show(`Download failed: ${result.error}`, { isError: true });
+  }, [modalRun, modalData, shopify]);
 
   const changeLogEntries = selected
     ? JSON.parse(selected.changeLog?.value || "[]")
@@ -1034,29 +1164,68 @@ export default function OrderSearch() {
             @keyframes skeletonPulse { 0%, 100% { opacity: 1; } 50% { opacity: 0.4; } }
             .skeleton-pulse { animation: skeletonPulse 1.5s ease-in-out infinite; }
           `}</style>
-          {!modalData ? (
+          {!modalRun ? (
             <Text variant="bodySm" tone="subdued">No execution data found.</Text>
           ) : (
             <BlockStack gap="400">
               <InlineStack align="space-between" blockAlign="center" gap="200">
                 <BlockStack gap="050">
-                  <Text variant="headingSm" as="h3">Execution #{modalData.execution.id}</Text>
+                  <Text variant="headingSm" as="h3">Execution #{modalRun.id}</Text>
                   <Text variant="bodySm" tone="subdued">
-                    {formatDate(modalData.execution.startedAt)} &middot; {formatDuration(modalData.execution.startedAt, modalData.execution.stoppedAt)}
+                    {formatDate(modalRun.startedAt)} &middot; {formatDuration(modalRun.startedAt, modalRun.stoppedAt)}
                   </Text>
                 </BlockStack>
-                <StatusBadge status={modalData.execution.status} map={EXEC_STATUS_BADGE} />
+                <StatusBadge status={modalRun.status} map={EXEC_STATUS_BADGE} />
+              </InlineStack>
+              <Divider />
+              {modalData?.n8nError && <N8nErrorBanner error={modalData.n8nError} />}
+              <InlineStack align="end">
+                <RedactionControls
+                  redacted={modalData?.redacted !== false}
+                  canReveal={!!modalData?.canReveal}
+                  onReveal={() => fetchModalDetail(modalRun.id, { reveal: true })}
+                  onDownload={handleDownloadExecution}
+                  downloading={downloadingExecution}
+                />
               </InlineStack>
+              <WorkflowNodes nodes={modalData?.nodes ?? []} isLoading={modalLoading} />
               <Divider />
-              <WorkflowNodes nodes={modalData.nodes} isLoading={false} />
+              <Text variant="headingSm" as="h3">Annotation</Text>
+              <ExecutionAnnotation executionId={modalRun.id} />
             </BlockStack>
           )}
         </Box>
-        <TitleBar title={modalTitle}>
+        <TitleBar title={modalRun ? runLabel(modalRun) : "Workflow"}>
           <button onClick={() => shopify.modal.hide("workflow-modal")}>Close</button>
         </TitleBar>
       </Modal>
 
+      <Modal id="execution-action-modal">
+        <Box padding="400">
+          {confirmExecutionAction && (
+            <BlockStack gap="200">
+              <Text as="p">
+                {confirmExecutionAction.action === "stop" ? "Stop" : "Delete"}{" "}
+                {confirmExecutionAction.label} execution
+                #{confirmExecutionAction.executionId} for {selected?.name}?
+              </Text>
+              <Text as="p" tone="subdued">
+                {confirmExecutionAction.action === "stop"
+                  ? "n8n cancels the execution; nodes that already ran are not undone."
+                  : "The execution and its data are removed from n8n. This cannot be undone."}
+                {" "}This is recorded in the order change log.
+              </Text>
+            </BlockStack>
+          )}
+        </Box>
+        <TitleBar title={confirmExecutionAction?.action === "stop" ? "Stop execution" : "Delete execution"}>
+          <button variant="primary" tone="critical" onClick={handleConfirmExecutionAction}>
+            {confirmExecutionAction?.action === "stop" ? "Stop" : "Delete"}
+          </button>
+          <button onClick={() => shopify.modal.hide("execution-action-modal")}>Cancel</button>
+        </TitleBar>
+      </Modal>
+
       <Modal id="changelog-modal" variant="large">
         <Box padding="400">
           {changeLogEntries.length === 0 ? (
@@ -1086,9 +1255,24 @@ export default function OrderSearch() {
         )}
 
         {retryFetcher.data && !retryFetcher.data.ok && (
-          <Banner tone="critical" onDismiss={() => {}}>
-            <p>Retry failed: {retryFetcher.data.error}</p>
-          </Banner>
+          retryFetcher.data.n8nError ? (
+            <N8nErrorBanner error={retryFetcher.data.n8nError} prefix="Retry failed" />
+          ) : (
+            <Banner tone="critical" onDismiss={() => {}}>
+              <p>Retry failed: {retryFetcher.data.error}</p>
+            </Banner>
+          )
+        )}
+
+        {executionActionFetcher.state === "idle" && executionActionFetcher.data?.n8nError && (
+          <N8nErrorBanner
+            error={executionActionFetcher.data.n8nError}
+            prefix={executionActionFetcher.data.action === "stop" ? "Stop failed" : "Delete failed"}
+          />
+        )}
+
+        {timelineData?.n8nError && !timelineLoading && (
+          <N8nErrorBanner error={timelineData.n8nError} />
         )}
 
         <Card padding="400">
@@ -1196,11 +1380,13 @@ export default function OrderSearch() {
                   <BlockStack gap="400">
                     <OrderDetailPanel
                       order={selected}
-                      workflowData={workflowData}
-                      workflowLoading={workflowLoading}
+                      timeline={timelineData?.runs}
+                      timelineLoading={timelineLoading}
                       onOpenModal={handleOpenModal}
                       onRetry={handleRetry}
-                      retryingType={retryingType}
+                      retryingId={retryingId}
+                      onExecutionAction={handleExecutionAction}
+                      pendingExecutionAction={pendingExecutionAction}
                       onOpenChangelog={handleOpenChangelog}
                       onResendOrder={handleResendOrder}
                       isResending={resendFetcher.state !== "idle"}
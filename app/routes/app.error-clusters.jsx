@@ -0,0 +1,329 @@
+import { useEffect, useState } from "react";
+import { Link, useFetcher, useLoaderData, useNavigation, useSearchParams } from "@remix-run/react";
+import { json } from "@remix-run/node";
+import {
+  Page,
+  Card,
+  Text,
+  InlineStack,
+  BlockStack,
+  Banner,
+  Box,
+  Button,
+  Select,
+  DataTable,
+  EmptyState,
+} from "@shopify/polaris";
+import { TitleBar, Modal as AppBridgeModal, useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { getWorkflows, describeN8nError } from "../n8n.server";
+import { syncExecutions } from "../n8n-sync.server";
+import { retryExecutions } from "../execution-actions.server";
+import {
+  MAX_CLUSTER_RETRIES,
+  getErrorClusters,
+  getErrorCluster,
+  getClusterRetryIds,
+  exportErrorClusterCsv,
+} from "../error-clusters.server";
+import { getStaffMember } from "../staff.server";
+import { getViewRedaction } from "../redaction.server";
+
+const RANGE_OPTIONS = [
+  { label: "Last 24 hours", value: "1" },
+  { label: "Last 7 days", value: "7" },
+  { label: "Last 30 days", value: "30" },
+];
+
+// Order numbers listed per cluster before "+N more"
+const MAX_ORDERS_SHOWN = 5;
+
+function readFilters(params) {
+  const days = RANGE_OPTIONS.some((o) => o.value === params.get("days")) ? params.get("days") : "7";
+  return { days, workflowId: params.get("workflowId") || "" };
+}
+
+export const loader = async ({ request }) => {
+  const auth = await authenticate.admin(request);
+
+  const url = new URL(request.url);
+  const { days, workflowId } = readFilters(url.searchParams);
+  const options = { days: Number(days), workflowId: workflowId || undefined };
+  // Error messages can quote customer data; mask it for staff who may not see it
+  const redaction = await getViewRedaction(await getStaffMember(auth));
+
+  const exportKey = url.searchParams.get("export");
+  if (exportKey) {
+    const cluster = await getErrorCluster(exportKey, options);
+    if (!cluster) return json({ error: "Cluster not found" }, { status: 404 });
+    const csv = await exportErrorClusterCsv(cluster, { redactText: redaction.text });
+    return new Response(csv, {
+      headers: {
+        "Content-Type": "text/csv; charset=utf-8",
+        "Content-Disposition": `attachment; filename="error-cluster-${exportKey}.csv"`,
+      },
+    });
+  }
+
+  let workflows = [];
+  let n8nError = null;
+  try {
+    workflows = ((await getWorkflows()).data ?? []).map((w) => ({ id: String(w.id), name: w.name }));
+  } catch (e) {
+    n8nError = describeN8nError(e);
+  }
+
+  // Keep local DB in sync (fire-and-forget, throttled to 1 min)
+  syncExecutions().catch(() => {});
+
+  try {
+    const clusters = (await getErrorClusters(options)).map((cluster) => ({
+      ...cluster,
+      sampleMessage: redaction.text(cluster.sampleMessage),
+    }));
+    return json({ clusters, workflows, days, workflowId, maxRetries: MAX_CLUSTER_RETRIES, error: null, n8nError });
+  } catch (e) {
+    console.error("Failed to load error clusters:", e.message);
+    return json({ clusters: [], workflows, days, workflowId, maxRetries: MAX_CLUSTER_RETRIES, error: e.message, n8nError });
+  }
+};
+
+export const action = async ({ request }) => {
+  const { admin } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("_action");
+
+  if (intent === "retryCluster") {
+    const key = formData.get("key");
+    const { days, workflowId } = readFilters(formData);
+    const cluster = await getErrorCluster(key, { days: Number(days), workflowId: workflowId || undefined });
+    if (!cluster) return json({ ok: false, error: "Cluster not found" }, { status: 404 });
+
+    const { executionIds, skipped, remaining } = await getClusterRetryIds(cluster);
+    const results = await retryExecutions(admin, executionIds);
+    const outcomes = Object.values(results);
+    return json({
+      ok: true,
+      key,
+      retried: outcomes.filter((o) => o.ok).length,
+      failed: outcomes.filter((o) => !o.ok).length,
+      skipped,
+      remaining,
+    });
+  }
+
+  return json({ ok: false, error: `Unknown action: ${intent}` }, { status: 400 });
+};
+
+function formatDate(dateString) {
+  if (!dateString) return "\u2014";
+  return new Date(dateString).toLocaleString();
+}
+
+/**
+ * Browser download of a cluster's CSV export. Resolves to `{ ok, error }`.
+ */
+async function downloadClusterCsv(key, searchParams) {
+  const params = new URLSearchParams(searchParams);
+  params.set("export", key);
+  try {
+    const res = await fetch(`/app/error-clusters?${params.toString()}`);
+    if (!res.ok) {
+      const body = await res.json().catch(() => null);
+      return { ok: false, error: body?.error || `HTTP ${res.status}` };
+    }
+    const url = URL.createObjectURL(await res.blob());
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `error-cluster-${key}.csv`;
+    a.click();
+    URL.revokeObjectURL(url);
+    return { ok: true, error: null };
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
+}
+
+function OrderLinks({ orderNumbers }) {
+  if (orderNumbers.length === 0) return "\u2014";
+  const shown = orderNumbers.slice(0, MAX_ORDERS_SHOWN);
+  return (
+    <InlineStack gap="100">
+      {shown.map((orderNumber) => (
+        <Link key={orderNumber} to={`/app?q=${encodeURIComponent(orderNumber)}`}>#{orderNumber}</Link>
+      ))}
+      {orderNumbers.length > shown.length && (
+        <Text as="span" variant="bodySm" tone="subdued">+{orderNumbers.length - shown.length} more</Text>
+      )}
+    </InlineStack>
+  );
+}
+
+export default function ErrorClusters() {
+  const { clusters, workflows, days, workflowId, maxRetries, error, n8nError } = useLoaderData();
+  const navigation = useNavigation();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const shopify = useAppBridge();
+  const retryFetcher = useFetcher();
+  const [confirmCluster, setConfirmCluster] = useState(null);
+  const [exportingKey, setExportingKey] = useState(null);
+
+  const isLoading = navigation.state === "loading";
+  const workflowNames = Object.fromEntries(workflows.map((w) => [w.id, w.name]));
+  const nameOf = (id) => workflowNames[id] || `Workflow ${id}`;
+  const retryingKey = retryFetcher.state !== "idle" ? retryFetcher.formData?.get("key") : null;
+
+  function handleFilterChange(name, value) {
+    const params = new URLSearchParams(searchParams);
+    if (value) params.set(name, value);
+    else params.delete(name);
+    setSearchParams(params);
+  }
+
+  function openRetryConfirm(cluster) {
+    setConfirmCluster(cluster);
+    shopify.modal.show("retry-cluster-modal");
+  }
+
+  function handleConfirmRetry() {
+    retryFetcher.submit(
+      { _action: "retryCluster", key: confirmCluster.key, days, workflowId },
+      { method: "POST" },
+    );
+    shopify.modal.hide("retry-cluster-modal");
+  }
+
+  async function handleExport(cluster) {
+    setExportingKey(cluster.key);
+    const result = await downloadClusterCsv(cluster.key, searchParams);
+    setExportingKey(null);
+    if (!result.ok) shopify.toast.show(`Export failed: ${result.error}`, { isError: true });
+  }
+
+  useEffect(() => {
+    if (retryFetcher.state !== "idle" || !retryFetcher.data) return;
+    const { ok, retried, failed, skipped, remaining, error: retryError } = retryFetcher.data;
+    if (!ok) {
+      shopify.toast.show(`Retry failed: ${retryError}`, { isError: true });
+      return;
+    }
+    const extra = [
+      skipped > 0 && `${skipped} already retried`,
+      remaining > 0 && `${remaining} left for a next retry`,
+    ].filter(Boolean).join(", ");
+    const message = failed > 0 ? `Retried ${retried}, ${failed} failed` : `Retried ${retried} executions`;
+    shopify.toast.show(extra ? `${message} (${extra})` : message, { isError: failed > 0 });
+  }, [retryFetcher.state, retryFetcher.data, shopify]);
+
+  const workflowOptions = [
+    { label: "All workflows", value: "" },
+    ...workflows.map((w) => ({ label: w.name, value: w.id })),
+  ];
+
+  const rows = clusters.map((cluster) => [
+    nameOf(cluster.workflowId),
+    cluster.node,
+    <BlockStack key="message" gap="050">
+      <Text as="span" variant="bodySm" breakWord>{cluster.message}</Text>
+      {cluster.sampleMessage && cluster.sampleMessage !== cluster.message && (
+        <Text as="span" variant="bodySm" tone="subdued" breakWord>e.g. {cluster.sampleMessage}</Text>
+      )}
+    </BlockStack>,
+    cluster.count,
+    formatDate(cluster.firstSeen),
+    formatDate(cluster.lastSeen),
+    <OrderLinks key="orders" orderNumbers={cluster.orderNumbers} />,
+    <InlineStack key="actions" gap="200" wrap={false}>
+      <Button size="slim" onClick={() => openRetryConfirm(cluster)} loading={retryingKey === cluster.key}>
+        Retry all
+      </Button>
+      <Button size="slim" variant="plain" onClick={() => handleExport(cluster)} loading={exportingKey === cluster.key}>
+        Export
+      </Button>
+    </InlineStack>,
+  ]);
+
+  return (
+    <Page fullWidth>
+      <TitleBar title="Top failures" />
+
+      <AppBridgeModal id="retry-cluster-modal">
+        <Box padding="400">
+          {confirmCluster && (
+            <BlockStack gap="200">
+              <Text as="p">
+                Retry the failed executions of {nameOf(confirmCluster.workflowId)} that stopped on{" "}
+                {confirmCluster.node}?
+              </Text>
+              <Text as="p" tone="subdued">
+                Only the latest run of each retry chain is retried, at most {maxRetries} per click.
+                Each retry is recorded in the change log of its order.
+              </Text>
+            </BlockStack>
+          )}
+        </Box>
+        <TitleBar title="Retry cluster">
+          <button variant="primary" onClick={handleConfirmRetry}>Retry</button>
+          <button onClick={() => shopify.modal.hide("retry-cluster-modal")}>Cancel</button>
+        </TitleBar>
+      </AppBridgeModal>
+
+      <BlockStack gap="400">
+        {error && (
+          <Banner tone="critical">
+            <p>Failed to load error clusters: {error}</p>
+          </Banner>
+        )}
+        {n8nError && (
+          <Banner tone={n8nError.tone} title={n8nError.title}>
+            <p>{n8nError.hint} Workflow names may be missing.</p>
+          </Banner>
+        )}
+
+        <Card>
+          <InlineStack align="space-between" blockAlign="center" gap="400">
+            <InlineStack gap="400">
+              <Select
+                label="Range"
+                labelInline
+                options={RANGE_OPTIONS}
+                value={days}
+                onChange={(value) => handleFilterChange("days", value)}
+                disabled={isLoading}
+              />
+              <Select
+                label="Workflow"
+                labelInline
+                options={workflowOptions}
+                value={workflowId}
+                onChange={(value) => handleFilterChange("workflowId", value)}
+                disabled={isLoading}
+              />
+            </InlineStack>
+            <Text variant="bodySm" tone="subdued">
+              Failed and crashed runs, grouped by workflow, node and error with numbers and IDs left out.
+            </Text>
+          </InlineStack>
+        </Card>
+
+        <Card padding="0">
+          {clusters.length === 0 ? (
+            <EmptyState
+              heading="No failed executions in this range"
+              image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+            >
+              <p>Failed executions synced from n8n will show up here, grouped by cause.</p>
+            </EmptyState>
+          ) : (
+            <DataTable
+              columnContentTypes={["text", "text", "text", "numeric", "text", "text", "text", "text"]}
+              headings={["Workflow", "Node", "Error", "Count", "First seen", "Last seen", "Orders", ""]}
+              rows={rows}
+              verticalAlign="top"
+            />
+          )}
+        </Card>
+      </BlockStack>
+    </Page>
+  );
+}
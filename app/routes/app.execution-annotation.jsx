@@ -0,0 +1,41 @@
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { describeN8nError, N8nApiError } from "../n8n.server";
+import {
+  SUGGESTED_TAGS,
+  getAnnotation,
+  annotateExecution,
+  listTags,
+} from "../execution-annotations.server";
+
+export const loader = async ({ request }) => {
+  await authenticate.admin(request);
+  const url = new URL(request.url);
+  const executionId = url.searchParams.get("id");
+
+  if (!executionId) return json({ error: "Missing id" }, { status: 400 });
+
+  const [annotation, tags] = await Promise.all([getAnnotation(executionId), listTags()]);
+  const knownTags = [...new Set([...SUGGESTED_TAGS, ...tags.map((t) => t.tag)])];
+  return json({ executionId, annotation, knownTags });
+};
+
+export const action = async ({ request }) => {
+  await authenticate.admin(request);
+  const formData = await request.formData();
+  const executionId = formData.get("executionId");
+
+  if (!executionId) return json({ ok: false, error: "Missing executionId" }, { status: 400 });
+
+  try {
+    const annotation = await annotateExecution(executionId, {
+      vote: formData.get("vote") || null,
+      tags: JSON.parse(formData.get("tags") || "[]"),
+    });
+    return json({ ok: true, executionId, annotation });
+  } catch (e) {
+    console.error(`[execution-annotation] Failed to annotate ${executionId}:`, e.message);
+    const n8nError = e instanceof N8nApiError ? describeN8nError(e) : null;
+    return json({ ok: false, error: e.message, n8nError }, { status: n8nError ? 502 : 400 });
+  }
+};
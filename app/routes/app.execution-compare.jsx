@@ -0,0 +1,365 @@
+import { useEffect, useState } from "react";
+import { Link, useLoaderData, useNavigation, useSearchParams } from "@remix-run/react";
+import { json } from "@remix-run/node";
+import {
+  Page,
+  Card,
+  Text,
+  Badge,
+  InlineStack,
+  BlockStack,
+  Banner,
+  Box,
+  Button,
+  TextField,
+  Checkbox,
+  Divider,
+  EmptyState,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { describeN8nError } from "../n8n.server";
+import { getStaffMember } from "../staff.server";
+import { getRedactedExecutionDetail } from "../redaction.server";
+import { diffJson } from "../diff";
+
+// Outputs are always compared redacted; masked fields show as unchanged
+async function loadSide(executionId, staff) {
+  if (!executionId) return { detail: null, error: null };
+  try {
+    const { detail } = await getRedactedExecutionDetail(executionId, { staff });
+    return { detail, error: null };
+  } catch (e) {
+    console.error(`[execution-compare] Failed to fetch execution ${executionId}:`, e.message);
+    return { detail: null, error: describeN8nError(e) };
+  }
+}
+
+function nodeStatus(node) {
+  if (!node) return "not_run";
+  return node.error ? "error" : "success";
+}
+
+/**
+ * Align the nodes of both executions by name. Nodes that only ran in B are
+ * placed right after the node that preceded them in B.
+ */
+function alignNodes(leftNodes, rightNodes) {
+  const names = leftNodes.map((n) => n.name);
+  let insertAt = 0;
+  for (const node of rightNodes) {
+    const index = names.indexOf(node.name);
+    if (index !== -1) {
+      insertAt = index + 1;
+    } else {
+      names.splice(insertAt, 0, node.name);
+      insertAt++;
+    }
+  }
+
+  const leftByName = Object.fromEntries(leftNodes.map((n) => [n.name, n]));
+  const rightByName = Object.fromEntries(rightNodes.map((n) => [n.name, n]));
+
+  return names.map((name) => {
+    const left = leftByName[name] ?? null;
+    const right = rightByName[name] ?? null;
+    const outputChanges = diffJson(left?.output ?? null, right?.output ?? null);
+    const statusChanged = nodeStatus(left) !== nodeStatus(right);
+    const durationDelta =
+      left?.executionTime != null && right?.executionTime != null
+        ? right.executionTime - left.executionTime
+        : null;
+
+    return {
+      name,
+      type: left?.type ?? right?.type,
+      left,
+      right,
+      statusChanged,
+      durationDelta,
+      outputChanges,
+      changed: statusChanged || outputChanges.length > 0 || (left?.error ?? null) !== (right?.error ?? null),
+    };
+  });
+}
+
+export const loader = async ({ request }) => {
+  const auth = await authenticate.admin(request);
+
+  const url = new URL(request.url);
+  const a = url.searchParams.get("a") || "";
+  const b = url.searchParams.get("b") || "";
+
+  const staff = await getStaffMember(auth);
+  const [left, right] = await Promise.all([loadSide(a, staff), loadSide(b, staff)]);
+  const rows = left.detail && right.detail ? alignNodes(left.detail.nodes, right.detail.nodes) : [];
+
+  return json({
+    a,
+    b,
+    left: left.detail?.execution ?? null,
+    right: right.detail?.execution ?? null,
+    rows,
+    errors: [left.error && { side: "A", ...left.error }, right.error && { side: "B", ...right.error }].filter(Boolean),
+  });
+};
+
+const STATUS_BADGE_MAP = {
+  success: { tone: "success", label: "Success" },
+  error: { tone: "critical", label: "Error" },
+  canceled: { tone: "warning", label: "Canceled" },
+  waiting: { tone: "attention", label: "Waiting" },
+  running: { tone: "info", label: "Running" },
+  not_run: { tone: undefined, label: "Not run" },
+};
+
+function StatusBadge({ status }) {
+  const config = STATUS_BADGE_MAP[status] || { tone: undefined, label: status };
+  return <Badge tone={config.tone}>{config.label}</Badge>;
+}
+
+function formatDate(dateString) {
+  if (!dateString) return "\u2014";
+  return new Date(dateString).toLocaleString();
+}
+
+function formatMs(ms) {
+  if (ms == null) return "\u2014";
+  const abs = Math.abs(ms);
+  if (abs < 1000) return `${ms}ms`;
+  if (abs < 60000) return `${(ms / 1000).toFixed(1)}s`;
+  return `${Math.floor(ms / 60000)}m ${Math.round((abs % 60000) / 1000)}s`;
+}
+
+function formatDuration(startedAt, stoppedAt) {
+  if (!startedAt || !stoppedAt) return "\u2014";
+  return formatMs(new Date(stoppedAt) - new Date(startedAt));
+}
+
+function formatValue(value) {
+  if (value === undefined) return "";
+  const str = JSON.stringify(value);
+  return str.length > 200 ? `${str.slice(0, 200)}…` : str;
+}
+
+const CHANGE_COLORS = {
+  added: "var(--p-color-text-success)",
+  removed: "var(--p-color-text-critical)",
+  changed: "var(--p-color-text-caution)",
+};
+
+const MONO = "ui-monospace, SFMono-Regular, 'SF Mono', Menlo, Consolas, monospace";
+
+function ExecutionSummary({ label, execution }) {
+  if (!execution) {
+    return (
+      <Card>
+        <Text variant="bodySm" tone="subdued">{label}: no execution loaded</Text>
+      </Card>
+    );
+  }
+  return (
+    <Card>
+      <BlockStack gap="200">
+        <InlineStack align="space-between" blockAlign="center">
+          <Text variant="headingSm" as="h3">{label} · Execution #{execution.id}</Text>
+          <StatusBadge status={execution.status} />
+        </InlineStack>
+        <Text variant="bodySm" tone="subdued">
+          {formatDate(execution.startedAt)} · {formatDuration(execution.startedAt, execution.stoppedAt)} · {execution.mode || "\u2014"}
+        </Text>
+      </BlockStack>
+    </Card>
+  );
+}
+
+function NodeSide({ node }) {
+  return (
+    <BlockStack gap="100">
+      <InlineStack gap="200" blockAlign="center">
+        <StatusBadge status={nodeStatus(node)} />
+        <Text variant="bodySm" tone="subdued">{formatMs(node?.executionTime)}</Text>
+      </InlineStack>
+      {node?.error && <Text variant="bodySm" tone="critical">{node.error}</Text>}
+    </BlockStack>
+  );
+}
+
+function OutputChanges({ changes }) {
+  return (
+    <div
+      style={{
+        border: "1px solid var(--p-color-border)",
+        borderRadius: 8,
+        background: "var(--p-color-bg-surface-secondary)",
+        padding: "8px 12px",
+        maxHeight: 320,
+        overflowY: "auto",
+        fontFamily: MONO,
+        fontSize: 11,
+        lineHeight: 1.6,
+      }}
+    >
+      {changes.map((change, i) => (
+        <div key={i} style={{ wordBreak: "break-word" }}>
+          <span style={{ color: CHANGE_COLORS[change.kind], fontWeight: 600 }}>
+            {change.kind === "added" ? "+" : change.kind === "removed" ? "-" : "~"} {change.path || "(output)"}
+          </span>
+          {change.kind !== "added" && (
+            <span style={{ color: "var(--p-color-text-critical)" }}> {formatValue(change.before)}</span>
+          )}
+          {change.kind === "changed" && <span> → </span>}
+          {change.kind !== "removed" && (
+            <span style={{ color: "var(--p-color-text-success)" }}> {formatValue(change.after)}</span>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function NodeRow({ row }) {
+  const [expanded, setExpanded] = useState(row.outputChanges.length > 0 && row.outputChanges.length <= 20);
+  const hasDiff = row.outputChanges.length > 0;
+
+  return (
+    <Box
+      padding="300"
+      borderRadius="200"
+      borderWidth="025"
+      borderColor={row.changed ? "border-caution" : "border"}
+      background={row.changed ? "bg-surface-caution" : "bg-surface"}
+    >
+      <BlockStack gap="200">
+        <div style={{ display: "grid", gridTemplateColumns: "1.2fr 1fr 1fr 0.6fr", gap: 12, alignItems: "start" }}>
+          <BlockStack gap="050">
+            <Text variant="bodySm" fontWeight="semibold">{row.name}</Text>
+            <Text variant="bodySm" tone="subdued">{row.type}</Text>
+          </BlockStack>
+          <NodeSide node={row.left} />
+          <NodeSide node={row.right} />
+          <BlockStack gap="100" inlineAlign="end">
+            {row.durationDelta != null && row.durationDelta !== 0 && (
+              <Text variant="bodySm" tone={row.durationDelta > 0 ? "critical" : "success"}>
+                {row.durationDelta > 0 ? "+" : ""}{formatMs(row.durationDelta)}
+              </Text>
+            )}
+            {hasDiff && (
+              <Button size="micro" variant="plain" onClick={() => setExpanded((v) => !v)}>
+                {expanded ? "Hide" : "Show"} {row.outputChanges.length} change{row.outputChanges.length === 1 ? "" : "s"}
+              </Button>
+            )}
+          </BlockStack>
+        </div>
+        {hasDiff && expanded && <OutputChanges changes={row.outputChanges} />}
+      </BlockStack>
+    </Box>
+  );
+}
+
+export default function ExecutionCompare() {
+  const { a, b, left, right, rows, errors } = useLoaderData();
+  const navigation = useNavigation();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [inputA, setInputA] = useState(a);
+  const [inputB, setInputB] = useState(b);
+  const [onlyChanges, setOnlyChanges] = useState(false);
+
+  useEffect(() => {
+    setInputA(a);
+    setInputB(b);
+  }, [a, b]);
+
+  function handleCompare() {
+    const params = new URLSearchParams(searchParams);
+    params.set("a", inputA.trim());
+    params.set("b", inputB.trim());
+    setSearchParams(params);
+  }
+
+  function handleSwap() {
+    const params = new URLSearchParams(searchParams);
+    params.set("a", b);
+    params.set("b", a);
+    setSearchParams(params);
+  }
+
+  const changedCount = rows.filter((r) => r.changed).length;
+  const visibleRows = onlyChanges ? rows.filter((r) => r.changed) : rows;
+  const isLoading = navigation.state === "loading";
+
+  return (
+    <Page fullWidth>
+      <TitleBar title="Compare executions" />
+      <BlockStack gap="400">
+        <Card>
+          <InlineStack gap="300" blockAlign="end">
+            <div style={{ width: 200 }}>
+              <TextField label="Execution A" value={inputA} onChange={setInputA} autoComplete="off" placeholder="e.g. last good run" />
+            </div>
+            <div style={{ width: 200 }}>
+              <TextField label="Execution B" value={inputB} onChange={setInputB} autoComplete="off" placeholder="e.g. failed run" />
+            </div>
+            <Button variant="primary" onClick={handleCompare} loading={isLoading} disabled={!inputA.trim() || !inputB.trim()}>
+              Compare
+            </Button>
+            <Button onClick={handleSwap} disabled={!a || !b}>Swap</Button>
+            <Link to="/app/executions">Back to executions</Link>
+          </InlineStack>
+        </Card>
+
+        {errors.map((error) => (
+          <Banner key={error.side} tone={error.tone} title={`Execution ${error.side}: ${error.title}`}>
+            <BlockStack gap="100">
+              {error.hint && <p>{error.hint}</p>}
+              <Text as="p" variant="bodySm" tone="subdued">{error.message}</Text>
+            </BlockStack>
+          </Banner>
+        ))}
+
+        {!a || !b ? (
+          <Card>
+            <EmptyState
+              heading="Pick two executions"
+              image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+            >
+              <p>Enter two execution IDs to see their nodes side by side.</p>
+            </EmptyState>
+          </Card>
+        ) : (
+          <>
+            <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 16 }}>
+              <ExecutionSummary label="A" execution={left} />
+              <ExecutionSummary label="B" execution={right} />
+            </div>
+
+            {left && right && (
+              <Card>
+                <BlockStack gap="300">
+                  <InlineStack align="space-between" blockAlign="center">
+                    <Text variant="headingSm" as="h3">
+                      Nodes ({rows.length}, {changedCount} with differences)
+                    </Text>
+                    <Checkbox label="Only show differences" checked={onlyChanges} onChange={setOnlyChanges} />
+                  </InlineStack>
+                  <div style={{ display: "grid", gridTemplateColumns: "1.2fr 1fr 1fr 0.6fr", gap: 12, padding: "0 12px" }}>
+                    <Text variant="bodySm" tone="subdued">Node</Text>
+                    <Text variant="bodySm" tone="subdued">A · #{left.id}</Text>
+                    <Text variant="bodySm" tone="subdued">B · #{right.id}</Text>
+                    <Text variant="bodySm" tone="subdued" alignment="end">Δ duration</Text>
+                  </div>
+                  <Divider />
+                  {visibleRows.length === 0 ? (
+                    <Text variant="bodySm" tone="subdued">No differences between these executions.</Text>
+                  ) : (
+                    visibleRows.map((row) => <NodeRow key={`${a}:${b}:${row.name}`} row={row} />)
+                  )}
+                </BlockStack>
+              </Card>
+            )}
+          </>
+        )}
+      </BlockStack>
+    </Page>
+  );
+}
@@ -1,5 +1,6 @@
 import { useEffect, useState } from "react";
 import {
+  Link,
   useLoaderData,
   useNavigation,
   useSearchParams,
@@ -21,43 +22,79 @@ import {
   Divider,
   Box,
   Spinner,
+  Tooltip,
+  TextField,
+  Button,
+  useIndexResourceState,
 } from "@shopify/polaris";
-import { TitleBar } from "@shopify/app-bridge-react";
+import { TitleBar, Modal as AppBridgeModal, useAppBridge } from "@shopify/app-bridge-react";
 import { authenticate } from "../shopify.server";
-import { getWorkflows } from "../n8n.server";
-import { syncExecutions } from "../n8n-sync.server";
+import { getWorkflows, describeN8nError } from "../n8n.server";
+import { syncExecutions, getLastSyncError } from "../n8n-sync.server";
+import { retryExecutions, runExecutionAction, stopAndRetryExecution } from "../execution-actions.server";
+import { getStaffMember } from "../staff.server";
+import { getViewRedaction } from "../redaction.server";
+import { dayBounds } from "../execution-stats.server";
+import { downloadExecutionJson } from "../execution-download";
+import { listTags } from "../execution-annotations.server";
+import { getOverdueExecutions } from "../execution-watchdog.server";
+import { ExecutionAnnotation } from "../components/ExecutionAnnotation";
+import { OverdueExecutionsBanner } from "../components/OverdueExecutionsBanner";
+import { N8nErrorBanner } from "../components/N8nErrorBanner";
+import { RedactionControls } from "../components/RedactionControls";
 import prisma from "../db.server";
 
+const LIST_LIMIT = 100;
+
 export const loader = async ({ request }) => {
-  await authenticate.admin(request);
+  const auth = await authenticate.admin(request);
 
   const url = new URL(request.url);
   const status = url.searchParams.get("status") || "";
   const workflowId = url.searchParams.get("workflowId") || "";
+  const date = url.searchParams.get("date") || "";
+  const tag = url.searchParams.get("tag") || "";
 
   let workflows = [];
-  let error = null;
+  let n8nError = null;
 
   try {
-    workflows = (await getWorkflows().catch(() => ({ data: [] }))).data ?? [];
-  } catch {}
+    workflows = (await getWorkflows()).data ?? [];
+  } catch (e) {
+    n8nError = describeN8nError(e);
+  }
 
   // Keep local DB in sync (fire-and-forget, throttled to 1 min)
   syncExecutions().catch(() => {});
+  n8nError = n8nError ?? getLastSyncError();
 
-  // Serve entirely from local DB (max 10 rows)
+  // Serve entirely from local DB (most recent LIST_LIMIT rows matching the filters)
   try {
     const where = {};
-    if (status) where.status = status;
+    // `status` may list several statuses, e.g. "error,crashed" from the health page
+    const statuses = status.split(",").filter(Boolean);
+    if (statuses.length > 0) where.status = statuses.length === 1 ? statuses[0] : { in: statuses };
     if (workflowId) where.workflowId = workflowId;
-
-    const executions = await prisma.executionOrder.findMany({
-      where,
-      orderBy: { startedAt: "desc" },
-    });
+    const bounds = dayBounds(date);
+    if (bounds) where.startedAt = { gte: bounds.start, lt: bounds.end };
+    if (tag) where.tags = { some: { tag } };
+
+    const [executions, total, tags, overdue, redaction] = await Promise.all([
+      prisma.executionOrder.findMany({
+        where,
+        orderBy: { startedAt: "desc" },
+        take: LIST_LIMIT,
+        include: { tags: { select: { tag: true } } },
+      }),
+      prisma.executionOrder.count({ where }),
+      listTags(),
+      getOverdueExecutions(),
+      getStaffMember(auth).then(getViewRedaction),
+    ]);
 
     return json({
-      executions: executions.map((e) => ({
+      // customerEmail is masked for staff who may not see unredacted data
+      executions: executions.map((e) => redaction.json({
         id: e.executionId,
         workflowId: e.workflowId,
         status: e.status,
@@ -65,25 +102,97 @@ export const loader = async ({ request }) => {
         stoppedAt: e.stoppedAt?.toISOString() ?? null,
         mode: e.mode,
         orderNumber: e.orderNumber,
+        orderGid: e.orderGid,
+        destination: e.destination,
+        customerEmail: e.customerEmail,
+        vote: e.vote,
+        tags: e.tags.map((t) => t.tag),
       })),
+      total,
       workflows,
-      filters: { status, workflowId },
+      tags,
+      overdue,
+      filters: { status, workflowId, date, tag },
       error: null,
+      n8nError,
     });
   } catch (e) {
     console.error("Failed to load executions:", e.message);
     return json({
       executions: [],
+      total: 0,
       workflows,
-      filters: { status, workflowId },
+      tags: [],
+      overdue: [],
+      filters: { status, workflowId, date, tag },
       error: e.message,
+      n8nError,
     });
   }
 };
 
+export const action = async ({ request }) => {
+  const auth = await authenticate.admin(request);
+  const { admin } = auth;
+  const formData = await request.formData();
+  const intent = formData.get("_action");
+
+  if (intent === "stop" || intent === "delete") {
+    const executionId = formData.get("executionId");
+    if (!executionId) {
+      return json({ ok: false, error: "No execution given" }, { status: 400 });
+    }
+
+    try {
+      const staff = await getStaffMember(auth);
+      const result = await runExecutionAction(admin, { action: intent, executionId, staff });
+      return json({ ok: true, action: intent, executionId, status: result.status });
+    } catch (e) {
+      console.error(`[executions] ${intent} failed for ${executionId}:`, e.message);
+      return json({ ok: false, action: intent, executionId, error: e.message, n8nError: describeN8nError(e) }, { status: 502 });
+    }
+  }
+
+  if (intent === "stopAndRetry") {
+    const executionId = formData.get("executionId");
+    if (!executionId) {
+      return json({ ok: false, error: "No execution given" }, { status: 400 });
+    }
+
+    try {
+      const staff = await getStaffMember(auth);
+      const result = await stopAndRetryExecution(admin, {
+        executionId,
+        staff,
+        orderGid: formData.get("orderGid") || null,
+      });
+      return json({ ok: true, action: intent, executionId, ...result });
+    } catch (e) {
+      console.error(`[executions] Stop and retry failed for ${executionId}:`, e.message);
+      return json({ ok: false, action: intent, executionId, error: e.message, n8nError: describeN8nError(e) }, { status: 502 });
+    }
+  }
+
+  if (intent === "retrySelected") {
+    let ids = [];
+    try {
+      ids = JSON.parse(formData.get("ids") || "[]");
+    } catch {}
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return json({ ok: false, error: "No executions selected" }, { status: 400 });
+    }
+
+    const results = await retryExecutions(admin, ids);
+    return json({ ok: true, results });
+  }
+
+  return json({ ok: false, error: `Unknown action: ${intent}` }, { status: 400 });
+};
+
 const STATUS_BADGE_MAP = {
   success: { tone: "success", label: "Success" },
   error: { tone: "critical", label: "Error" },
+  crashed: { tone: "critical", label: "Crashed" },
   canceled: { tone: "warning", label: "Canceled" },
   waiting: { tone: "attention", label: "Waiting" },
   running: { tone: "info", label: "Running" },
@@ -94,6 +203,22 @@ function StatusBadge({ status }) {
   return <Badge tone={config.tone}>{config.label}</Badge>;
 }
 
+function RetryResult({ result }) {
+  if (!result) return null;
+  if (result.ok) {
+    return (
+      <Badge tone="success">
+        {result.newExecutionId ? `Retried #${result.newExecutionId}` : "Retried"}
+      </Badge>
+    );
+  }
+  return (
+    <Tooltip content={result.error}>
+      <Badge tone="critical">Failed</Badge>
+    </Tooltip>
+  );
+}
+
 function formatDate(dateString) {
   if (!dateString) return "\u2014";
   return new Date(dateString).toLocaleString();
@@ -113,6 +238,7 @@ const TABLE_HEADINGS = [
   { title: "Workflow" },
   { title: "Status" },
   { title: "Started" },
+  { title: "Retry" },
 ];
 
 function SkeletonTable() {
@@ -124,7 +250,7 @@ function SkeletonTable() {
     >
       {[...Array(5)].map((_, i) => (
         <IndexTable.Row id={`skeleton-${i}`} key={i} position={i}>
-          {[...Array(5)].map((_, j) => (
+          {[...Array(TABLE_HEADINGS.length)].map((_, j) => (
             <IndexTable.Cell key={j}>
               <SkeletonBodyText lines={1} />
             </IndexTable.Cell>
@@ -364,7 +490,9 @@ function WorkflowNodes({ nodes, isLoading }) {
   );
 }
 
-function OrderOverview({ execution, executionNodes, nodesLoading, relatedExecutions, workflowNameMap }) {
+const STOPPABLE_STATUSES = ["new", "running", "waiting"];
+
+function OrderOverview({ execution, executionNodes, nodesLoading, relatedExecutions, workflowNameMap, onAction, pendingAction, redaction }) {
   if (!execution) {
     return (
       <Card>
@@ -421,17 +549,40 @@ function OrderOverview({ execution, executionNodes, nodesLoading, relatedExecuti
             <DetailRow label="Started" value={formatDate(execution.startedAt)} />
             <DetailRow label="Duration" value={formatDuration(execution.startedAt, execution.stoppedAt)} />
             <DetailRow label="Trigger" value={execution.mode || "\u2014"} />
+            {execution.destination && <DetailRow label="Destination" value={execution.destination} />}
+            {execution.customerEmail && <DetailRow label="Customer" value={execution.customerEmail} />}
           </BlockStack>
 
+          <InlineStack gap="200">
+            {STOPPABLE_STATUSES.includes(execution.status) && (
+              <Button size="slim" onClick={() => onAction("stop")} loading={pendingAction === "stop"}>
+                Stop
+              </Button>
+            )}
+            <Button size="slim" tone="critical" onClick={() => onAction("delete")} loading={pendingAction === "delete"}>
+              Delete
+            </Button>
+          </InlineStack>
+
           <Divider />
           <BlockStack gap="300">
             <InlineStack align="space-between" blockAlign="center">
               <Text variant="headingSm" as="h3">Workflow Steps</Text>
-              {nodesLoading && <Spinner size="small" />}
+              {nodesLoading ? (
+                <Spinner size="small" />
+              ) : (
+                <RedactionControls {...redaction} />
+              )}
             </InlineStack>
             <WorkflowNodes nodes={executionNodes} isLoading={nodesLoading} />
           </BlockStack>
 
+          <Divider />
+          <BlockStack gap="300">
+            <Text variant="headingSm" as="h3">Annotation</Text>
+            <ExecutionAnnotation executionId={execution.id} />
+          </BlockStack>
+
           {execution.orderNumber && relatedExecutions.length > 1 && (
             <>
               <Divider />
@@ -458,7 +609,14 @@ function OrderOverview({ execution, executionNodes, nodesLoading, relatedExecuti
                             {formatDate(e.startedAt)} · {formatDuration(e.startedAt, e.stoppedAt)}
                           </Text>
                         </BlockStack>
-                        <StatusBadge status={e.status} />
+                        <InlineStack gap="200" blockAlign="center">
+                          {e.id !== execution.id && (
+                            <Link to={`/app/execution-compare?a=${encodeURIComponent(e.id)}&b=${encodeURIComponent(execution.id)}`}>
+                              <Text variant="bodySm" as="span">Compare</Text>
+                            </Link>
+                          )}
+                          <StatusBadge status={e.status} />
+                        </InlineStack>
                       </InlineStack>
                     </Box>
                   ))}
@@ -473,20 +631,86 @@ function OrderOverview({ execution, executionNodes, nodesLoading, relatedExecuti
 }
 
 export default function Executions() {
-  const { executions, workflows, filters, error } =
+  const { executions, total, workflows, tags, overdue, filters, error, n8nError } =
     useLoaderData();
   const navigation = useNavigation();
   const [searchParams, setSearchParams] = useSearchParams();
   const detailFetcher = useFetcher();
+  const retryFetcher = useFetcher();
+  const actionFetcher = useFetcher();
+  const shopify = useAppBridge();
 
   const isLoading = navigation.state === "loading";
 
   const [selectedExecution, setSelectedExecution] = useState(null);
+  const [retryResults, setRetryResults] = useState({});
+  const [confirmAction, setConfirmAction] = useState(null);
+
+  const resources = executions.map((e) => ({ ...e, id: String(e.id) }));
+  const { selectedResources, allResourcesSelected, handleSelectionChange, clearSelection } =
+    useIndexResourceState(resources);
+
+  const isRetrying = retryFetcher.state !== "idle";
+
+  useEffect(() => {
+    if (retryFetcher.state !== "idle" || !retryFetcher.data) return;
+    if (!retryFetcher.data.ok) {
+      shopify.toast.show(retryFetcher.data.error || "Retry failed", { isError: true });
+      return;
+    }
+    const results = retryFetcher.data.results;
+    setRetryResults((prev) => ({ ...prev, ...results }));
+    const outcomes = Object.values(results);
+    const failed = outcomes.filter((r) => !r.ok).length;
+    shopify.toast.show(
+      failed > 0
+        ? `Retried ${outcomes.length - failed} of ${outcomes.length}, ${failed} failed`
+        : `Retried ${outcomes.length} execution${outcomes.length === 1 ? "" : "s"}`,
+      { isError: failed > 0 },
+    );
+  }, [retryFetcher.state, retryFetcher.data]);
+
+  function handleRetrySelected() {
+    retryFetcher.submit(
+      { _action: "retrySelected", ids: JSON.stringify(selectedResources) },
+      { method: "POST" },
+    );
+    clearSelection();
+  }
+
+  const pendingAction = actionFetcher.state !== "idle" ? actionFetcher.formData?.get("_action") : null;
+
+  useEffect(() => {
+    if (actionFetcher.state !== "idle" || !actionFetcher.data) return;
+    const { ok, action, executionId, status, error } = actionFetcher.data;
+    if (!ok) {
+      shopify.toast.show(`${action === "stop" ? "Stop" : "Delete"} failed: ${error}`, { isError: true });
+      return;
+    }
+    shopify.toast.show(action === "stop" ? `Stopped execution #${executionId}` : `Deleted execution #${executionId}`);
+    setSelectedExecution((prev) => {
+      if (!prev || String(prev.id) !== String(executionId)) return prev;
+      return action === "delete" ? null : { ...prev, status };
+    });
+  }, [actionFetcher.state, actionFetcher.data]);
+
+  function openConfirm(action) {
+    setConfirmAction({ action, execution: selectedExecution });
+    shopify.modal.show("execution-action-modal");
+  }
+
+  function handleConfirmAction() {
+    actionFetcher.submit(
+      { _action: confirmAction.action, executionId: String(confirmAction.execution.id) },
+      { method: "POST" },
+    );
+    shopify.modal.hide("execution-action-modal");
+  }
 
   // Clear selection when filters change
   useEffect(() => {
     setSelectedExecution(null);
-  }, [filters.status, filters.workflowId]);
+  }, [filters.status, filters.workflowId, filters.date, filters.tag]);
 
 
   const workflowOptions = [
@@ -498,6 +722,8 @@ export default function Executions() {
     { label: "All statuses", value: "" },
     { label: "Success", value: "success" },
     { label: "Error", value: "error" },
+    { label: "Crashed", value: "crashed" },
+    { label: "Error or crashed", value: "error,crashed" },
     { label: "Running", value: "running" },
     { label: "Waiting", value: "waiting" },
     { label: "Canceled", value: "canceled" },
@@ -530,12 +756,21 @@ export default function Executions() {
     );
   }
 
-  function handleTableClick(e) {
-    if (e.target.closest("a, button, input")) return;
-    const row = e.target.closest("tbody tr");
-    if (!row || !row.id) return;
-    const execution = executions.find((ex) => String(ex.id) === row.id);
-    if (execution) handleSelectExecution(execution);
+  // Output is redacted server-side; revealing is permission-checked and audited
+  const [downloading, setDownloading] = useState(false);
+  const revealed = detailFetcher.data?.redacted === false;
+
+  function handleReveal() {
+    detailFetcher.load(
+      `/app/execution-detail?id=${encodeURIComponent(selectedExecution.id)}&reveal=1`,
+    );
+  }
+
+  async function handleDownload() {
+    setDownloading(true);
+    const result = await downloadExecutionJson(selectedExecution.id, { reveal: revealed });
+    setDownloading(false);
+    if (!result.ok) shopify.toast.show(`Download failed: ${result.error}`, { isError: true });
   }
 
   const detailLoading = detailFetcher.state === "loading";
@@ -555,6 +790,8 @@ export default function Executions() {
       id={String(execution.id)}
       key={execution.id}
       position={index}
+      selected={selectedResources.includes(String(execution.id))}
+      onClick={() => handleSelectExecution(execution)}
     >
       <IndexTable.Cell>
         <Text variant="bodyMd" fontWeight="bold" as="span">
@@ -567,15 +804,47 @@ export default function Executions() {
           `Workflow ${execution.workflowId}`}
       </IndexTable.Cell>
       <IndexTable.Cell>
-        <StatusBadge status={execution.status} />
+        <InlineStack gap="100" wrap={false}>
+          <StatusBadge status={execution.status} />
+          {execution.tags.map((tag) => (
+            <Badge key={tag} tone="info">{tag}</Badge>
+          ))}
+        </InlineStack>
       </IndexTable.Cell>
       <IndexTable.Cell>{formatDate(execution.startedAt)}</IndexTable.Cell>
+      <IndexTable.Cell>
+        <RetryResult result={retryResults[String(execution.id)]} />
+      </IndexTable.Cell>
     </IndexTable.Row>
   ));
 
   return (
     <Page fullWidth>
       <TitleBar title="Workflow Executions" />
+      <AppBridgeModal id="execution-action-modal">
+        <Box padding="400">
+          {confirmAction && (
+            <BlockStack gap="200">
+              <Text as="p">
+                {confirmAction.action === "stop" ? "Stop" : "Delete"} execution #{confirmAction.execution.id}
+                {confirmAction.execution.orderNumber ? ` for order #${confirmAction.execution.orderNumber}` : ""}?
+              </Text>
+              <Text as="p" tone="subdued">
+                {confirmAction.action === "stop"
+                  ? "n8n cancels the execution; nodes that already ran are not undone."
+                  : "The execution and its data are removed from n8n. This cannot be undone."}
+                {" "}This is recorded in the order change log.
+              </Text>
+            </BlockStack>
+          )}
+        </Box>
+        <TitleBar title={confirmAction?.action === "stop" ? "Stop execution" : "Delete execution"}>
+          <button variant="primary" tone="critical" onClick={handleConfirmAction}>
+            {confirmAction?.action === "stop" ? "Stop" : "Delete"}
+          </button>
+          <button onClick={() => shopify.modal.hide("execution-action-modal")}>Cancel</button>
+        </TitleBar>
+      </AppBridgeModal>
       <style>{`
         .execution-table tbody tr { cursor: pointer; }
         .execution-table tbody tr:hover td { background: var(--p-color-bg-surface-hover); }
@@ -598,6 +867,28 @@ export default function Executions() {
           </Banner>
         )}
 
+        {n8nError && <N8nErrorBanner error={n8nError} />}
+
+        <OverdueExecutionsBanner
+          executions={overdue}
+          workflowNames={Object.fromEntries(workflows.map((w) => [String(w.id), w.name]))}
+          showOrder
+        />
+
+        {detailFetcher.data?.n8nError && (
+          <N8nErrorBanner error={detailFetcher.data.n8nError} />
+        )}
+
+        {detailFetcher.data?.error && !detailFetcher.data.n8nError && (
+          <Banner tone="critical">
+            <p>{detailFetcher.data.error}</p>
+          </Banner>
+        )}
+
+        {actionFetcher.state === "idle" && actionFetcher.data?.n8nError && (
+          <N8nErrorBanner error={actionFetcher.data.n8nError} />
+        )}
+
         <Card padding="400">
           <InlineStack gap="300">
             <Select
@@ -616,6 +907,31 @@ export default function Executions() {
               onChange={(value) => handleFilterChange("workflowId", value)}
               disabled={isLoading}
             />
+            <TextField
+              label="Day"
+              labelHidden
+              type="date"
+              value={filters.date}
+              onChange={(value) => handleFilterChange("date", value)}
+              disabled={isLoading}
+              autoComplete="off"
+            />
+            {filters.date && (
+              <Button variant="plain" onClick={() => handleFilterChange("date", "")}>
+                All days
+              </Button>
+            )}
+            <Select
+              label="Tag"
+              labelInline
+              options={[
+                { label: "All tags", value: "" },
+                ...tags.map((t) => ({ label: `${t.tag} (${t.count})`, value: t.tag })),
+              ]}
+              value={filters.tag}
+              onChange={(value) => handleFilterChange("tag", value)}
+              disabled={isLoading}
+            />
           </InlineStack>
         </Card>
 
@@ -628,6 +944,11 @@ export default function Executions() {
           }}
         >
           <BlockStack gap="400">
+            {!isLoading && total > executions.length && (
+              <Banner tone="info">
+                Showing the latest {executions.length} of {total} matching executions. Narrow the filters to see older ones.
+              </Banner>
+            )}
             <Card padding="0">
               {isLoading ? (
                 <SkeletonTable />
@@ -637,17 +958,26 @@ export default function Executions() {
                   image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
                 >
                   <p>
-                    {filters.status || filters.workflowId
+                    {filters.status || filters.workflowId || filters.date || filters.tag
                       ? "Try adjusting your filters."
                       : "Workflow executions from n8n will appear here."}
                   </p>
                 </EmptyState>
               ) : (
-                <div className="execution-table" onClick={handleTableClick}>
+                <div className="execution-table">
                   <IndexTable
+                    resourceName={{ singular: "execution", plural: "executions" }}
                     itemCount={executions.length}
                     headings={TABLE_HEADINGS}
-                    selectable={false}
+                    selectedItemsCount={allResourcesSelected ? "All" : selectedResources.length}
+                    onSelectionChange={handleSelectionChange}
+                    promotedBulkActions={[
+                      {
+                        content: isRetrying ? "Retrying..." : "Retry selected",
+                        onAction: handleRetrySelected,
+                        disabled: isRetrying,
+                      },
+                    ]}
                   >
                     {rowMarkup}
                   </IndexTable>
@@ -664,6 +994,15 @@ export default function Executions() {
               nodesLoading={detailLoading}
               relatedExecutions={relatedExecutions}
               workflowNameMap={workflowNameMap}
+              onAction={openConfirm}
+              pendingAction={pendingAction}
+              redaction={{
+                redacted: !revealed,
+                canReveal: !!detailFetcher.data?.canReveal,
+                onReveal: handleReveal,
+                onDownload: handleDownload,
+                downloading,
+              }}
             />
           </div>
         </div>
@@ -23,7 +23,10 @@ import {
 import { SearchIcon, ChevronDownIcon, ChevronUpIcon, ExportIcon, CalendarIcon } from "@shopify/polaris-icons";
 import { TitleBar } from "@shopify/app-bridge-react";
 import { authenticate } from "../shopify.server";
-import { queryGrandHome } from "../supabase.server";
+import supabase from "../supabase.server";
+import { getDestination, queryDestinationPage, queryDestinationByDateRange } from "../destinations";
+
+const DESTINATION = getDestination("GH");
 
 const PAGE_SIZE = 20;
 
@@ -33,17 +36,17 @@ export const loader = async ({ request }) => {
   await authenticate.admin(request);
 
   const url = new URL(request.url);
-  const page = Math.max(1, parseInt(url.searchParams.get("page") || "1", 10));
+  const after = url.searchParams.get("after") || undefined;
+  const before = url.searchParams.get("before") || undefined;
   const search = url.searchParams.get("q") || "";
-  const from = (page - 1) * PAGE_SIZE;
-  const to = from + PAGE_SIZE - 1;
 
   try {
-    const { data, count } = await queryGrandHome({ from, to, search });
+    const { data, count, nextCursor, prevCursor } = await queryDestinationPage(supabase, DESTINATION.code, { after, before, limit: PAGE_SIZE, search });
     return json({
       orders: data,
       total: count,
-      page,
+      nextCursor,
+      prevCursor,
       search,
       error: null,
       supabaseUrl: process.env.SUPABASE_URL,
@@ -54,7 +57,8 @@ export const loader = async ({ request }) => {
     return json({
       orders: [],
       total: 0,
-      page,
+      nextCursor: null,
+      prevCursor: null,
       search,
       error: e.message,
       supabaseUrl: process.env.SUPABASE_URL,
@@ -80,7 +84,7 @@ function useSupabaseRealtime(supabaseUrl, supabaseKey, tables, onEvent) {
       realtime: { params: { eventsPerSecond: 2 } },
     });
 
-    let channel = client.channel("realtime-grandhome");
+    let channel = client.channel(DESTINATION.channel);
     for (const table of tables) {
       channel = channel.on(
         "postgres_changes",
@@ -227,20 +231,7 @@ function GrandHomeCard({ order }) {
 
 async function fetchOrdersByDateRange(supabaseUrl, supabaseKey, dateFrom, dateTo) {
   const client = createClient(supabaseUrl, supabaseKey);
-  const from = new Date(dateFrom);
-  from.setHours(0, 0, 0, 0);
-  const to = new Date(dateTo);
-  to.setHours(23, 59, 59, 999);
-
-  const { data, error } = await client
-    .from("grandhome")
-    .select("id, ordernumber, created_at")
-    .gte("created_at", from.toISOString())
-    .lte("created_at", to.toISOString())
-    .order("created_at", { ascending: true });
-
-  if (error) throw error;
-  return data ?? [];
+  return queryDestinationByDateRange(client, DESTINATION.code, { dateFrom, dateTo });
 }
 
 function formatDateShort(value) {
@@ -545,7 +536,7 @@ function ExportModal({ open, onClose, supabaseUrl, supabaseKey }) {
 /* ── Page ── */
 
 export default function GrandHome() {
-  const { orders, total, page, search, error, supabaseUrl, supabaseKey } = useLoaderData();
+  const { orders, total, nextCursor, prevCursor, search, error, supabaseUrl, supabaseKey } = useLoaderData();
   const navigation = useNavigation();
   const revalidator = useRevalidator();
   const [searchParams, setSearchParams] = useSearchParams();
@@ -561,16 +552,16 @@ export default function GrandHome() {
   const realtimeStatus = useSupabaseRealtime(
     supabaseUrl,
     supabaseKey,
-    ["grandhome"],
+    [DESTINATION.table],
     handleRealtimeEvent,
   );
 
   const isLoading = navigation.state === "loading";
-  const totalPages = Math.ceil(total / PAGE_SIZE);
 
   function handleSearch() {
     const params = new URLSearchParams(searchParams);
-    params.delete("page");
+    params.delete("after");
+    params.delete("before");
     if (searchValue.trim()) {
       params.set("q", searchValue.trim());
     } else {
@@ -579,13 +570,11 @@ export default function GrandHome() {
     setSearchParams(params);
   }
 
-  function goToPage(p) {
+  function goToCursor(direction, cursor) {
     const params = new URLSearchParams(searchParams);
-    if (p <= 1) {
-      params.delete("page");
-    } else {
-      params.set("page", String(p));
-    }
+    params.delete("after");
+    params.delete("before");
+    params.set(direction, cursor);
     setSearchParams(params);
   }
 
@@ -625,7 +614,8 @@ export default function GrandHome() {
                   setSearchValue("");
                   const params = new URLSearchParams(searchParams);
                   params.delete("q");
-                  params.delete("page");
+                  params.delete("after");
+                  params.delete("before");
                   setSearchParams(params);
                 }}
                 clearButton
@@ -690,14 +680,14 @@ export default function GrandHome() {
           </BlockStack>
         )}
 
-        {!isLoading && totalPages > 1 && (
+        {!isLoading && (prevCursor || nextCursor) && (
           <InlineStack align="center">
             <Pagination
-              hasPrevious={page > 1}
-              hasNext={page < totalPages}
-              onPrevious={() => goToPage(page - 1)}
-              onNext={() => goToPage(page + 1)}
-              label={`Pagina ${page} van ${totalPages}`}
+              hasPrevious={Boolean(prevCursor)}
+              hasNext={Boolean(nextCursor)}
+              onPrevious={() => goToCursor("before", prevCursor)}
+              onNext={() => goToCursor("after", nextCursor)}
+              label={orders.length > 0 ? `#${orders[0].ordernumber} \u2013 #${orders[orders.length - 1].ordernumber}` : ""}
             />
           </InlineStack>
         )}
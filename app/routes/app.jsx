@@ -2,9 +2,11 @@ import { Link, Outlet, useLoaderData, useRouteError } from "@remix-run/react";
 import { boundary } from "@shopify/shopify-app-remix/server";
 import { AppProvider } from "@shopify/shopify-app-remix/react";
 import { NavMenu } from "@shopify/app-bridge-react";
+import { Box, InlineStack } from "@shopify/polaris";
 import polarisStyles from "@shopify/polaris/build/esm/styles.css?url";
 import { authenticate } from "../shopify.server";
 import prisma from "../db.server";
+import { GlobalSearch } from "../components/GlobalSearch";
 
 export const NAV_PAGES = [
   { key: "orders", to: "/app/orders", label: "Webattelier" },
@@ -13,7 +15,11 @@ export const NAV_PAGES = [
   { key: "grandhome", to: "/app/grandhome", label: "Grand Home" },
   { key: "hkl", to: "/app/hkl", label: "HKL" },
   { key: "sync-checks", to: "/app/sync-checks", label: "Sync Checks" },
+  { key: "workflows", to: "/app/workflows", label: "Workflows" },
   { key: "executions", to: "/app/executions", label: "Executions" },
+  { key: "workflow-health", to: "/app/workflow-health", label: "Workflow health" },
+  { key: "error-clusters", to: "/app/error-clusters", label: "Top failures" },
+  { key: "workflow-snapshots", to: "/app/workflow-snapshots", label: "Workflow snapshots" },
   { key: "softr", to: "/app/softr", label: "Softr" },
   { key: "fabric-usage", to: "/app/fabric-usage", label: "Stofverbruik" },
   { key: "metafield-check", to: "/app/metafield-check", label: "Metafield Check" },
@@ -54,6 +60,13 @@ export default function App() {
         ))}
         <Link to="/app/settings">Instellingen</Link>
       </NavMenu>
+      <Box paddingBlockStart="400" paddingInline="400">
+        <InlineStack align="end">
+          <Box minWidth="360px">
+            <GlobalSearch />
+          </Box>
+        </InlineStack>
+      </Box>
       <Outlet />
     </AppProvider>
   );
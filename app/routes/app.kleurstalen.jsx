@@ -1,5 +1,5 @@
 import { json } from "@remix-run/node";
-import { useLoaderData, useSearchParams, useNavigation } from "@remix-run/react";
+import { useLoaderData, useSearchParams, useNavigation, useFetcher } from "@remix-run/react";
 import { useState, useRef, useCallback, useEffect } from "react";
 import { createClient } from "@supabase/supabase-js";
 import {
@@ -23,6 +23,10 @@ import {
 import { SearchIcon } from "@shopify/polaris-icons";
 import { authenticate } from "../shopify.server";
 import supabase from "../supabase.server";
+import { getDestination, queryDestinationPage } from "../destinations";
+import { callN8nProxy, proxyDataToBlob } from "../n8n-proxy";
+
+const DESTINATION = getDestination("KL");
 
 const PAGE_SIZE = 20;
 
@@ -30,39 +34,32 @@ export const loader = async ({ request }) => {
   await authenticate.admin(request);
   const url = new URL(request.url);
   const tab = url.searchParams.get("tab") || "ready";
-  const limit = parseInt(url.searchParams.get("limit") || PAGE_SIZE, 10);
+  // "Meer laden" fetches the page after this cursor and appends it
+  const after = url.searchParams.get("after") || undefined;
   const search = url.searchParams.get("q") || "";
 
   const status = tab === "done" ? "Done" : "Ready for Print";
 
-  let query = supabase
-    .from("Kleurstalen")
-    .select("*", { count: "exact" })
-    .eq("status", status)
-    .order("createdAt", { ascending: false })
-    .range(0, limit - 1);
-
-  if (search) {
-    const isNumeric = /^\d+$/.test(search.trim());
-    if (isNumeric) {
-      query = query.eq("orderNumber", parseInt(search.trim(), 10));
-    } else {
-      query = query.ilike("customerName", `%${search.trim()}%`);
-    }
-  }
-
-  const { data, error, count } = await query;
-
-  if (error) {
+  let data, count, nextCursor;
+  try {
+    ({ data, count, nextCursor } = await queryDestinationPage(supabase, DESTINATION.code, {
+      after,
+      limit: PAGE_SIZE,
+      search,
+      status,
+      // Estimated counts are exact below PostgREST's max-rows, which the print queues stay under
+      count: after ? null : "estimated",
+    }));
+  } catch (error) {
     console.error("Failed to fetch kleurstalen:", error.message);
-    return json({ items: [], count: 0, tab, limit, search, error: error.message, printUrls: [] });
+    return json({ items: [], count: 0, nextCursor: null, tab, search, error: error.message, printItems: [] });
   }
 
   // Fetch all pdf_urls + ids for "Ready for Print" items (used by local print-all)
   let printItems = [];
-  if (tab !== "done") {
+  if (tab !== "done" && !after) {
     const { data: urlData } = await supabase
-      .from("Kleurstalen")
+      .from(DESTINATION.table)
       .select("id, pdf_url, orderNumber")
       .eq("status", "Ready for Print")
       .not("pdf_url", "is", null)
@@ -73,8 +70,8 @@ export const loader = async ({ request }) => {
   return json({
     items: data ?? [],
     count,
+    nextCursor,
     tab,
-    limit,
     search,
     error: null,
     printItems,
@@ -90,7 +87,7 @@ export const action = async ({ request }) => {
   if (body.action === "updateStatus") {
     const { id, status } = body;
     const { error } = await supabase
-      .from("Kleurstalen")
+      .from(DESTINATION.table)
       .update({ status })
       .eq("id", id);
 
@@ -101,7 +98,7 @@ export const action = async ({ request }) => {
   if (body.action === "updateStatusBulk") {
     const { ids, status } = body;
     const { error } = await supabase
-      .from("Kleurstalen")
+      .from(DESTINATION.table)
       .update({ status })
       .in("id", ids);
 
@@ -168,7 +165,8 @@ function KleurstaalCard({ item, activeTab, onPrint, onUpdate }) {
 }
 
 export default function Kleurstalen() {
-  const { items: loaderItems, count: loaderCount, tab, limit, search, error, printItems, supabaseUrl, supabaseKey } = useLoaderData();
+  const { items: loaderItems, count: loaderCount, nextCursor, tab, search, error, printItems, supabaseUrl, supabaseKey } = useLoaderData();
+  const moreFetcher = useFetcher();
   const [searchParams, setSearchParams] = useSearchParams();
   const navigation = useNavigation();
   const isLoading = navigation.state === "loading";
@@ -178,6 +176,7 @@ export default function Kleurstalen() {
   const [printMode, setPrintMode] = useState("n8n");
   const [liveItems, setLiveItems] = useState(loaderItems);
   const [liveCount, setLiveCount] = useState(loaderCount);
+  const [cursor, setCursor] = useState(nextCursor);
   const debounceRef = useRef(null);
   const clientRef = useRef(null);
 
@@ -185,7 +184,19 @@ export default function Kleurstalen() {
   useEffect(() => {
     setLiveItems(loaderItems);
     setLiveCount(loaderCount);
-  }, [loaderItems, loaderCount]);
+    setCursor(nextCursor);
+  }, [loaderItems, loaderCount, nextCursor]);
+
+  // Append a page loaded by "Meer laden"; realtime inserts may already hold some of its rows
+  useEffect(() => {
+    if (moreFetcher.state !== "idle" || !moreFetcher.data) return;
+    const { items, nextCursor: next } = moreFetcher.data;
+    setLiveItems((prev) => {
+      const seen = new Set(prev.map((item) => item.id));
+      return [...prev, ...items.filter((item) => !seen.has(item.id))];
+    });
+    setCursor(next);
+  }, [moreFetcher.state, moreFetcher.data]);
 
   useEffect(() => {
     const stored = localStorage.getItem("kleurstalen_print_mode");
@@ -206,10 +217,10 @@ export default function Kleurstalen() {
     });
 
     const channel = client
-      .channel("realtime-kleurstalen")
+      .channel(DESTINATION.channel)
       .on(
         "postgres_changes",
-        { event: "*", schema: "public", table: "Kleurstalen" },
+        { event: "*", schema: "public", table: DESTINATION.table },
         (payload) => {
           const activeStatus = tab === "done" ? "Done" : "Ready for Print";
 
@@ -246,7 +257,7 @@ export default function Kleurstalen() {
   }, [supabaseUrl, supabaseKey, tab]);
 
   const activeTab = tab;
-  const hasMore = liveCount > liveItems.length;
+  const hasMore = Boolean(cursor);
   const selectedTabIndex = activeTab === "done" ? 1 : 0;
 
   const tabs = [
@@ -275,9 +286,9 @@ export default function Kleurstalen() {
   }, [activeTab, setSearchParams]);
 
   const loadMore = () => {
-    const params = { tab: activeTab, limit: String(limit + PAGE_SIZE) };
+    const params = { tab: activeTab, after: cursor };
     if (search) params.q = search;
-    setSearchParams(params);
+    moreFetcher.load(`/app/kleurstalen?${new URLSearchParams(params)}`);
   };
 
   const handlePrint = (item) => {
@@ -333,7 +344,7 @@ export default function Kleurstalen() {
             setPrintProgress({ step: "status", current: batchNum, total: totalBatches });
             const batch = ids.slice(i, i + BATCH_SIZE);
             const { error: updateError } = await clientRef.current
-              .from("Kleurstalen")
+              .from(DESTINATION.table)
               .update({ status: "Done" })
               .in("id", batch);
             if (updateError) {
@@ -344,11 +355,10 @@ export default function Kleurstalen() {
       } else {
         // N8N webhook mode
         setPrintProgress({ step: "webhook", current: 0, total: 0 });
-        const res = await fetch(
-          "https://voordeelgordijnen.n8n.sition.cloud/webhook/abbffa92-b0ab-409c-a0bd-c615224aad22",
-          { method: "POST" },
-        );
-        const blob = await res.blob();
+        const result = await callN8nProxy("kleurstalen_print_all");
+        if (!result.ok) throw new Error(result.error);
+        if (!result.data?.base64) throw new Error("Webhook did not return a PDF");
+        const blob = proxyDataToBlob(result.data);
         const url = URL.createObjectURL(blob);
         window.open(url, "_blank");
       }
@@ -364,7 +374,7 @@ export default function Kleurstalen() {
     const newStatus = activeTab === "ready" ? "Done" : "Ready for Print";
     if (clientRef.current) {
       await clientRef.current
-        .from("Kleurstalen")
+        .from(DESTINATION.table)
         .update({ status: newStatus })
         .eq("id", item.id);
     }
@@ -447,8 +457,8 @@ export default function Kleurstalen() {
 
         {hasMore && (
           <InlineStack align="center">
-            <Button onClick={loadMore} loading={isLoading}>
-              Meer laden ({liveItems.length} van {liveCount})
+            <Button onClick={loadMore} loading={moreFetcher.state !== "idle"}>
+              {liveCount != null ? `Meer laden (${liveItems.length} van ${liveCount})` : "Meer laden"}
             </Button>
           </InlineStack>
         )}
@@ -0,0 +1,39 @@
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { callWebhook } from "../n8n-webhook.server";
+
+// Webhooks the browser may trigger through this proxy, with their timeout
+const PROXIED_WEBHOOKS = {
+  print_and_send: 60_000,
+  archive_and_send: 60_000,
+  nedistri_bundles: 30_000,
+  kleurstalen_print_all: 180_000,
+  sync_check_manual: 30_000,
+};
+
+/**
+ * Authenticated proxy for browser-initiated n8n webhook calls.
+ * Body: { webhook: "<registry name>", payload: {...} }
+ */
+export const action = async ({ request }) => {
+  await authenticate.admin(request);
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ ok: false, error: "Invalid JSON body", data: null }, { status: 400 });
+  }
+
+  const { webhook, payload } = body ?? {};
+  const timeoutMs = PROXIED_WEBHOOKS[webhook];
+  if (!timeoutMs) {
+    return json({ ok: false, error: `Webhook not allowed: ${webhook}`, data: null }, { status: 400 });
+  }
+
+  const result = await callWebhook(webhook, payload, { timeoutMs });
+  return json(
+    { ok: result.ok, error: result.error, data: result.data },
+    { status: result.ok ? 200 : 502 },
+  );
+};
@@ -23,6 +23,10 @@ import { SearchIcon } from "@shopify/polaris-icons";
 import { TitleBar } from "@shopify/app-bridge-react";
 import { authenticate } from "../shopify.server";
 import supabase from "../supabase.server";
+import { getDestination, queryDestinationPage } from "../destinations";
+import { callN8nProxy } from "../n8n-proxy";
+
+const DESTINATION = getDestination("NE");
 
 const PAGE_SIZE = 50;
 
@@ -30,37 +34,18 @@ export const loader = async ({ request }) => {
   await authenticate.admin(request);
 
   const url = new URL(request.url);
-  const page = Math.max(1, parseInt(url.searchParams.get("page") || "1", 10));
+  const after = url.searchParams.get("after") || undefined;
+  const before = url.searchParams.get("before") || undefined;
   const search = url.searchParams.get("q") || "";
   const tab = url.searchParams.get("tab") || "pending";
 
-  const from = (page - 1) * PAGE_SIZE;
-  const to = from + PAGE_SIZE - 1;
-
   try {
-    let query = supabase
-      .from("nedistri")
-      .select("*", { count: "exact" })
-      .order("id", { ascending: false })
-      .range(from, to);
-
-    if (search.trim()) {
-      const isNumeric = /^\d+$/.test(search.trim());
-      const filters = [`customerName.ilike.%${search}%`];
-      if (isNumeric) {
-        filters.push(`orderNumber.eq.${search.trim()}`);
-        filters.push(`orderId.eq.${search.trim()}`);
-      }
-      query = query.or(filters.join(","));
-    }
-
-    const { data, error, count } = await query;
-    if (error) throw error;
+    const { data, nextCursor, prevCursor } = await queryDestinationPage(supabase, DESTINATION.code, { after, before, limit: PAGE_SIZE, search, count: null });
 
     return json({
-      orders: data ?? [],
-      total: count,
-      page,
+      orders: data,
+      nextCursor,
+      prevCursor,
       search,
       tab,
       error: null,
@@ -71,8 +56,8 @@ export const loader = async ({ request }) => {
     console.error("Failed to load nedistri orders:", e.message);
     return json({
       orders: [],
-      total: 0,
-      page,
+      nextCursor: null,
+      prevCursor: null,
       search,
       tab,
       error: e.message,
@@ -89,7 +74,7 @@ export const action = async ({ request }) => {
   if (body._action === "updateBundles") {
     const { id, HAN, BNL, BNK } = body;
     const { data, error } = await supabase
-      .from("nedistri")
+      .from(DESTINATION.table)
       .update({ HAN, BNL, BNK, status: "Print labels" })
       .eq("id", id)
       .select()
@@ -121,7 +106,7 @@ function useSupabaseRealtime(supabaseUrl, supabaseKey, tables, onEvent) {
     });
     clientRef.current = client;
 
-    let channel = client.channel("realtime-nedistri");
+    let channel = client.channel(DESTINATION.channel);
     for (const table of tables) {
       channel = channel.on(
         "postgres_changes",
@@ -214,11 +199,9 @@ function NedistriCard({ order, readOnly = false }) {
     );
 
     // Send order number to n8n webhook
-    fetch("https://voordeelgordijnen.n8n.sition.cloud/webhook/13ac60c2-2f3e-4652-9f54-9c425c3605ac", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ orderNumber: order.orderNumber }),
-    }).catch((e) => console.error("Webhook failed:", e));
+    callN8nProxy("nedistri_bundles", { orderNumber: order.orderNumber }).then((result) => {
+      if (!result.ok) console.error("Webhook failed:", result.error);
+    });
   }
 
   function handleCancel() {
@@ -402,7 +385,7 @@ function NedistriCard({ order, readOnly = false }) {
 /* ── Main Page ── */
 
 export default function NeDistri() {
-  const { orders, total, page, search, tab, error, supabaseUrl, supabaseKey } = useLoaderData();
+  const { orders, nextCursor, prevCursor, search, tab, error, supabaseUrl, supabaseKey } = useLoaderData();
   const navigation = useNavigation();
   const revalidator = useRevalidator();
   const [searchParams, setSearchParams] = useSearchParams();
@@ -418,7 +401,7 @@ export default function NeDistri() {
     [revalidator],
   );
 
-  const realtimeTables = ["nedistri"];
+  const realtimeTables = [DESTINATION.table];
   const realtimeStatus = useSupabaseRealtime(
     supabaseUrl,
     supabaseKey,
@@ -436,7 +419,6 @@ export default function NeDistri() {
     : orders.filter((o) => o.status === "Print labels" || o.status === "Done");
 
   const isLoading = navigation.state === "loading";
-  const totalPages = Math.ceil(total / PAGE_SIZE);
 
   // Week number filter
   const weekOptions = [{ label: "Week nummer", value: "" }];
@@ -452,7 +434,8 @@ export default function NeDistri() {
 
   function handleSearch() {
     const params = new URLSearchParams(searchParams);
-    params.delete("page");
+    params.delete("after");
+    params.delete("before");
     if (searchValue.trim()) {
       params.set("q", searchValue.trim());
     } else {
@@ -465,13 +448,11 @@ export default function NeDistri() {
     setSelectedTab(index);
   }
 
-  function goToPage(p) {
+  function goToCursor(direction, cursor) {
     const params = new URLSearchParams(searchParams);
-    if (p <= 1) {
-      params.delete("page");
-    } else {
-      params.set("page", String(p));
-    }
+    params.delete("after");
+    params.delete("before");
+    params.set(direction, cursor);
     setSearchParams(params);
   }
 
@@ -506,7 +487,8 @@ export default function NeDistri() {
                     setSearchValue("");
                     const params = new URLSearchParams(searchParams);
                     params.delete("q");
-                    params.delete("page");
+                    params.delete("after");
+                    params.delete("before");
                     setSearchParams(params);
                   }}
                   clearButton
@@ -584,14 +566,14 @@ export default function NeDistri() {
         )}
 
         {/* Pagination */}
-        {!isLoading && totalPages > 1 && (
+        {!isLoading && (prevCursor || nextCursor) && (
           <InlineStack align="center">
             <Pagination
-              hasPrevious={page > 1}
-              hasNext={page < totalPages}
-              onPrevious={() => goToPage(page - 1)}
-              onNext={() => goToPage(page + 1)}
-              label={`Pagina ${page} van ${totalPages}`}
+              hasPrevious={Boolean(prevCursor)}
+              hasNext={Boolean(nextCursor)}
+              onPrevious={() => goToCursor("before", prevCursor)}
+              onNext={() => goToCursor("after", nextCursor)}
+              label={orders.length > 0 ? `#${orders[0].orderNumber} \u2013 #${orders[orders.length - 1].orderNumber}` : ""}
             />
           </InlineStack>
         )}
@@ -1,24 +1,38 @@
 import { json } from "@remix-run/node";
 import { authenticate } from "../shopify.server";
 import prisma from "../db.server";
+import { getStaffMember } from "../staff.server";
+import { getViewRedaction } from "../redaction.server";
 
 export const loader = async ({ request }) => {
-  await authenticate.admin(request);
+  const auth = await authenticate.admin(request);
 
   const url = new URL(request.url);
   const orderNumber = url.searchParams.get("orderNumber");
+  const orderGid = url.searchParams.get("orderGid");
 
-  if (!orderNumber) return json({ executions: [] });
+  if (!orderNumber && !orderGid) return json({ executions: [] });
 
-  const executions = await prisma.executionOrder.findMany({
-    where: { orderNumber },
-    orderBy: { startedAt: "desc" },
-  });
+  // orderGid is only set when an extraction rule, customData or a pushed event provides it
+  const or = [];
+  if (orderNumber) or.push({ orderNumber });
+  if (orderGid) or.push({ orderGid });
+
+  const [executions, redaction] = await Promise.all([
+    prisma.executionOrder.findMany({
+      where: { OR: or },
+      orderBy: { startedAt: "desc" },
+    }),
+    getStaffMember(auth).then(getViewRedaction),
+  ]);
 
   return json({
-    executions: executions.map((e) => ({
+    executions: executions.map((e) => redaction.json({
       id: e.executionId,
       orderNumber: e.orderNumber,
+      orderGid: e.orderGid,
+      destination: e.destination,
+      customerEmail: e.customerEmail,
       workflowId: e.workflowId,
       status: e.status,
       startedAt: e.startedAt?.toISOString() ?? null,
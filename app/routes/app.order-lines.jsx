@@ -1,11 +1,28 @@
 import { json } from "@remix-run/node";
 import { authenticate } from "../shopify.server";
-import { queryLinesByOrderNumber, updateLine } from "../supabase.server";
+import { queryLine, queryLinesByOrderNumber, updateLine, LineConflictError } from "../supabase.server";
+import { validateLineEdit, LINE_EDIT_FIELDS } from "../line-validation";
+import { getLineValidationRules } from "../line-rules.server";
+import { getLineHistory, getLineVersionFields } from "../line-history.server";
+import { getStaffMember } from "../staff.server";
 
+/**
+ * Lines of an order (?orderNumber=), or the version history of one line (?lineId=).
+ */
 export const loader = async ({ request }) => {
   await authenticate.admin(request);
   const url = new URL(request.url);
   const orderNumber = url.searchParams.get("orderNumber");
+  const lineId = url.searchParams.get("lineId");
+
+  if (lineId) {
+    try {
+      return json({ history: await getLineHistory(lineId), error: null });
+    } catch (e) {
+      console.error("Failed to fetch line history:", e.message);
+      return json({ history: [], error: e.message });
+    }
+  }
 
   if (!orderNumber) return json({ lines: [], error: "Missing orderNumber" });
 
@@ -18,19 +35,53 @@ export const loader = async ({ request }) => {
   }
 };
 
+/**
+ * Save an edited line. Body: { lineId, fields, version } where `version` is the
+ * line version the edit started from, or { lineId, revertTo, version } to put the
+ * line back to an earlier version from its history. Responds 422 with field-level `errors`
+ * when the edit breaks the dimension rules (line-validation.js), and 409 with
+ * the current line when someone else saved the line in the meantime.
+ */
 export const action = async ({ request }) => {
-  await authenticate.admin(request);
+  const auth = await authenticate.admin(request);
   const body = await request.json();
-  const { lineId, fields } = body;
+  const { lineId, revertTo, version } = body;
+  let { fields } = body;
 
-  if (!lineId || !fields) {
-    return json({ ok: false, error: "Missing lineId or fields" }, { status: 400 });
+  if (!lineId || (!fields && revertTo == null) || version == null) {
+    return json({ ok: false, error: "Missing lineId, fields or version" }, { status: 400 });
   }
 
   try {
-    const updated = await updateLine(lineId, fields);
+    if (revertTo != null) {
+      fields = await getLineVersionFields(lineId, Number(revertTo));
+      if (!fields) return json({ ok: false, error: `Version ${revertTo} not found` }, { status: 404 });
+    }
+    // Only editable fields: the rest (e.g. productGroupCode) decides which limits apply
+    fields = Object.fromEntries(Object.entries(fields).filter(([field]) => LINE_EDIT_FIELDS.includes(field)));
+    if (Object.keys(fields).length === 0) {
+      return json({ ok: false, error: "No editable fields" }, { status: 400 });
+    }
+
+    const [current, lineRules] = await Promise.all([queryLine(lineId), getLineValidationRules()]);
+    if (!current) return json({ ok: false, error: `Line ${lineId} not found` }, { status: 404 });
+
+    const { valid, errors } = validateLineEdit(current, fields, lineRules);
+    if (!valid) {
+      return json({ ok: false, error: "Controleer de gemarkeerde velden", errors }, { status: 422 });
+    }
+
+    const staff = await getStaffMember(auth);
+    const updated = await updateLine(lineId, fields, {
+      expectedVersion: version,
+      updatedBy: staff.name,
+      revertedTo: revertTo != null ? Number(revertTo) : null,
+    });
     return json({ ok: true, line: updated, error: null });
   } catch (e) {
+    if (e instanceof LineConflictError) {
+      return json({ ok: false, conflict: true, line: e.line, error: e.message }, { status: 409 });
+    }
     console.error("Failed to update line:", e.message);
     return json({ ok: false, error: e.message }, { status: 500 });
   }
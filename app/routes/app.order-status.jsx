@@ -0,0 +1,45 @@
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { getStaffMember } from "../staff.server";
+import { transitionOrderStatuses, restoreDeletedOrders, OrderStatusError } from "../order-status.server";
+
+/**
+ * Status changes of Webattelier orders (see order-status.js).
+ * Body: { orderIds: ["1234", ...], status: "Done" }
+ *   or { orderIds: [...], restore: true } to take Deleted orders out of the trash.
+ *
+ * Responds 200 when every order was updated, 409 when some or all were
+ * rejected; `updated` and `rejected` are filled in both cases.
+ */
+export const action = async ({ request }) => {
+  const auth = await authenticate.admin(request);
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ ok: false, error: "Invalid JSON body", updated: [], rejected: [] }, { status: 400 });
+  }
+
+  const { orderIds, status, restore } = body ?? {};
+  if (!Array.isArray(orderIds) || orderIds.length === 0) {
+    return json({ ok: false, error: "No orders given", updated: [], rejected: [] }, { status: 400 });
+  }
+
+  try {
+    const staff = await getStaffMember(auth);
+    const { updated, rejected } = restore
+      ? await restoreDeletedOrders(orderIds, { staff })
+      : await transitionOrderStatuses(orderIds, status, { staff });
+    return json(
+      { ok: rejected.length === 0, error: rejected[0]?.error ?? null, updated, rejected },
+      { status: rejected.length === 0 ? 200 : 409 },
+    );
+  } catch (e) {
+    if (e instanceof OrderStatusError) {
+      return json({ ok: false, error: e.message, updated: [], rejected: [] }, { status: e.status });
+    }
+    console.error("[order-status] Status change failed:", e.message);
+    return json({ ok: false, error: e.message, updated: [], rejected: [] }, { status: 500 });
+  }
+};
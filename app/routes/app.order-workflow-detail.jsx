@@ -1,7 +1,10 @@
 import { json } from "@remix-run/node";
 import { authenticate } from "../shopify.server";
-import { getExecution, retryExecution } from "../n8n.server";
+import { retryExecution, describeN8nError } from "../n8n.server";
 import { appendChangeLog } from "../changelog.server";
+import { runExecutionAction } from "../execution-actions.server";
+import { getStaffMember } from "../staff.server";
+import { extractExecutionId, getOrderTimeline } from "../order-timeline.server";
 
 const CORS_HEADERS = {
   "Access-Control-Allow-Origin": "*",
@@ -10,81 +13,23 @@ const CORS_HEADERS = {
 };
 
 /**
- * Extract the n8n execution ID from a workflow URL.
- * Handles URLs like:
- *   https://n8n.example.com/workflow/abc123/executions/12345
- *   https://n8n.example.com/execution/12345
+ * The `n8n_execution_urls` list metafield value: a JSON array of URLs.
  */
-function extractExecutionId(url) {
-  if (!url) return null;
+function parseUrlList(value) {
+  if (!value) return [];
   try {
-    const parsed = new URL(url);
-    const parts = parsed.pathname.split("/").filter(Boolean);
-    const execIdx = parts.indexOf("executions");
-    if (execIdx !== -1 && parts[execIdx + 1]) return parts[execIdx + 1];
-    const execIdx2 = parts.indexOf("execution");
-    if (execIdx2 !== -1 && parts[execIdx2 + 1]) return parts[execIdx2 + 1];
-    return parts[parts.length - 1] || null;
+    const list = JSON.parse(value);
+    return Array.isArray(list) ? list.filter((u) => typeof u === "string") : [];
   } catch {
-    return null;
+    return [];
   }
 }
 
-async function getExecutionDetail(executionId) {
-  if (!executionId) return null;
-
-  const exec = await getExecution(executionId, { includeData: true });
-  if (!exec) return null;
-
-  const workflowNodes = exec?.workflowData?.nodes ?? [];
-  const runData = exec?.data?.resultData?.runData ?? {};
-
-  const nodes = workflowNodes.map((node) => {
-    const runs = runData[node.name];
-    const ran = !!runs && runs.length > 0;
-    const lastRun = ran ? runs[runs.length - 1] : null;
-
-    const output = lastRun?.data?.main
-      ?.flat()
-      ?.map((item) => item?.json)
-      ?.filter(Boolean) ?? [];
-
-    return {
-      name: node.name,
-      type: node.type?.split(".").pop() ?? node.type,
-      ran,
-      startTime: lastRun?.startTime ?? null,
-      executionTime: lastRun?.executionTime ?? null,
-      error: lastRun?.error?.message ?? null,
-      output: output.length === 1 ? output[0] : output.length > 0 ? output : null,
-    };
-  });
-
-  const ranNodes = nodes
-    .filter((n) => n.ran)
-    .sort((a, b) => (a.startTime ?? 0) - (b.startTime ?? 0));
-
-  return {
-    execution: {
-      id: exec.id,
-      status: exec.status,
-      startedAt: exec.startedAt,
-      stoppedAt: exec.stoppedAt,
-      mode: exec.mode,
-    },
-    nodes: ranNodes,
-  };
-}
-
-async function fetchOne(url) {
-  const executionId = extractExecutionId(url);
-  if (!executionId) return null;
-  try {
-    return await getExecutionDetail(executionId);
-  } catch (e) {
-    console.error(`[order-workflow-detail] Failed to fetch execution ${executionId}:`, e.message);
-    return null;
-  }
+function statusForN8nError(error) {
+  if (error.status === 404) return 404;
+  if (error.status === 429) return 429;
+  if (error.kind === "unavailable") return 503;
+  return 502;
 }
 
 export const action = async ({ request }) => {
@@ -93,9 +38,9 @@ export const action = async ({ request }) => {
     return new Response(null, { status: 204, headers: CORS_HEADERS });
   }
 
-  let admin;
+  let auth;
   try {
-    ({ admin } = await authenticate.admin(request));
+    auth = await authenticate.admin(request);
   } catch (authResponse) {
     if (authResponse instanceof Response) {
       return json(
@@ -105,19 +50,37 @@ export const action = async ({ request }) => {
     }
     throw authResponse;
   }
+  const { admin } = auth;
 
   const formData = await request.formData();
+  const intent = formData.get("_action") || "retry";
   const url = formData.get("url") || "";
   const orderGid = formData.get("orderGid") || "";
-  console.log("[order-workflow-detail] Retry requested for URL:", url);
+  console.log(`[order-workflow-detail] ${intent} requested for:`, formData.get("executionId") || url);
 
-  const executionId = extractExecutionId(url);
-  console.log("[order-workflow-detail] Extracted execution ID:", executionId);
+  // Timeline entries post the execution ID; older callers post the metafield URL
+  const executionId = formData.get("executionId") || extractExecutionId(url);
+  console.log("[order-workflow-detail] Execution ID:", executionId);
 
   if (!executionId) {
     return json({ ok: false, error: "No execution ID found in URL" }, { status: 400, headers: CORS_HEADERS });
   }
 
+  if (intent === "stop" || intent === "delete") {
+    try {
+      const staff = await getStaffMember(auth);
+      const result = await runExecutionAction(admin, { action: intent, executionId, staff, orderGid: orderGid || null });
+      return json({ ok: true, action: intent, executionId, status: result.status }, { headers: CORS_HEADERS });
+    } catch (e) {
+      console.error(`[order-workflow-detail] ${intent} failed for ${executionId}:`, e.message);
+      const n8nError = describeN8nError(e);
+      return json(
+        { ok: false, action: intent, error: e.message, n8nError },
+        { status: statusForN8nError(n8nError), headers: CORS_HEADERS },
+      );
+    }
+  }
+
   try {
     const result = await retryExecution(executionId, { loadWorkflow: true });
     console.log("[order-workflow-detail] Retry result:", JSON.stringify(result));
@@ -127,10 +90,14 @@ export const action = async ({ request }) => {
         executionId,
       });
     }
-    return json({ ok: true, result }, { headers: CORS_HEADERS });
+    return json({ ok: true, executionId, result }, { headers: CORS_HEADERS });
   } catch (e) {
     console.error(`[order-workflow-detail] Retry failed for ${executionId}:`, e.message);
-    return json({ ok: false, error: e.message }, { status: 500, headers: CORS_HEADERS });
+    const n8nError = describeN8nError(e);
+    return json(
+      { ok: false, error: e.message, n8nError },
+      { status: statusForN8nError(n8nError), headers: CORS_HEADERS },
+    );
   }
 };
 
@@ -156,13 +123,19 @@ export const loader = async ({ request }) => {
   }
 
   const url = new URL(request.url);
-  const workflowUrl = url.searchParams.get("workflowUrl") || "";
-  const finisherUrl = url.searchParams.get("finisherUrl") || "";
-
-  const [workflow, finisher] = await Promise.all([
-    workflowUrl ? fetchOne(workflowUrl) : Promise.resolve(null),
-    finisherUrl ? fetchOne(finisherUrl) : Promise.resolve(null),
-  ]);
+  const orderNumber = (url.searchParams.get("orderNumber") || "").replace(/^#/, "");
+  const orderGid = url.searchParams.get("orderGid") || "";
+  const links = [
+    { url: url.searchParams.get("workflowUrl"), source: "workflow" },
+    { url: url.searchParams.get("finisherUrl"), source: "finisher" },
+    ...parseUrlList(url.searchParams.get("urls")).map((u) => ({ url: u, source: "linked" })),
+  ].filter((link) => link.url);
 
-  return json({ workflow, finisher }, { headers: CORS_HEADERS });
+  try {
+    const { runs, n8nError } = await getOrderTimeline({ orderNumber, orderGid, links });
+    return json({ runs, n8nError }, { headers: CORS_HEADERS });
+  } catch (e) {
+    console.error("[order-workflow-detail] Failed to build timeline:", e.message);
+    return json({ runs: [], error: e.message }, { status: 500, headers: CORS_HEADERS });
+  }
 };
@@ -11,6 +11,7 @@ import {
   Badge,
   Box,
   Spinner,
+  DataTable,
   Pagination,
   Banner,
   TextField,
@@ -25,7 +26,18 @@ import {
 import { SearchIcon } from "@shopify/polaris-icons";
 import { TitleBar } from "@shopify/app-bridge-react";
 import { authenticate } from "../shopify.server";
-import { queryTable, queryLinesByOrderNumbers, searchOrders } from "../supabase.server";
+import supabase, { queryLinesByOrderNumbers } from "../supabase.server";
+import { getDestination, queryDestinationPage } from "../destinations";
+import { callN8nProxy } from "../n8n-proxy";
+import { ORDER_STATUS, setOrderStatus, restoreOrders } from "../order-status";
+import { validateLineEdit } from "../line-validation";
+import { getLineValidationRules } from "../line-rules.server";
+import { purgeDeletedOrders, getTrashRetentionDays } from "../order-trash.server";
+import { getWorkflows } from "../n8n.server";
+import { syncExecutions } from "../n8n-sync.server";
+import { getOverdueExecutions } from "../execution-watchdog.server";
+import { OverdueExecutionsBanner } from "../components/OverdueExecutionsBanner";
+import { SideSheet } from "../components/SideSheet";
 
 const PAGE_SIZE = 50;
 
@@ -34,18 +46,18 @@ export const loader = async ({ request }) => {
   const shop = session.shop;
 
   const url = new URL(request.url);
-  const page = Math.max(1, parseInt(url.searchParams.get("page") || "1", 10));
+  const after = url.searchParams.get("after") || undefined;
+  const before = url.searchParams.get("before") || undefined;
   const search = url.searchParams.get("q") || "";
-  const sortBy = url.searchParams.get("sort") || "id";
+  const sortBy = url.searchParams.get("sort") || "created_at";
   const sortDir = url.searchParams.get("dir") || "desc";
   const status = url.searchParams.get("status") ?? "open,Creating pdf";
-  const from = (page - 1) * PAGE_SIZE;
-  const to = from + PAGE_SIZE - 1;
+
+  // Empty the trash of expired orders (fire-and-forget, throttled to 1 hour)
+  purgeDeletedOrders().catch(() => {});
 
   try {
-    const { data, count } = search
-      ? await searchOrders(search, { from, to, sortBy, sortDir, status })
-      : await queryTable("Webattelier - orders", { from, to, sortBy, sortDir, status });
+    const { data, count, nextCursor, prevCursor } = await queryDestinationPage(supabase, "WA", { after, before, limit: PAGE_SIZE, search, sortBy, sortDir, status });
 
     const orderIds = data.map((o) => String(o.id)).filter(Boolean);
     const linesByOrder = await queryLinesByOrderNumbers(orderIds);
@@ -74,12 +86,36 @@ export const loader = async ({ request }) => {
       }
     }
 
+    // Executions of these orders that the watchdog flagged as overdue. The sync
+    // keeps their statuses current (fire-and-forget, throttled to 1 min)
+    syncExecutions().catch(() => {});
+    const overdueByOrder = {};
+    let workflowNames = {};
+    try {
+      const overdue = await getOverdueExecutions({ orderNumbers: orderIds });
+      for (const row of overdue) (overdueByOrder[row.orderNumber] ??= []).push(row);
+      if (overdue.length > 0) {
+        const workflows = (await getWorkflows()).data ?? [];
+        workflowNames = Object.fromEntries(workflows.map((w) => [String(w.id), w.name]));
+      }
+    } catch (e) {
+      console.error("Failed to load overdue executions:", e.message);
+    }
+
+    const trashRetentionDays = status === "deleted" ? await getTrashRetentionDays() : null;
+    const lineRules = await getLineValidationRules();
+
     return json({
       orders: data,
       linesByOrder,
+      trashRetentionDays,
+      lineRules,
       shopifyOrderIds,
+      overdueByOrder,
+      workflowNames,
       total: count,
-      page,
+      nextCursor,
+      prevCursor,
       search,
       error: null,
       sortBy,
@@ -95,8 +131,11 @@ export const loader = async ({ request }) => {
       orders: [],
       linesByOrder: {},
       shopifyOrderIds: {},
+      overdueByOrder: {},
+      workflowNames: {},
       total: 0,
-      page,
+      nextCursor: null,
+      prevCursor: null,
       search,
       error: e.message,
       supabaseUrl: process.env.SUPABASE_URL,
@@ -124,7 +163,7 @@ function useSupabaseRealtime(supabaseUrl, supabaseKey, tables, onEvent) {
     });
     clientRef.current = client;
 
-    let channel = client.channel("realtime-orders-and-lines");
+    let channel = client.channel(getDestination("WA").channel);
     for (const table of tables) {
       channel = channel.on(
         "postgres_changes",
@@ -315,37 +354,180 @@ function reverseCalculateFields(values, line) {
   };
 }
 
-function OrderLine({ line }) {
+// Editor input showing the errors of each line field (see line-validation.js)
+const LINE_FIELD_INPUTS = {
+  panelsLeft: "panelsLeft",
+  panelsRight: "panelsRight",
+  finishedWidthLeftInMm: "knipmaatLeft",
+  finishedWidthRightInMm: "knipmaatRight",
+  cutSizeLeftInMm: "knipmaatLeft",
+  cutSizeRightInMm: "knipmaatRight",
+};
+
+function toInputErrors(errors) {
+  const result = {};
+  for (const [field, message] of Object.entries(errors ?? {})) {
+    const input = LINE_FIELD_INPUTS[field];
+    if (input && !result[input]) result[input] = message;
+  }
+  return result;
+}
+
+const LINE_FIELD_LABELS = {
+  panelsLeft: "Banen links",
+  panelsRight: "Banen rechts",
+  finishedWidthLeftInMm: "Breedte links (mm)",
+  finishedWidthRightInMm: "Breedte rechts (mm)",
+  cutSizeLeftInMm: "Knipmaat links (cm)",
+  cutSizeRightInMm: "Knipmaat rechts (cm)",
+};
+
+function formatHistoryValue(value) {
+  if (value == null || value === "") return "—";
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * "Geschiedenis" of a line, in a side sheet next to the order: every saved version
+ * with its field diff, and a revert to any earlier version. Reverts are posted
+ * through the editor's fetcher, so they get the same validation, conflict
+ * handling and customerJson rebuild as an edit.
+ */
+function LineHistory({ line, fetcher, open, onClose }) {
+  const historyFetcher = useFetcher();
+  const history = historyFetcher.data?.history ?? [];
+  // The fetcher object changes with every load; its load function does not
+  const loadHistory = historyFetcher.load;
+  const reverting = fetcher.state !== "idle" ? fetcher.json?.revertTo : null;
+  const revertError = fetcher.state === "idle" && fetcher.data?.ok === false ? fetcher.data.error : null;
+  // A save or revert is visible here before the page data is revalidated
+  const currentVersion = fetcher.data?.ok ? Math.max(line.version, fetcher.data.line.version) : line.version;
+
+  useEffect(() => {
+    if (open) loadHistory(`/app/order-lines?lineId=${line.id}`);
+  }, [open, line.id, currentVersion, loadHistory]);
+
+  function handleRevert(version) {
+    fetcher.submit(
+      { lineId: line.id, revertTo: version, version: currentVersion },
+      { method: "POST", action: "/app/order-lines", encType: "application/json" },
+    );
+  }
+
+  return (
+    <SideSheet open={open} onClose={onClose} title={`Geschiedenis ${line.customer_reference ?? ""}`.trim()}>
+      <BlockStack gap="400">
+        {revertError && (
+          <Banner tone="critical">
+            <p>Terugzetten mislukt: {revertError}</p>
+          </Banner>
+        )}
+        {historyFetcher.data?.error && (
+          <Banner tone="critical">
+            <p>{historyFetcher.data.error}</p>
+          </Banner>
+        )}
+        {historyFetcher.state !== "idle" && history.length === 0 ? (
+          <InlineStack align="center">
+            <Spinner size="small" />
+          </InlineStack>
+        ) : history.length === 0 ? (
+          <Text variant="bodySm" as="p" tone="subdued">
+            Deze lijn is nog niet aangepast.
+          </Text>
+        ) : (
+          history.map((entry) => (
+            <BlockStack key={entry.version} gap="200">
+              <Divider />
+              <InlineStack align="space-between" blockAlign="center">
+                <InlineStack gap="200" blockAlign="center">
+                  <Text variant="headingSm" as="h4">Versie {entry.version}</Text>
+                  {entry.version === currentVersion && <Badge tone="success">Huidig</Badge>}
+                  {entry.revertedTo != null && <Badge>Teruggezet naar versie {entry.revertedTo}</Badge>}
+                  <Text variant="bodySm" as="span" tone="subdued">
+                    {entry.changedBy || (entry.changes.length === 0 ? "Origineel" : "Onbekend")}
+                    {entry.changedAt && <> &middot; {formatDate(entry.changedAt)}</>}
+                  </Text>
+                </InlineStack>
+                {entry.version !== currentVersion && (
+                  <Button
+                    size="slim"
+                    onClick={() => handleRevert(entry.version)}
+                    loading={reverting === entry.version}
+                    disabled={reverting != null}
+                  >
+                    Terugzetten naar deze versie
+                  </Button>
+                )}
+              </InlineStack>
+              {entry.changes.length > 0 && (
+                <DataTable
+                  columnContentTypes={["text", "text", "text"]}
+                  headings={["Veld", "Was", "Werd"]}
+                  rows={entry.changes.map((change) => [
+                    LINE_FIELD_LABELS[change.field] ?? change.field,
+                    formatHistoryValue(change.before),
+                    formatHistoryValue(change.after),
+                  ])}
+                />
+              )}
+            </BlockStack>
+          ))
+        )}
+      </BlockStack>
+    </SideSheet>
+  );
+}
+
+function OrderLine({ line, lineRules }) {
   const fetcher = useFetcher();
+  const [historyOpen, setHistoryOpen] = useState(false);
   const [dirty, setDirty] = useState(false);
   const [values, setValues] = useState(() => toDisplayValues(line));
+  // Line as saved by someone else while this edit was open (409 from /app/order-lines)
+  const [conflictLine, setConflictLine] = useState(null);
+  // Version of the line the current edit started from
+  const baseVersion = useRef(line.version);
+  // Field errors from the last save (422), until the next change
+  const [serverErrors, setServerErrors] = useState(null);
 
   const isOG = line.productGroupCode === "OG";
   const heightMm = line.finishedHeightInMm || 0;
 
   const isSaving = fetcher.state === "submitting";
-  const saveError = fetcher.data?.ok === false ? fetcher.data.error : null;
+  const saveError = fetcher.data?.ok === false && !fetcher.data.conflict ? fetcher.data.error : null;
+  const validation = dirty ? validateLineEdit(line, reverseCalculateFields(values, line), lineRules) : null;
+  const inputErrors = toInputErrors({ ...serverErrors, ...validation?.errors });
+  const hasInputErrors = Object.keys(inputErrors).length > 0;
 
   // Sync from line prop on revalidation/realtime, but only when user isn't editing
   useEffect(() => {
     if (!dirty) {
       setValues(toDisplayValues(line));
+      baseVersion.current = line.version;
     }
-  }, [line.finishedWidthLeftInMm, line.finishedWidthRightInMm, line.panelsLeft, line.panelsRight, line.cutSizeLeftInMm, line.cutSizeRightInMm]);
+  }, [line.version, line.finishedWidthLeftInMm, line.finishedWidthRightInMm, line.panelsLeft, line.panelsRight, line.cutSizeLeftInMm, line.cutSizeRightInMm]);
 
   // After successful save, immediately reflect saved values from server response
   useEffect(() => {
     if (fetcher.data?.ok) {
       setDirty(false);
+      setConflictLine(null);
       if (fetcher.data.line) {
         setValues(toDisplayValues(fetcher.data.line));
+        baseVersion.current = fetcher.data.line.version;
       }
+    } else if (fetcher.data?.conflict) {
+      setConflictLine(fetcher.data.line);
+    } else if (fetcher.data?.errors) {
+      setServerErrors(fetcher.data.errors);
     }
   }, [fetcher.data]);
 
   function handleChange(field) {
     return (val) => {
       setDirty(true);
+      setServerErrors(null);
       setValues((prev) => {
         const next = { ...prev, [field]: val };
 
@@ -394,20 +576,41 @@ function OrderLine({ line }) {
   function handleSave() {
     const fields = reverseCalculateFields(values, line);
     fetcher.submit(
-      { lineId: line.id, fields },
+      { lineId: line.id, fields, version: baseVersion.current },
       { method: "POST", action: "/app/order-lines", encType: "application/json" },
     );
   }
 
   function handleCancel() {
     setDirty(false);
+    setConflictLine(null);
+    setServerErrors(null);
     setValues(toDisplayValues(line));
+    baseVersion.current = line.version;
+  }
+
+  // Drop this edit and continue from the other person's values
+  function handleTakeTheirs() {
+    setValues(toDisplayValues(conflictLine));
+    baseVersion.current = conflictLine.version;
+    setConflictLine(null);
+    setDirty(false);
+  }
+
+  // Save this edit over the other person's, now that they have been seen
+  function handleKeepMine() {
+    baseVersion.current = conflictLine.version;
+    setConflictLine(null);
+    handleSave();
   }
 
+  const theirValues = conflictLine ? toDisplayValues(conflictLine) : null;
+
   const { hangingSystem, plooiName, ringName, lining, dimensions } = parseLineDetails(line);
 
   return (
     <Box paddingBlockStart="300" paddingBlockEnd="300">
+      <LineHistory line={line} fetcher={fetcher} open={historyOpen} onClose={() => setHistoryOpen(false)} />
       <InlineStack gap="800" wrap={false}>
         <Box minWidth="50%">
           <BlockStack gap="100">
@@ -431,13 +634,17 @@ function OrderLine({ line }) {
         </Box>
         <Box minWidth="40%">
           <BlockStack gap="200">
-            <Text variant="headingSm" as="h4">Paneel info</Text>
+            <InlineStack align="space-between" blockAlign="center">
+              <Text variant="headingSm" as="h4">Paneel info</Text>
+              <Button variant="plain" onClick={() => setHistoryOpen(true)}>Geschiedenis</Button>
+            </InlineStack>
             <BlockStack gap="200">
               <InlineStack gap="300" wrap={false}>
                 <TextField
                   label="Knipmaat links (cm)"
                   value={String(values.knipmaatLeft)}
                   onChange={handleChange("knipmaatLeft")}
+                  error={inputErrors.knipmaatLeft}
                   type="number"
                   autoComplete="off"
                   size="slim"
@@ -446,6 +653,7 @@ function OrderLine({ line }) {
                   label="Knipmaat rechts (cm)"
                   value={String(values.knipmaatRight)}
                   onChange={handleChange("knipmaatRight")}
+                  error={inputErrors.knipmaatRight}
                   type="number"
                   autoComplete="off"
                   size="slim"
@@ -456,6 +664,7 @@ function OrderLine({ line }) {
                   label="Banen links"
                   value={String(values.panelsLeft)}
                   onChange={handleChange("panelsLeft")}
+                  error={inputErrors.panelsLeft}
                   type="number"
                   autoComplete="off"
                   size="slim"
@@ -464,6 +673,7 @@ function OrderLine({ line }) {
                   label="Banen rechts"
                   value={String(values.panelsRight)}
                   onChange={handleChange("panelsRight")}
+                  error={inputErrors.panelsRight}
                   type="number"
                   autoComplete="off"
                   size="slim"
@@ -474,9 +684,22 @@ function OrderLine({ line }) {
                   <p>{saveError}</p>
                 </Banner>
               )}
+              {theirValues && (
+                <Banner
+                  tone="warning"
+                  title={`Intussen gewijzigd door ${conflictLine.updated_by || "iemand anders"}${conflictLine.updated_at ? ` (${formatDate(conflictLine.updated_at)})` : ""}`}
+                  action={{ content: "Hun wijzigingen laden", onAction: handleTakeTheirs }}
+                  secondaryAction={{ content: "Mijn wijzigingen toch opslaan", onAction: handleKeepMine }}
+                >
+                  <p>
+                    Knipmaat links {theirValues.knipmaatLeft || 0} cm, rechts {theirValues.knipmaatRight || 0} cm &middot;
+                    Banen links {theirValues.panelsLeft === "" ? 0 : theirValues.panelsLeft}, rechts {theirValues.panelsRight === "" ? 0 : theirValues.panelsRight}
+                  </p>
+                </Banner>
+              )}
               {dirty && (
                 <InlineStack gap="200">
-                  <Button variant="primary" onClick={handleSave} loading={isSaving}>
+                  <Button variant="primary" onClick={handleSave} loading={isSaving} disabled={hasInputErrors}>
                     Opslaan
                   </Button>
                   <Button onClick={handleCancel} disabled={isSaving}>
@@ -494,10 +717,11 @@ function OrderLine({ line }) {
 
 /* ── Order Card ── */
 
-function OrderCard({ order, lines, shop, highlighted, errorExit, readOnly, supabaseUrl, supabaseKey, shopifyOrderIds }) {
+function OrderCard({ order, lines, shop, highlighted, errorExit, readOnly, shopifyOrderIds, overdue, workflowNames, trashRetentionDays, lineRules }) {
   const [menuOpen, setMenuOpen] = useState(false);
   const [printing, setPrinting] = useState(false);
   const [archiving, setArchiving] = useState(false);
+  const [restoring, setRestoring] = useState(false);
   const [exiting, setExiting] = useState(false);
   const [actionDone, setActionDone] = useState(null); // "print" | "archive" | "error" | null
   const [exitHeight, setExitHeight] = useState(null);
@@ -523,6 +747,10 @@ function OrderCard({ order, lines, shop, highlighted, errorExit, readOnly, supab
   const status = order.status || "—";
   const date = formatDate(order.created_at);
   const finishDate = order.finish_time ? formatDate(order.finish_time) : null;
+  const trashed = String(status).toLowerCase() === "deleted";
+  const purgeDate = trashed && trashRetentionDays && order.status_changed_at
+    ? formatDate(new Date(new Date(order.status_changed_at).getTime() + trashRetentionDays * 24 * 60 * 60 * 1000))
+    : null;
 
   function triggerExit(label) {
     if (cardRef.current) setExitHeight(cardRef.current.offsetHeight);
@@ -533,17 +761,9 @@ function OrderCard({ order, lines, shop, highlighted, errorExit, readOnly, supab
   async function handlePrintAndSend() {
     setPrinting(true);
     try {
-      const res = await fetch(
-        "https://voordeelgordijnen.n8n.sition.cloud/webhook/377b0505-2c7c-4808-8643-eb74796f1449",
-        {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ orderId }),
-        },
-      );
-      const resData = await res.json().catch(() => null);
-      console.log("Print & verstuur response:", res.status, resData);
-      if (!res.ok || resData?.status === "error" || resData?.error) throw new Error(resData?.message || resData?.error || `HTTP ${res.status}`);
+      const result = await callN8nProxy("print_and_send", { orderId });
+      console.log("Print & verstuur response:", result);
+      if (!result.ok) throw new Error(result.error);
       triggerExit("Verstuurd");
     } catch (e) {
       console.error("Print & verstuur failed:", e);
@@ -559,12 +779,9 @@ function OrderCard({ order, lines, shop, highlighted, errorExit, readOnly, supab
       if (order.pdf_url) {
         window.open(order.pdf_url, "_blank");
       }
-      if (status !== "Done") {
-        const client = createClient(supabaseUrl, supabaseKey);
-        await client
-          .from("Webattelier - orders")
-          .update({ status: "Done" })
-          .eq("id", orderId);
+      if (String(status).toLowerCase() !== "done") {
+        const result = await setOrderStatus(orderId, ORDER_STATUS.DONE);
+        if (!result.ok) throw new Error(result.error);
         triggerExit("Geprint & afgerond");
       }
     } catch (e) {
@@ -575,18 +792,25 @@ function OrderCard({ order, lines, shop, highlighted, errorExit, readOnly, supab
     }
   }
 
+  async function handleRestore() {
+    setRestoring(true);
+    try {
+      const result = await restoreOrders(orderId);
+      if (!result.ok) throw new Error(result.error);
+      triggerExit(`Hersteld naar "${result.updated[0]?.status}"`);
+    } catch (e) {
+      console.error("Restore failed:", e);
+      triggerExit("Error");
+    } finally {
+      setRestoring(false);
+    }
+  }
+
   async function handleArchiveAndSend() {
     setArchiving(true);
     try {
-      const res = await fetch(
-        "https://voordeelgordijnen.n8n.sition.cloud/webhook/7e0022e4-630d-4f0d-99aa-efc0864457c1",
-        {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ orderId }),
-        },
-      );
-      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const result = await callN8nProxy("archive_and_send", { orderId });
+      if (!result.ok) throw new Error(result.error);
       triggerExit("Gearchiveerd & verstuurd");
     } catch (e) {
       console.error("Verstuur & markeer voor bulk failed:", e);
@@ -662,9 +886,16 @@ function OrderCard({ order, lines, shop, highlighted, errorExit, readOnly, supab
                   Finalized: {finishDate}
                 </Text>
               )}
+              {purgeDate && (
+                <Text variant="bodySm" as="span" tone="subdued">
+                  Definitief verwijderd na {purgeDate}
+                </Text>
+              )}
             </InlineStack>
             <InlineStack gap="200" blockAlign="center">
-              {readOnly ? (
+              {trashed ? (
+                <Button onClick={handleRestore} loading={restoring}>Herstel</Button>
+              ) : readOnly ? (
                 order.pdf_url ? (
                   <Button variant="primary" onClick={handlePrintReady} loading={printing}>
                     {printing ? "Printen..." : "Print"}
@@ -698,11 +929,8 @@ function OrderCard({ order, lines, shop, highlighted, errorExit, readOnly, supab
                         }},
                         { content: "Verwijder", destructive: true, onAction: async () => {
                           try {
-                            const client = createClient(supabaseUrl, supabaseKey);
-                            await client
-                              .from("Webattelier - orders")
-                              .update({ status: "Deleted" })
-                              .eq("id", orderId);
+                            const result = await setOrderStatus(orderId, ORDER_STATUS.DELETED);
+                            if (!result.ok) throw new Error(result.error);
                             triggerExit("Verwijderd");
                           } catch (e) {
                             console.error("Delete failed:", e);
@@ -728,6 +956,13 @@ function OrderCard({ order, lines, shop, highlighted, errorExit, readOnly, supab
           </Box>
         )}
 
+        {/* Workflow runs the watchdog flagged as overdue */}
+        {overdue?.length > 0 && (
+          <Box paddingBlockEnd="300">
+            <OverdueExecutionsBanner executions={overdue} workflowNames={workflowNames} />
+          </Box>
+        )}
+
         {/* Customer comment */}
         {order.comment && (
           <Box paddingBlockEnd="300">
@@ -743,7 +978,7 @@ function OrderCard({ order, lines, shop, highlighted, errorExit, readOnly, supab
             {lines.map((line, i) => (
               <div key={line.id ?? i}>
                 <Divider />
-                <OrderLine line={line} />
+                <OrderLine line={line} lineRules={lineRules} />
               </div>
             ))}
           </BlockStack>
@@ -811,9 +1046,11 @@ function OrderCard({ order, lines, shop, highlighted, errorExit, readOnly, supab
 /* ── Main Page ── */
 
 export default function Orders() {
-  const { orders, linesByOrder, shopifyOrderIds, total, page, search, error, sortBy, sortDir, status, shop, supabaseUrl, supabaseKey } =
+  const { orders, linesByOrder, shopifyOrderIds, overdueByOrder, workflowNames, trashRetentionDays, lineRules, total, nextCursor, prevCursor, search, error, sortBy, sortDir, status, shop, supabaseUrl, supabaseKey } =
     useLoaderData();
   const [bulkPrinting, setBulkPrinting] = useState(false);
+  const [bulkRestoring, setBulkRestoring] = useState(false);
+  const [bulkRestoreResult, setBulkRestoreResult] = useState(null);
   const [bulkProgress, setBulkProgress] = useState({ step: "", current: 0, total: 0 });
   const navigation = useNavigation();
   const revalidator = useRevalidator();
@@ -857,8 +1094,8 @@ export default function Orders() {
     [revalidator],
   );
 
-  const realtimeTables = ["Webattelier - orders", "Webattelier - lines"];
-  const { status: realtimeStatus, clientRef } = useSupabaseRealtime(
+  const realtimeTables = [getDestination("WA").table, "Webattelier - lines"];
+  const { status: realtimeStatus } = useSupabaseRealtime(
     supabaseUrl,
     supabaseKey,
     realtimeTables,
@@ -889,10 +1126,29 @@ export default function Orders() {
     const params = new URLSearchParams(searchParams);
     const filter = STATUS_TABS[index].filter;
     params.set("status", filter);
-    params.delete("page");
+    params.delete("after");
+    params.delete("before");
     setSearchParams(params);
   }
 
+  async function handleBulkRestore() {
+    setBulkRestoring(true);
+    setBulkRestoreResult(null);
+    try {
+      const ids = orders.map((o) => String(o.id)).filter(Boolean);
+      const result = await restoreOrders(ids);
+      if (!result.ok && !result.rejected?.length) throw new Error(result.error);
+      for (const r of result.rejected ?? []) console.error(`Restore of #${r.id} rejected:`, r.error);
+      setBulkRestoreResult({ restored: result.updated.length, rejected: result.rejected.length });
+    } catch (e) {
+      console.error("Bulk restore failed:", e);
+      setBulkRestoreResult({ error: e.message });
+    } finally {
+      setBulkRestoring(false);
+      if (revalidator.state === "idle") revalidator.revalidate();
+    }
+  }
+
   async function handleBulkPrint() {
     if (orders.length === 0) return;
     setBulkPrinting(true);
@@ -909,21 +1165,12 @@ export default function Orders() {
         setBulkProgress({ step: "fetch", current: 0, total: orderIds.length });
         for (let i = 0; i < orderIds.length; i++) {
           setBulkProgress({ step: "fetch", current: i + 1, total: orderIds.length });
-          try {
-            const res = await fetch(
-              "https://voordeelgordijnen.n8n.sition.cloud/webhook/377b0505-2c7c-4808-8643-eb74796f1449",
-              {
-                method: "POST",
-                headers: { "Content-Type": "application/json" },
-                body: JSON.stringify({ orderId: orderIds[i] }),
-              },
-            );
-            if (!res.ok) continue;
-            const data = await res.json();
-            if (data.pdf_url) pdfUrls.push(data.pdf_url);
-          } catch (e) {
-            console.error("Failed to get PDF for order", orderIds[i], e);
+          const result = await callN8nProxy("print_and_send", { orderId: orderIds[i] });
+          if (!result.ok) {
+            console.error("Failed to get PDF for order", orderIds[i], result.error);
+            continue;
           }
+          if (result.data?.pdf_url) pdfUrls.push(result.data.pdf_url);
         }
       }
 
@@ -970,20 +1217,18 @@ export default function Orders() {
         window.open(url, "_blank");
       }
 
-      // Step 3: Set all orders to Done
-      if (clientRef.current) {
-        const uuids = orders.map((o) => o.uuid).filter(Boolean);
-        const BATCH_SIZE = 100;
-        const totalBatches = Math.ceil(uuids.length / BATCH_SIZE);
-        for (let i = 0; i < uuids.length; i += BATCH_SIZE) {
-          const batchNum = Math.floor(i / BATCH_SIZE) + 1;
-          setBulkProgress({ step: "status", current: batchNum, total: totalBatches });
-          const batch = uuids.slice(i, i + BATCH_SIZE);
-          await clientRef.current
-            .from("Webattelier - orders")
-            .update({ status: "Done" })
-            .in("uuid", batch);
+      // Step 3: Set all orders to Done (orders that cannot move to Done are skipped server-side)
+      const ids = orders.map((o) => String(o.id)).filter(Boolean);
+      const BATCH_SIZE = 100;
+      const totalBatches = Math.ceil(ids.length / BATCH_SIZE);
+      for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+        const batchNum = Math.floor(i / BATCH_SIZE) + 1;
+        setBulkProgress({ step: "status", current: batchNum, total: totalBatches });
+        const result = await setOrderStatus(ids.slice(i, i + BATCH_SIZE), ORDER_STATUS.DONE);
+        for (const rejected of result.rejected ?? []) {
+          console.error("Status not updated for order", rejected.id, rejected.error);
         }
+        if (!result.ok && !result.rejected?.length) console.error("Bulk status update failed:", result.error);
       }
     } catch (e) {
       console.error("Bulk print failed:", e);
@@ -994,11 +1239,11 @@ export default function Orders() {
   }
 
   const isLoading = navigation.state === "loading";
-  const totalPages = Math.ceil(total / PAGE_SIZE);
 
   function handleSearch() {
     const params = new URLSearchParams(searchParams);
-    params.delete("page");
+    params.delete("after");
+    params.delete("before");
     if (searchValue.trim()) {
       params.set("q", searchValue.trim());
     } else {
@@ -1008,10 +1253,10 @@ export default function Orders() {
   }
 
   const SORT_OPTIONS = [
-    { label: "Order nr (nieuwste eerst)", value: "id__desc" },
-    { label: "Order nr (oudste eerst)", value: "id__asc" },
     { label: "Datum (nieuwste eerst)", value: "created_at__desc" },
     { label: "Datum (oudste eerst)", value: "created_at__asc" },
+    { label: "Order nr (nieuwste eerst)", value: "id__desc" },
+    { label: "Order nr (oudste eerst)", value: "id__asc" },
     { label: "Klant (A-Z)", value: "customer name__asc" },
     { label: "Klant (Z-A)", value: "customer name__desc" },
   ];
@@ -1021,17 +1266,17 @@ export default function Orders() {
     const params = new URLSearchParams(searchParams);
     params.set("sort", newSort);
     params.set("dir", newDir);
-    params.delete("page");
+    params.delete("after");
+    params.delete("before");
     setSearchParams(params);
   }
 
-  function goToPage(p) {
+  // Next/previous pages are anchored on the last/first row shown (see queryDestinationPage)
+  function goToCursor(direction, cursor) {
     const params = new URLSearchParams(searchParams);
-    if (p <= 1) {
-      params.delete("page");
-    } else {
-      params.set("page", String(p));
-    }
+    params.delete("after");
+    params.delete("before");
+    params.set(direction, cursor);
     setSearchParams(params);
   }
 
@@ -1060,7 +1305,8 @@ export default function Orders() {
                 setSearchValue("");
                 const params = new URLSearchParams(searchParams);
                 params.delete("q");
-                params.delete("page");
+                params.delete("after");
+                params.delete("before");
                 setSearchParams(params);
               }}
               clearButton
@@ -1086,7 +1332,7 @@ export default function Orders() {
           </InlineStack>
           <InlineStack gap="200" blockAlign="center">
             <Text variant="bodySm" as="span" tone="subdued">
-              {total} orders
+              {total != null ? `~${total} orders` : "orders"}
             </Text>
             {lastEvent && (
               <Text variant="bodySm" as="span" tone="subdued">
@@ -1137,6 +1383,27 @@ export default function Orders() {
               </InlineStack>
             </Box>
           )}
+          {status === "deleted" && orders.length > 0 && (
+            <Box paddingBlockStart="300" paddingBlockEnd="300">
+              <InlineStack gap="300" blockAlign="center">
+                <Button onClick={handleBulkRestore} loading={bulkRestoring}>
+                  Herstel alle ({orders.length})
+                </Button>
+                {bulkRestoreResult && (
+                  <Text variant="bodySm" as="span" tone={bulkRestoreResult.error || bulkRestoreResult.rejected ? "critical" : "subdued"}>
+                    {bulkRestoreResult.error
+                      ? `Herstellen mislukt: ${bulkRestoreResult.error}`
+                      : `${bulkRestoreResult.restored} hersteld${bulkRestoreResult.rejected ? `, ${bulkRestoreResult.rejected} mislukt` : ""}`}
+                  </Text>
+                )}
+                {trashRetentionDays && (
+                  <Text variant="bodySm" as="span" tone="subdued">
+                    Verwijderde orders worden na {trashRetentionDays} dagen definitief verwijderd.
+                  </Text>
+                )}
+              </InlineStack>
+            </Box>
+          )}
           {isLoading ? (
             <Box padding="800">
               <InlineStack align="center">
@@ -1170,7 +1437,7 @@ export default function Orders() {
                 const errorExit = orderId ? errorExitIds.has(orderId) : false;
                 return (
                   <div key={orderId ?? i} className="order-card-enter" style={{ animationDelay: `${Math.min(i * 30, 300)}ms` }}>
-                    <OrderCard order={order} lines={lines} shop={shop} highlighted={highlighted} errorExit={errorExit} readOnly={isReadOnly} supabaseUrl={supabaseUrl} supabaseKey={supabaseKey} shopifyOrderIds={shopifyOrderIds} />
+                    <OrderCard order={order} lines={lines} shop={shop} highlighted={highlighted} errorExit={errorExit} readOnly={isReadOnly} shopifyOrderIds={shopifyOrderIds} overdue={overdueByOrder[String(order.id)]} workflowNames={workflowNames} trashRetentionDays={trashRetentionDays} lineRules={lineRules} />
                   </div>
                 );
               })}
@@ -1179,14 +1446,14 @@ export default function Orders() {
         </Tabs>
 
         {/* Pagination */}
-        {!isLoading && totalPages > 1 && (
+        {!isLoading && (prevCursor || nextCursor) && (
           <InlineStack align="center">
             <Pagination
-              hasPrevious={page > 1}
-              hasNext={page < totalPages}
-              onPrevious={() => goToPage(page - 1)}
-              onNext={() => goToPage(page + 1)}
-              label={`Pagina ${page} van ${totalPages}`}
+              hasPrevious={Boolean(prevCursor)}
+              hasNext={Boolean(nextCursor)}
+              onPrevious={() => goToCursor("before", prevCursor)}
+              onNext={() => goToCursor("after", nextCursor)}
+              label={orders.length > 0 ? `#${orders[0].id} \u2013 #${orders[orders.length - 1].id}` : ""}
             />
           </InlineStack>
         )}
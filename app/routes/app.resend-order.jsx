@@ -1,9 +1,7 @@
 import { json } from "@remix-run/node";
 import { authenticate } from "../shopify.server";
 import { appendChangeLog } from "../changelog.server";
-
-const WEBHOOK_URL =
-  "https://voordeelgordijnen.n8n.sition.cloud/webhook/fe5da6d2-8eaf-44c8-a9e8-6550aa3404d2";
+import { callWebhook } from "../n8n-webhook.server";
 
 export const action = async ({ request }) => {
   const { admin } = await authenticate.admin(request);
@@ -113,21 +111,9 @@ export const action = async ({ request }) => {
     }
 
     // POST order JSON to the webhook
-    const webhookResponse = await fetch(WEBHOOK_URL, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(order),
-    });
-
-    if (!webhookResponse.ok) {
-      const body = await webhookResponse.text().catch(() => "");
-      return json(
-        {
-          ok: false,
-          error: `Webhook returned ${webhookResponse.status}: ${body}`,
-        },
-        { status: 502 },
-      );
+    const webhookResult = await callWebhook("order_resend", order);
+    if (!webhookResult.ok) {
+      return json({ ok: false, error: webhookResult.error }, { status: 502 });
     }
 
     // Log to changelog
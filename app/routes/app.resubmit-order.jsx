@@ -1,6 +1,6 @@
 import { json } from "@remix-run/node";
 import { authenticate } from "../shopify.server";
-import prisma from "../db.server";
+import { callWebhook } from "../n8n-webhook.server";
 
 const CORS_HEADERS = {
   "Access-Control-Allow-Origin": "*",
@@ -8,9 +8,6 @@ const CORS_HEADERS = {
   "Access-Control-Allow-Headers": "Content-Type, Authorization",
 };
 
-const DEFAULT_WEBHOOK =
-  "https://voordeelgordijnen.n8n.sition.cloud/webhook/b16cf368-ecf4-414a-89bb-f5387ca2ffd0";
-
 const ORDER_QUERY = `
   query Order($id: ID!) {
     order(id: $id) {
@@ -176,29 +173,9 @@ export const action = async ({ request }) => {
     payload = built;
   }
 
-  let webhookUrl = DEFAULT_WEBHOOK;
-  try {
-    const setting = await prisma.setting.findUnique({
-      where: { key: "resubmit_webhook_url" },
-    });
-    if (setting?.value) webhookUrl = setting.value;
-  } catch {}
-
-  try {
-    const res = await fetch(webhookUrl, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(payload),
-    });
-
-    if (!res.ok) {
-      return json(
-        { ok: false, error: `Webhook responded with ${res.status}` },
-        { status: 502, headers: CORS_HEADERS },
-      );
-    }
-    return json({ ok: true }, { headers: CORS_HEADERS });
-  } catch (e) {
-    return json({ ok: false, error: e.message }, { status: 502, headers: CORS_HEADERS });
+  const result = await callWebhook("order_resubmit", payload);
+  if (!result.ok) {
+    return json({ ok: false, error: result.error }, { status: 502, headers: CORS_HEADERS });
   }
+  return json({ ok: true }, { headers: CORS_HEADERS });
 };
@@ -0,0 +1,20 @@
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { globalSearch } from "../global-search.server";
+
+/**
+ * Search every order source for ?q= (order number, customer name, email or
+ * postcode). Used by the header search field in app.jsx.
+ */
+export const loader = async ({ request }) => {
+  const { admin } = await authenticate.admin(request);
+  const q = (new URL(request.url).searchParams.get("q") || "").trim();
+  if (q.length < 2) return json({ query: q, kind: null, groups: [], error: null });
+
+  try {
+    return json({ ...(await globalSearch(admin, q)), error: null });
+  } catch (e) {
+    console.error("Global search failed:", e.message);
+    return json({ query: q, kind: null, groups: [], error: e.message });
+  }
+};
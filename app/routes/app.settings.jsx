@@ -13,39 +13,243 @@ import {
   Button,
   InlineStack,
   Checkbox,
+  DataTable,
+  Box,
 } from "@shopify/polaris";
+import { Modal as AppBridgeModal, TitleBar, useAppBridge } from "@shopify/app-bridge-react";
 import { authenticate } from "../shopify.server";
 import prisma from "../db.server";
+import { DEFAULT_RETENTION_DAYS } from "../n8n-sync.server";
+import { DEFAULT_TRASH_RETENTION_DAYS, getPurgeReports, purgeDeletedOrders } from "../order-trash.server";
+import {
+  ENVIRONMENTS,
+  WEBHOOKS,
+  currentEnvironment,
+  getWebhookRegistry,
+  resolveWebhookUrls,
+  saveWebhookUrl,
+  pingWebhook,
+} from "../webhooks.server";
+import {
+  EXTRACTED_KEYS,
+  getExtractionRules,
+  saveWorkflowRules,
+  testWorkflowRules,
+} from "../extraction-rules.server";
+import { getWorkflows } from "../n8n.server";
+import {
+  ROLES,
+  DEFAULT_ROLE,
+  DEFAULT_PATTERNS,
+  getRedactionSettings,
+  saveRedactionSettings,
+  getStaffRoles,
+  saveStaffRole,
+  canManagePrivacy,
+  getStaffRole,
+  isAdmin,
+} from "../redaction.server";
+import { getStaffMember } from "../staff.server";
+import { LINE_RULE_LIMITS, getLineRules } from "../line-validation";
+import { getLineValidationRules, saveLineValidationRules } from "../line-rules.server";
+import { recordAudit, listAuditLog } from "../audit.server";
 import { NAV_PAGES } from "./app";
 
-const DEFAULT_WEBHOOK =
-  "https://voordeelgordijnen.n8n.sition.cloud/webhook/b16cf368-ecf4-414a-89bb-f5387ca2ffd0";
-
 export const loader = async ({ request }) => {
-  await authenticate.admin(request);
+  const auth = await authenticate.admin(request);
 
-  let resubmitWebhookUrl = "";
   let pageVisibility = {};
+  let retentionDays = "";
+  let trashRetentionDays = "";
   try {
     const settings = await prisma.setting.findMany({
-      where: { key: { in: ["resubmit_webhook_url", "page_visibility"] } },
+      where: { key: { in: ["page_visibility", "execution_retention_days", "order_trash_retention_days"] } },
     });
     for (const s of settings) {
-      if (s.key === "resubmit_webhook_url") resubmitWebhookUrl = s.value || "";
       if (s.key === "page_visibility") pageVisibility = JSON.parse(s.value || "{}");
+      if (s.key === "execution_retention_days") retentionDays = s.value || "";
+      if (s.key === "order_trash_retention_days") trashRetentionDays = s.value || "";
     }
   } catch {}
 
-  return json({ resubmitWebhookUrl, pageVisibility });
+  const names = WEBHOOKS.map((w) => w.name);
+  const resolvedWebhookUrls = {};
+  for (const env of ENVIRONMENTS) {
+    resolvedWebhookUrls[env] = await resolveWebhookUrls(names, env);
+  }
+
+  let workflows = [];
+  try {
+    workflows = ((await getWorkflows()).data ?? []).map((w) => ({ id: String(w.id), name: w.name }));
+  } catch (e) {
+    console.error("Failed to load workflows for extraction rules:", e.message);
+  }
+
+  const admin = await isAdmin(await getStaffMember(auth));
+
+  return json({
+    pageVisibility,
+    retentionDays,
+    defaultRetentionDays: DEFAULT_RETENTION_DAYS,
+    trashRetentionDays,
+    defaultTrashRetentionDays: DEFAULT_TRASH_RETENTION_DAYS,
+    purgeReports: await getPurgeReports().catch(() => []),
+    canPurgeTrash: admin,
+    canEditWebhooks: admin,
+    canEditRetention: admin,
+    webhooks: WEBHOOKS,
+    webhookRegistry: await getWebhookRegistry(),
+    resolvedWebhookUrls,
+    environments: ENVIRONMENTS,
+    currentEnvironment: currentEnvironment(),
+    extractedKeys: EXTRACTED_KEYS,
+    extractionRules: await getExtractionRules(),
+    lineRules: await getLineValidationRules(),
+    workflows,
+    ...(await loadPrivacy(auth)),
+  });
 };
 
+async function loadPrivacy(auth) {
+  const staff = await getStaffMember(auth);
+  const [redaction, staffRoles, staffRole, canManage, auditLog] = await Promise.all([
+    getRedactionSettings(),
+    getStaffRoles(),
+    getStaffRole(staff),
+    canManagePrivacy(staff),
+    listAuditLog({ take: 25 }).catch(() => []),
+  ]);
+  return {
+    privacy: {
+      redaction,
+      staffRoles,
+      staffRole,
+      canManage,
+      auditLog,
+      staff,
+      roles: ROLES,
+      defaultRole: DEFAULT_ROLE,
+      defaultPatterns: DEFAULT_PATTERNS,
+    },
+  };
+}
+
+const RETENTION_KEYS = ["execution_retention_days", "order_trash_retention_days"];
+
 export const action = async ({ request }) => {
-  await authenticate.admin(request);
+  const auth = await authenticate.admin(request);
   const formData = await request.formData();
+  const intent = formData.get("_action");
+
+  if (intent === "saveRedaction" || intent === "saveStaffRole") {
+    const staff = await getStaffMember(auth);
+    if (!(await canManagePrivacy(staff))) {
+      return json({ ok: false, error: "Alleen beheerders kunnen privacy-instellingen wijzigen" }, { status: 403 });
+    }
+    try {
+      if (intent === "saveRedaction") {
+        const redaction = await saveRedactionSettings({
+          patterns: String(formData.get("patterns") || "").split("\n"),
+          revealRoles: JSON.parse(formData.get("revealRoles") || "[]"),
+        });
+        await recordAudit({ action: "redaction_settings_change", target: "settings:redaction", staff, details: redaction });
+      } else {
+        const staffId = formData.get("staffId");
+        const role = formData.get("role");
+        await saveStaffRole(staffId, role);
+        await recordAudit({ action: "staff_role_change", target: `staff:${String(staffId).trim()}`, staff, details: { role } });
+      }
+      return json({ ok: true });
+    } catch (e) {
+      return json({ ok: false, error: e.message }, { status: 400 });
+    }
+  }
+
+  if (intent === "saveWebhook") {
+    const staff = await getStaffMember(auth);
+    if (!(await isAdmin(staff))) {
+      return json({ ok: false, error: "Alleen beheerders kunnen webhooks wijzigen" }, { status: 403 });
+    }
+    try {
+      const env = formData.get("env");
+      const name = formData.get("name");
+      const url = String(formData.get("url") || "").trim();
+      await saveWebhookUrl(env, name, url);
+      await recordAudit({ action: "webhook_url_change", target: `webhook:${env}:${name}`, staff, details: { url: url || null } });
+      return json({ ok: true });
+    } catch (e) {
+      return json({ ok: false, error: e.message }, { status: 400 });
+    }
+  }
+
+  if (intent === "pingWebhook") {
+    try {
+      const ping = await pingWebhook(formData.get("name"), formData.get("env"));
+      return json({ ok: true, ping });
+    } catch (e) {
+      return json({ ok: false, error: e.message }, { status: 400 });
+    }
+  }
+
+  if (intent === "saveExtractionRules" || intent === "testExtractionRules") {
+    try {
+      const workflowId = formData.get("workflowId");
+      const rules = JSON.parse(formData.get("rules") || "{}");
+      if (intent === "testExtractionRules") {
+        const test = await testWorkflowRules(workflowId, rules);
+        return json({ ok: true, test });
+      }
+      await saveWorkflowRules(workflowId, rules);
+      return json({ ok: true });
+    } catch (e) {
+      return json({ ok: false, error: e.message }, { status: 400 });
+    }
+  }
+
+  if (intent === "saveLineRules") {
+    try {
+      const rules = await saveLineValidationRules(JSON.parse(formData.get("rules") || "{}"));
+      return json({ ok: true, rules });
+    } catch (e) {
+      return json({ ok: false, error: e.message }, { status: 400 });
+    }
+  }
+
+  if (intent === "purgeTrash") {
+    const staff = await getStaffMember(auth);
+    if (!(await isAdmin(staff))) {
+      return json({ ok: false, error: "Alleen beheerders kunnen de prullenbak opschonen" }, { status: 403 });
+    }
+    const report = await purgeDeletedOrders({ trigger: "manual", staff });
+    if (!report) {
+      return json({ ok: false, error: "Er loopt al een opschoning, probeer het zo opnieuw" }, { status: 409 });
+    }
+    return json({ ok: !report.error, error: report.error, report });
+  }
+
+  if (intent === "saveRetention") {
+    const staff = await getStaffMember(auth);
+    if (!(await isAdmin(staff))) {
+      return json({ ok: false, error: "Alleen beheerders kunnen bewaartermijnen wijzigen" }, { status: 403 });
+    }
+    const key = formData.get("key");
+    if (!RETENTION_KEYS.includes(key)) {
+      return json({ ok: false, error: `Onbekende bewaartermijn: ${key}` }, { status: 400 });
+    }
+    // Empty falls back to the default term
+    const value = String(formData.get("value") || "").trim();
+    if (value && !/^[1-9]\d*$/.test(value)) {
+      return json({ ok: false, error: "De bewaartermijn moet een positief aantal dagen zijn" }, { status: 400 });
+    }
+    await prisma.setting.upsert({ where: { key }, update: { value }, create: { key, value } });
+    await recordAudit({ action: "retention_change", target: `settings:${key}`, staff, details: { days: value ? Number(value) : null } });
+    return json({ ok: true });
+  }
+
   const key = formData.get("key");
   const value = formData.get("value");
 
-  if (key === "resubmit_webhook_url" || key === "page_visibility") {
+  if (key === "page_visibility") {
     await prisma.setting.upsert({
       where: { key },
       update: { value: value || "" },
@@ -56,14 +260,486 @@ export const action = async ({ request }) => {
   return json({ ok: true });
 };
 
+function WebhookRow({ webhook, env, storedUrl, resolvedUrl, canEdit }) {
+  const saveFetcher = useFetcher();
+  const pingFetcher = useFetcher();
+  const [urlInput, setUrlInput] = useState(storedUrl);
+
+  // Reset the input when switching environment
+  useEffect(() => {
+    setUrlInput(storedUrl);
+  }, [env, storedUrl]);
+
+  const saving = saveFetcher.state !== "idle";
+  const pinging = pingFetcher.state !== "idle";
+  const saveError = saveFetcher.state === "idle" ? saveFetcher.data?.error : null;
+  const pingResult = pingFetcher.state === "idle" ? pingFetcher.data : null;
+  const ping = pingResult?.ping;
+
+  const handleSave = () => {
+    saveFetcher.submit(
+      { _action: "saveWebhook", env, name: webhook.name, url: urlInput },
+      { method: "POST" },
+    );
+  };
+
+  const handlePing = () => {
+    pingFetcher.submit(
+      { _action: "pingWebhook", env, name: webhook.name },
+      { method: "POST" },
+    );
+  };
+
+  return (
+    <BlockStack gap="200">
+      <TextField
+        label={webhook.label}
+        value={urlInput}
+        onChange={setUrlInput}
+        placeholder={webhook.defaultUrl}
+        helpText={`${webhook.description} Actief: ${resolvedUrl}`}
+        error={saveError || undefined}
+        disabled={!canEdit}
+        autoComplete="off"
+      />
+      <InlineStack gap="200">
+        <Button onClick={handleSave} loading={saving} disabled={!canEdit || urlInput === storedUrl}>
+          Opslaan
+        </Button>
+        <Button onClick={handlePing} loading={pinging}>
+          Test bereikbaarheid
+        </Button>
+      </InlineStack>
+      {pingResult?.error && (
+        <Banner tone="critical">{pingResult.error}</Banner>
+      )}
+      {ping && (
+        <Banner tone={ping.ok ? "success" : "critical"}>
+          <BlockStack gap="100">
+            <Text as="p" variant="bodySm">
+              {ping.status != null ? `HTTP ${ping.status}` : "Geen antwoord"} in {ping.durationMs} ms
+              {ping.error ? ` — ${ping.error}` : ""}
+            </Text>
+            {ping.body && (
+              <Text as="p" variant="bodySm" tone="subdued" breakWord>
+                {ping.body}
+              </Text>
+            )}
+          </BlockStack>
+        </Banner>
+      )}
+    </BlockStack>
+  );
+}
+
+function ExtractionRules({ workflows, extractedKeys, extractionRules }) {
+  const saveFetcher = useFetcher();
+  const testFetcher = useFetcher();
+  const [workflowId, setWorkflowId] = useState(workflows[0]?.id ?? "");
+  const [rules, setRules] = useState(extractionRules[workflowId] ?? {});
+
+  // Load the stored rules when switching workflow
+  useEffect(() => {
+    setRules(extractionRules[workflowId] ?? {});
+  }, [workflowId, extractionRules]);
+
+  const saving = saveFetcher.state !== "idle";
+  const testing = testFetcher.state !== "idle";
+  const saveResult = saveFetcher.state === "idle" ? saveFetcher.data : null;
+  const testResult = testFetcher.state === "idle" ? testFetcher.data : null;
+
+  const updateRule = (key, field, value) => {
+    setRules((prev) => ({ ...prev, [key]: { ...prev[key], [field]: value } }));
+  };
+
+  const submit = (fetcher, intent) => {
+    fetcher.submit(
+      { _action: intent, workflowId, rules: JSON.stringify(rules) },
+      { method: "POST" },
+    );
+  };
+
+  if (workflows.length === 0) {
+    return <Banner tone="warning">Workflows konden niet uit n8n geladen worden.</Banner>;
+  }
+
+  return (
+    <BlockStack gap="400">
+      <Select
+        label="Workflow"
+        options={workflows.map((w) => ({ label: w.name, value: w.id }))}
+        value={workflowId}
+        onChange={setWorkflowId}
+      />
+      {extractedKeys.map(({ key, label }) => (
+        <InlineStack key={key} gap="200" wrap={false} blockAlign="end">
+          <div style={{ flex: 1 }}>
+            <TextField
+              label={`${label} \u2014 node`}
+              value={rules[key]?.node ?? ""}
+              onChange={(value) => updateRule(key, "node", value)}
+              placeholder="Naam van de node"
+              autoComplete="off"
+            />
+          </div>
+          <div style={{ flex: 1 }}>
+            <TextField
+              label="Pad"
+              value={rules[key]?.path ?? ""}
+              onChange={(value) => updateRule(key, "path", value)}
+              placeholder={key}
+              autoComplete="off"
+            />
+          </div>
+        </InlineStack>
+      ))}
+      <InlineStack gap="200">
+        <Button variant="primary" onClick={() => submit(saveFetcher, "saveExtractionRules")} loading={saving}>
+          Opslaan
+        </Button>
+        <Button onClick={() => submit(testFetcher, "testExtractionRules")} loading={testing}>
+          Test op laatste execution
+        </Button>
+      </InlineStack>
+      {saveResult?.ok && <Banner tone="success">Regels opgeslagen</Banner>}
+      {saveResult?.error && <Banner tone="critical">{saveResult.error}</Banner>}
+      {testResult?.error && <Banner tone="critical">{testResult.error}</Banner>}
+      {testResult?.ok && !testResult.test && (
+        <Banner tone="info">Deze workflow heeft nog geen executions.</Banner>
+      )}
+      {testResult?.test && (
+        <Banner tone="info" title={`Execution #${testResult.test.executionId}`}>
+          <BlockStack gap="100">
+            {extractedKeys.map(({ key, label }) => (
+              <Text key={key} as="p" variant="bodySm">
+                {label}: {testResult.test.values[key] ?? "\u2014"}
+              </Text>
+            ))}
+          </BlockStack>
+        </Banner>
+      )}
+    </BlockStack>
+  );
+}
+
+function LineRules({ lineRules }) {
+  const fetcher = useFetcher();
+  const [rules, setRules] = useState(lineRules);
+  const [newCode, setNewCode] = useState("");
+
+  useEffect(() => {
+    setRules(lineRules);
+  }, [lineRules]);
+
+  const saving = fetcher.state !== "idle";
+  const result = fetcher.state === "idle" ? fetcher.data : null;
+  const codes = Object.keys(rules).sort();
+
+  const updateLimit = (code, key, value) => {
+    setRules((prev) => ({ ...prev, [code]: { ...prev[code], [key]: value } }));
+  };
+
+  const addGroup = () => {
+    const code = newCode.trim().toUpperCase();
+    if (!code || rules[code]) return;
+    setRules((prev) => ({ ...prev, [code]: {} }));
+    setNewCode("");
+  };
+
+  const removeGroup = (code) => {
+    setRules(({ [code]: _removed, ...rest }) => rest);
+  };
+
+  return (
+    <BlockStack gap="400">
+      {codes.length === 0 && (
+        <Banner tone="warning">
+          Er zijn nog geen maten ingesteld: de editor controleert alleen negatieve waarden, hele banen en de knipmaat.
+        </Banner>
+      )}
+      {codes.map((code) => (
+        <BlockStack key={code} gap="200">
+          <InlineStack align="space-between" blockAlign="center">
+            <Text variant="headingSm" as="h3">{code}</Text>
+            <Button variant="plain" tone="critical" onClick={() => removeGroup(code)}>Verwijderen</Button>
+          </InlineStack>
+          <InlineStack gap="200" wrap={false}>
+            {LINE_RULE_LIMITS.map(({ key, label }) => (
+              <div key={key} style={{ flex: 1 }}>
+                <TextField
+                  label={label}
+                  type="number"
+                  min={0}
+                  value={rules[code][key] != null ? String(rules[code][key]) : ""}
+                  onChange={(value) => updateLimit(code, key, value)}
+                  autoComplete="off"
+                />
+              </div>
+            ))}
+          </InlineStack>
+          <Checkbox
+            label="Halve banen toegestaan (bij een gordijn van 2 delen)"
+            checked={getLineRules(rules, code).halfPanels}
+            onChange={(checked) => updateLimit(code, "halfPanels", checked)}
+          />
+        </BlockStack>
+      ))}
+      <InlineStack gap="200" blockAlign="end">
+        <TextField
+          label="Productgroep toevoegen"
+          value={newCode}
+          onChange={setNewCode}
+          placeholder="productGroupCode, bijv. OG"
+          autoComplete="off"
+        />
+        <Button onClick={addGroup} disabled={!newCode.trim()}>Toevoegen</Button>
+      </InlineStack>
+      <InlineStack>
+        <Button
+          variant="primary"
+          onClick={() => fetcher.submit({ _action: "saveLineRules", rules: JSON.stringify(rules) }, { method: "POST" })}
+          loading={saving}
+        >
+          Opslaan
+        </Button>
+      </InlineStack>
+      {result?.ok && <Banner tone="success">Maten opgeslagen</Banner>}
+      {result?.error && <Banner tone="critical">{result.error}</Banner>}
+    </BlockStack>
+  );
+}
+
+const AUDIT_LABELS = {
+  pii_reveal: "Ongemaskeerd bekeken",
+  pii_download: "Ongemaskeerd gedownload",
+  redaction_settings_change: "Redactie gewijzigd",
+  staff_role_change: "Rol gewijzigd",
+  webhook_url_change: "Webhook gewijzigd",
+  retention_change: "Bewaartermijn gewijzigd",
+  workflow_activate: "Workflow geactiveerd",
+  workflow_deactivate: "Workflow gedeactiveerd",
+  workflow_activate_failed: "Workflow activeren mislukt",
+  workflow_deactivate_failed: "Workflow deactiveren mislukt",
+};
+
+function PrivacySettings({ privacy }) {
+  const { redaction, staffRoles, staffRole, canManage, auditLog, staff, roles, defaultRole, defaultPatterns } = privacy;
+  const redactionFetcher = useFetcher();
+  const roleFetcher = useFetcher();
+  const [patterns, setPatterns] = useState(redaction.patterns.join("\n"));
+  const [revealRoles, setRevealRoles] = useState(redaction.revealRoles);
+  const [staffIdInput, setStaffIdInput] = useState("");
+  const [roleInput, setRoleInput] = useState("admin");
+
+  const redactionResult = redactionFetcher.state === "idle" ? redactionFetcher.data : null;
+  const roleResult = roleFetcher.state === "idle" ? roleFetcher.data : null;
+  const roleLabel = (value) => roles.find((r) => r.value === value)?.label ?? value;
+
+  const toggleRevealRole = (role) => {
+    setRevealRoles((prev) => (prev.includes(role) ? prev.filter((r) => r !== role) : [...prev, role]));
+  };
+
+  const handleSaveRedaction = () => {
+    redactionFetcher.submit(
+      { _action: "saveRedaction", patterns, revealRoles: JSON.stringify(revealRoles) },
+      { method: "POST" },
+    );
+  };
+
+  const submitRole = (staffId, role) => {
+    roleFetcher.submit({ _action: "saveStaffRole", staffId, role }, { method: "POST" });
+  };
+
+  return (
+    <BlockStack gap="400">
+      {!canManage && (
+        <Banner tone="info">
+          Alleen beheerders kunnen deze instellingen wijzigen. De winkeleigenaar en de staff ID&apos;s in
+          ADMIN_STAFF_IDS zijn altijd beheerder en kunnen de eerste rollen toewijzen.
+        </Banner>
+      )}
+      <TextField
+        label="Gemaskeerde keys"
+        value={patterns}
+        onChange={setPatterns}
+        multiline={4}
+        helpText={`Eén patroon per regel. Een key wordt gemaskeerd als hij het patroon bevat (hoofdletters, _ en - tellen niet mee). Standaard: ${defaultPatterns.join(", ")}.`}
+        disabled={!canManage}
+        autoComplete="off"
+      />
+      <BlockStack gap="100">
+        <Text variant="bodyMd" as="p">Mag ongemaskeerd bekijken</Text>
+        {roles.map((role) => (
+          <Checkbox
+            key={role.value}
+            label={role.label}
+            checked={revealRoles.includes(role.value)}
+            onChange={() => toggleRevealRole(role.value)}
+            disabled={!canManage}
+          />
+        ))}
+      </BlockStack>
+      <InlineStack>
+        <Button onClick={handleSaveRedaction} loading={redactionFetcher.state !== "idle"} disabled={!canManage}>
+          Opslaan
+        </Button>
+      </InlineStack>
+      {redactionResult?.error && <Banner tone="critical">{redactionResult.error}</Banner>}
+
+      <Text variant="headingSm" as="h3">Rollen</Text>
+      <Text variant="bodySm" as="p" tone="subdued">
+        Jouw staff ID: {staff.id ?? "onbekend"} ({staffRole ? roleLabel(staffRole) : "geen rol"}).
+        Medewerkers zonder rol hebben de rol {roleLabel(defaultRole)}.
+      </Text>
+      {Object.entries(staffRoles).map(([staffId, role]) => (
+        <InlineStack key={staffId} gap="200" blockAlign="center">
+          <Text as="span" variant="bodyMd">{staffId}</Text>
+          <Text as="span" variant="bodySm" tone="subdued">{roleLabel(role)}</Text>
+          {canManage && (
+            <Button size="slim" variant="plain" onClick={() => submitRole(staffId, defaultRole)}>
+              Verwijderen
+            </Button>
+          )}
+        </InlineStack>
+      ))}
+      {canManage && (
+        <InlineStack gap="200" blockAlign="end">
+          <TextField label="Staff ID" value={staffIdInput} onChange={setStaffIdInput} autoComplete="off" />
+          <Select
+            label="Rol"
+            options={roles.map((r) => ({ label: r.label, value: r.value }))}
+            value={roleInput}
+            onChange={setRoleInput}
+          />
+          <Button onClick={() => submitRole(staffIdInput, roleInput)} loading={roleFetcher.state !== "idle"}>
+            Toewijzen
+          </Button>
+        </InlineStack>
+      )}
+      {roleResult?.error && <Banner tone="critical">{roleResult.error}</Banner>}
+
+      <Text variant="headingSm" as="h3">Audit log</Text>
+      {auditLog.length === 0 ? (
+        <Text variant="bodySm" as="p" tone="subdued">Nog geen acties gelogd.</Text>
+      ) : (
+        <DataTable
+          columnContentTypes={["text", "text", "text", "text"]}
+          headings={["Datum", "Medewerker", "Actie", "Doel"]}
+          rows={auditLog.map((entry) => [
+            new Date(entry.createdAt).toLocaleString("nl-NL"),
+            entry.staffName,
+            AUDIT_LABELS[entry.action] ?? entry.action,
+            entry.target,
+          ])}
+        />
+      )}
+    </BlockStack>
+  );
+}
+
+function PurgeReports({ reports, canPurge, retentionDays }) {
+  const purgeFetcher = useFetcher();
+  const shopify = useAppBridge();
+  const result = purgeFetcher.state === "idle" ? purgeFetcher.data : null;
+
+  const confirmPurge = () => {
+    shopify.modal.hide("purge-trash-modal");
+    purgeFetcher.submit({ _action: "purgeTrash" }, { method: "POST" });
+  };
+
+  return (
+    <BlockStack gap="300">
+      <AppBridgeModal id="purge-trash-modal">
+        <Box padding="400">
+          <Text as="p">
+            Orders die langer dan {retentionDays} dagen in de prullenbak staan worden met hun lijnen definitief
+            verwijderd. Dit kan niet ongedaan worden gemaakt.
+          </Text>
+        </Box>
+        <TitleBar title="Prullenbak opschonen">
+          <button variant="primary" tone="critical" onClick={confirmPurge}>Definitief verwijderen</button>
+          <button onClick={() => shopify.modal.hide("purge-trash-modal")}>Annuleren</button>
+        </TitleBar>
+      </AppBridgeModal>
+      <InlineStack gap="300" blockAlign="center">
+        <Button
+          tone="critical"
+          onClick={() => shopify.modal.show("purge-trash-modal")}
+          loading={purgeFetcher.state !== "idle"}
+          disabled={!canPurge}
+        >
+          Nu opschonen
+        </Button>
+        {!canPurge && (
+          <Text variant="bodySm" as="span" tone="subdued">Alleen beheerders kunnen handmatig opschonen.</Text>
+        )}
+        {result?.ok && (
+          <Text variant="bodySm" as="span" tone="subdued">
+            {result.report.orderCount} orders en {result.report.lineCount} lijnen verwijderd
+          </Text>
+        )}
+      </InlineStack>
+      {result?.error && <Banner tone="critical">{result.error}</Banner>}
+
+      <Text variant="headingSm" as="h3">Opschoonrapporten</Text>
+      {reports.length === 0 ? (
+        <Text variant="bodySm" as="p" tone="subdued">Er is nog niets opgeschoond.</Text>
+      ) : (
+        <DataTable
+          columnContentTypes={["text", "text", "numeric", "numeric", "text"]}
+          headings={["Datum", "Gestart door", "Orders", "Lijnen", "Order IDs"]}
+          rows={reports.map((report) => [
+            new Date(report.createdAt).toLocaleString("nl-NL"),
+            report.trigger === "manual" ? report.staffName ?? "Handmatig" : "Automatisch",
+            report.orderCount,
+            report.lineCount,
+            report.error ? (
+              <Text as="span" tone="critical" breakWord>{report.error}</Text>
+            ) : (
+              <Text as="span" variant="bodySm" breakWord>{report.orderIds.join(", ") || "\u2014"}</Text>
+            ),
+          ])}
+          verticalAlign="top"
+        />
+      )}
+    </BlockStack>
+  );
+}
+
 export default function Settings() {
-  const { resubmitWebhookUrl, pageVisibility } = useLoaderData();
+  const {
+    pageVisibility,
+    retentionDays,
+    defaultRetentionDays,
+    trashRetentionDays,
+    defaultTrashRetentionDays,
+    purgeReports,
+    canPurgeTrash,
+    canEditWebhooks,
+    canEditRetention,
+    webhooks,
+    webhookRegistry,
+    resolvedWebhookUrls,
+    environments,
+    currentEnvironment,
+    extractedKeys,
+    extractionRules,
+    lineRules,
+    workflows,
+    privacy,
+  } = useLoaderData();
   const fetcher = useFetcher();
+  const retentionFetcher = useFetcher();
+  const retentionError = retentionFetcher.state === "idle" && retentionFetcher.data?.ok === false
+    ? retentionFetcher.data.error
+    : null;
 
   const [selectedTab, setSelectedTab] = useState(0);
   const [printMode, setPrintMode] = useState("n8n");
-  const [webhookInput, setWebhookInput] = useState(resubmitWebhookUrl);
+  const [webhookEnv, setWebhookEnv] = useState(currentEnvironment);
   const [visibility, setVisibility] = useState(pageVisibility);
+  const [retentionInput, setRetentionInput] = useState(retentionDays);
+  const [trashRetentionInput, setTrashRetentionInput] = useState(trashRetentionDays);
   const [saved, setSaved] = useState(false);
 
   useEffect(() => {
@@ -78,13 +754,25 @@ export default function Settings() {
     setTimeout(() => setSaved(false), 2000);
   };
 
-  const handleSaveWebhook = () => {
-    fetcher.submit(
-      { key: "resubmit_webhook_url", value: webhookInput },
+  useEffect(() => {
+    if (retentionFetcher.state !== "idle" || !retentionFetcher.data?.ok) return;
+    setSaved(true);
+    const timer = setTimeout(() => setSaved(false), 2000);
+    return () => clearTimeout(timer);
+  }, [retentionFetcher.state, retentionFetcher.data]);
+
+  const handleSaveRetention = () => {
+    retentionFetcher.submit(
+      { _action: "saveRetention", key: "execution_retention_days", value: retentionInput.trim() },
+      { method: "POST" },
+    );
+  };
+
+  const handleSaveTrashRetention = () => {
+    retentionFetcher.submit(
+      { _action: "saveRetention", key: "order_trash_retention_days", value: trashRetentionInput.trim() },
       { method: "POST" },
     );
-    setSaved(true);
-    setTimeout(() => setSaved(false), 2000);
   };
 
   const handleTogglePage = useCallback((pageKey) => {
@@ -105,7 +793,12 @@ export default function Settings() {
   const tabs = [
     { id: "pages", content: "Pagina's" },
     { id: "kleurstalen", content: "Kleurstalen" },
-    { id: "resubmit", content: "Bied opnieuw aan" },
+    { id: "webhooks", content: "Webhooks" },
+    { id: "executions", content: "Executions" },
+    { id: "extraction", content: "Extractie" },
+    { id: "privacy", content: "Privacy" },
+    { id: "trash", content: "Prullenbak" },
+    { id: "line-rules", content: "Lijnmaten" },
   ];
 
   return (
@@ -168,22 +861,149 @@ export default function Settings() {
           <Card>
             <BlockStack gap="400">
               <Text variant="headingMd" as="h2">
-                Bied opnieuw aan - Webhook
+                n8n webhooks
+              </Text>
+              <Text variant="bodySm" as="p" tone="subdued">
+                Alle uitgaande webhooks van de app. Laat een veld leeg voor de standaard URL.
+                Deze omgeving gebruikt: {currentEnvironment}.
+                {!canEditWebhooks && " Alleen beheerders kunnen de URL's wijzigen."}
+              </Text>
+              <Select
+                label="Omgeving"
+                options={environments.map((env) => ({ label: env, value: env }))}
+                value={webhookEnv}
+                onChange={setWebhookEnv}
+              />
+              <Text variant="bodySm" as="p" tone="subdued">
+                De bereikbaarheidstest stuurt alleen een OPTIONS-verzoek en start de workflow niet.
+              </Text>
+              {webhooks.map((webhook) => (
+                <WebhookRow
+                  key={webhook.name}
+                  webhook={webhook}
+                  env={webhookEnv}
+                  storedUrl={webhookRegistry[webhookEnv]?.[webhook.name] ?? ""}
+                  resolvedUrl={resolvedWebhookUrls[webhookEnv][webhook.name]}
+                  canEdit={canEditWebhooks}
+                />
+              ))}
+            </BlockStack>
+          </Card>
+        )}
+
+        {selectedTab === 3 && (
+          <Card>
+            <BlockStack gap="400">
+              <Text variant="headingMd" as="h2">
+                Execution historie
+              </Text>
+              <TextField
+                label="Bewaartermijn (dagen)"
+                type="number"
+                min={1}
+                value={retentionInput}
+                onChange={setRetentionInput}
+                placeholder={String(defaultRetentionDays)}
+                helpText="n8n executions worden lokaal bewaard zolang ze binnen deze termijn gestart zijn. Oudere executions worden bij de volgende sync verwijderd, behalve executions met een stem of tags. Laat leeg voor de standaard termijn."
+                autoComplete="off"
+                disabled={!canEditRetention}
+              />
+              {retentionError && <Banner tone="critical">{retentionError}</Banner>}
+              <Button onClick={handleSaveRetention} disabled={!canEditRetention}>Opslaan</Button>
+              {!canEditRetention && (
+                <Text variant="bodySm" as="p" tone="subdued">
+                  Alleen beheerders kunnen de bewaartermijn wijzigen.
+                </Text>
+              )}
+            </BlockStack>
+          </Card>
+        )}
+
+        {selectedTab === 4 && (
+          <Card>
+            <BlockStack gap="400">
+              <Text variant="headingMd" as="h2">
+                Extractie van orderkeys
+              </Text>
+              <Text variant="bodySm" as="p" tone="subdued">
+                Per workflow: uit welke node en welk pad (relatief aan het eerste item,
+                bijv. <code>order.name</code> of <code>[1].email</code>) een key gelezen wordt.
+                Zonder regel of waarde wordt <code>customData</code> gebruikt. Geldt voor
+                executions die vanaf nu gesynct worden.
+              </Text>
+              <ExtractionRules
+                workflows={workflows}
+                extractedKeys={extractedKeys}
+                extractionRules={extractionRules}
+              />
+            </BlockStack>
+          </Card>
+        )}
+
+        {selectedTab === 5 && (
+          <Card>
+            <BlockStack gap="400">
+              <Text variant="headingMd" as="h2">
+                Privacy
+              </Text>
+              <Text variant="bodySm" as="p" tone="subdued">
+                Klantgegevens in de output van n8n-nodes worden gemaskeerd voordat ze de app in gaan.
+                Ongemaskeerd bekijken of downloaden wordt in de audit log vastgelegd.
+              </Text>
+              <PrivacySettings privacy={privacy} />
+            </BlockStack>
+          </Card>
+        )}
+
+        {selectedTab === 6 && (
+          <Card>
+            <BlockStack gap="400">
+              <Text variant="headingMd" as="h2">
+                Prullenbak
+              </Text>
+              <Text variant="bodySm" as="p" tone="subdued">
+                Verwijderde orders blijven in de Deleted tab staan en kunnen daar hersteld worden.
+                Na de bewaartermijn worden ze met hun lijnen definitief uit Supabase verwijderd.
               </Text>
               <TextField
-                label="Webhook URL"
-                value={webhookInput}
-                onChange={setWebhookInput}
-                placeholder={DEFAULT_WEBHOOK}
-                helpText="De webhook URL waar het aangepaste order JSON payload naartoe wordt gestuurd. Laat leeg voor de standaard URL."
+                label="Bewaartermijn (dagen)"
+                type="number"
+                min={1}
+                value={trashRetentionInput}
+                onChange={setTrashRetentionInput}
+                placeholder={String(defaultTrashRetentionDays)}
+                helpText="Het opschonen draait automatisch bij het openen van de orders, hooguit eens per uur. Laat leeg voor de standaard termijn."
                 autoComplete="off"
+                disabled={!canEditRetention}
               />
-              {!webhookInput && (
-                <Text variant="bodySm" as="span" tone="subdued">
-                  Standaard: {DEFAULT_WEBHOOK}
+              {retentionError && <Banner tone="critical">{retentionError}</Banner>}
+              <Button onClick={handleSaveTrashRetention} disabled={!canEditRetention}>Opslaan</Button>
+              {!canEditRetention && (
+                <Text variant="bodySm" as="p" tone="subdued">
+                  Alleen beheerders kunnen de bewaartermijn wijzigen.
                 </Text>
               )}
-              <Button onClick={handleSaveWebhook}>Opslaan</Button>
+              <PurgeReports
+                reports={purgeReports}
+                canPurge={canPurgeTrash}
+                retentionDays={trashRetentionDays || defaultTrashRetentionDays}
+              />
+            </BlockStack>
+          </Card>
+        )}
+
+        {selectedTab === 7 && (
+          <Card>
+            <BlockStack gap="400">
+              <Text variant="headingMd" as="h2">
+                Lijnmaten per productgroep
+              </Text>
+              <Text variant="bodySm" as="p" tone="subdued">
+                Minimale en maximale maten waaraan de lijneditor op de orderpagina een lijn toetst,
+                per <code>productGroupCode</code>. Neem ze over uit de productiespecificaties van het
+                atelier. Lege velden worden niet gecontroleerd.
+              </Text>
+              <LineRules lineRules={lineRules} />
             </BlockStack>
           </Card>
         )}
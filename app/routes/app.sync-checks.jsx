@@ -25,6 +25,7 @@ import { ChevronDownIcon, ChevronUpIcon, InfoIcon, ExportIcon } from "@shopify/p
 import { TitleBar, Modal as AppBridgeModal, useAppBridge } from "@shopify/app-bridge-react";
 import { authenticate } from "../shopify.server";
 import { querySyncChecks, getSyncCheck, updateSyncCheckReport } from "../supabase.server";
+import { callN8nProxy } from "../n8n-proxy";
 
 /* ── Loader / Action ── */
 
@@ -927,10 +928,8 @@ export default function SyncChecks() {
   async function handleManualTrigger() {
     setTriggering(true);
     try {
-      await fetch(
-        "https://voordeelgordijnen.n8n.sition.cloud/webhook/sync-check-manual",
-        { method: "POST", headers: { "Content-Type": "application/json" }, body: "{}" },
-      );
+      const result = await callN8nProxy("sync_check_manual");
+      if (!result.ok) throw new Error(result.error);
       // Wait a moment then refresh to show the new check
       setTimeout(() => {
         if (revalidator.state === "idle") revalidator.revalidate();
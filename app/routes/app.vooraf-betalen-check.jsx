@@ -22,6 +22,7 @@ import { SearchIcon, ChevronDownIcon, ChevronUpIcon } from "@shopify/polaris-ico
 import { TitleBar } from "@shopify/app-bridge-react";
 import { authenticate } from "../shopify.server";
 import supabase from "../supabase.server";
+import { DESTINATIONS, getDestination, findDestinationKeys } from "../destinations";
 
 const PAGE_SIZE = 50;
 const MAX_ORDERS = 250;
@@ -50,17 +51,8 @@ const ORDERS_QUERY = `
   }
 `;
 
-// One lookup key per order (the order number), checked against every supabase
-// table. Each table stores it under a different column name and data type.
-const DEST_ORDER = ["WA", "NE", "KL", "GH", "HKL"];
-
-const DEST_INFO = {
-  WA: { table: "Webattelier - orders", keyField: "id", keyType: "number" },
-  NE: { table: "nedistri", keyField: "orderNumber", keyType: "number" },
-  KL: { table: "Kleurstalen", keyField: "orderNumber", keyType: "number" },
-  GH: { table: "grandhome", keyField: "ordernumber", keyType: "string" },
-  HKL: { table: "hkl", keyField: "ordernumber", keyType: "string" },
-};
+// One lookup key per order (the order number), checked against every destination
+// in the registry (destinations.js), each with its own key column and data type.
 
 function parseOrderNumber(name) {
   if (!name) return null;
@@ -105,29 +97,22 @@ async function checkPresence(orders) {
   const orderNumbers = orders.map((o) => o.orderNumber).filter((n) => n != null);
 
   const present = {};
-  for (const d of DEST_ORDER) present[d] = new Set();
-
-  if (orderNumbers.length > 0) {
-    const queries = DEST_ORDER.map((d) => {
-      const info = DEST_INFO[d];
-      const values =
-        info.keyType === "string" ? orderNumbers.map(String) : orderNumbers;
-      return supabase
-        .from(info.table)
-        .select(info.keyField)
-        .in(info.keyField, values)
-        .then(({ data }) => {
-          for (const r of data || []) present[d].add(String(r[info.keyField]));
-        });
-    });
-    await Promise.all(queries);
-  }
+  await Promise.all(
+    DESTINATIONS.map(async ({ code }) => {
+      try {
+        present[code] = await findDestinationKeys(supabase, code, orderNumbers);
+      } catch (e) {
+        console.error(`Presence check on ${code} failed:`, e.message);
+        present[code] = new Set();
+      }
+    }),
+  );
 
   return orders.map((o) => {
     const key = String(o.orderNumber ?? "");
-    const checks = DEST_ORDER.map((d) => ({
-      destination: d,
-      found: present[d].has(key),
+    const checks = DESTINATIONS.map(({ code }) => ({
+      destination: code,
+      found: present[code].has(key),
     }));
     return { ...o, checks };
   });
@@ -434,7 +419,7 @@ export default function VoorafBetalenCheck() {
             Orders met tag <code>{TAG}</code> (zonder <code>{EXCLUDE_TAG}</code>)
             vanaf <code>{MIN_CREATED_AT}</code>. Per order wordt gecontroleerd of
             het ordernummer voorkomt in één of meer bestemmingstabellen
-            (Webattelier - orders, nedistri, Kleurstalen, grandhome, hkl). Eén
+            ({DESTINATIONS.map((d) => d.table).join(", ")}). Eén
             match is genoeg om als afgehandeld te tellen.
           </Text>
         </BlockStack>
@@ -579,7 +564,7 @@ export default function VoorafBetalenCheck() {
                               Supabase-records (lookup op ordernummer {order.orderNumber ?? "—"})
                             </Text>
                             {order.checks.map((c) => {
-                              const info = DEST_INFO[c.destination];
+                              const info = getDestination(c.destination);
                               return (
                                 <InlineStack key={c.destination} gap="200" blockAlign="center">
                                   <Badge size="small" tone={c.found ? "success" : "critical"}>
@@ -0,0 +1,204 @@
+import { useState } from "react";
+import { Link, useLoaderData, useNavigation, useSearchParams } from "@remix-run/react";
+import { json } from "@remix-run/node";
+import {
+  Page,
+  Card,
+  Text,
+  InlineStack,
+  BlockStack,
+  Banner,
+  Box,
+  Button,
+  Select,
+  DataTable,
+  EmptyState,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { getWorkflows, describeN8nError } from "../n8n.server";
+import { syncExecutions } from "../n8n-sync.server";
+import { getWorkflowHealth, STATS_TIMEZONE } from "../execution-stats.server";
+
+const RANGE_OPTIONS = [
+  { label: "Last 7 days", value: "7" },
+  { label: "Last 14 days", value: "14" },
+  { label: "Last 30 days", value: "30" },
+];
+
+export const loader = async ({ request }) => {
+  await authenticate.admin(request);
+
+  const url = new URL(request.url);
+  const range = RANGE_OPTIONS.some((o) => o.value === url.searchParams.get("days"))
+    ? url.searchParams.get("days")
+    : "7";
+
+  let workflowNames = {};
+  let n8nError = null;
+  try {
+    const workflows = (await getWorkflows()).data ?? [];
+    workflowNames = Object.fromEntries(workflows.map((w) => [String(w.id), w.name]));
+  } catch (e) {
+    n8nError = describeN8nError(e);
+  }
+
+  // Keep local DB in sync (fire-and-forget, throttled to 1 min)
+  syncExecutions().catch(() => {});
+
+  try {
+    const health = await getWorkflowHealth({ days: Number(range) });
+    return json({ ...health, workflowNames, range, timezone: STATS_TIMEZONE, error: null, n8nError });
+  } catch (e) {
+    console.error("Failed to load workflow health:", e.message);
+    return json({ days: [], workflows: [], workflowNames, range, timezone: STATS_TIMEZONE, error: e.message, n8nError });
+  }
+};
+
+function executionsUrl({ workflowId, status, date }) {
+  const params = new URLSearchParams({ workflowId });
+  if (status) params.set("status", status);
+  if (date) params.set("date", date);
+  return `/app/executions?${params.toString()}`;
+}
+
+function formatMs(ms) {
+  if (ms == null) return "\u2014";
+  if (ms < 1000) return `${ms}ms`;
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+  return `${Math.floor(ms / 60000)}m ${Math.round((ms % 60000) / 1000)}s`;
+}
+
+function errorTone(rate) {
+  if (rate == null || rate === 0) return undefined;
+  if (rate >= 0.2) return "critical";
+  if (rate >= 0.05) return "caution";
+  return undefined;
+}
+
+function DrillLink({ to, children, tone }) {
+  return (
+    <Link to={to} style={{ textDecoration: "none" }}>
+      <Text as="span" variant="bodyMd" tone={tone}>{children}</Text>
+    </Link>
+  );
+}
+
+/**
+ * Row cells for a set of stats; every figure links to the matching executions list.
+ */
+function statCells(stats, { workflowId, date }) {
+  if (stats.runs === 0) return ["0", "\u2014", "\u2014", "\u2014"];
+  return [
+    <DrillLink key="runs" to={executionsUrl({ workflowId, date })}>{stats.runs}</DrillLink>,
+    <DrillLink key="errors" to={executionsUrl({ workflowId, status: "error,crashed", date })} tone={errorTone(stats.errorRate)}>
+      {`${(stats.errorRate * 100).toFixed(1)}% (${stats.errors})`}
+    </DrillLink>,
+    <DrillLink key="p50" to={executionsUrl({ workflowId, status: "success", date })}>{formatMs(stats.p50)}</DrillLink>,
+    <DrillLink key="p95" to={executionsUrl({ workflowId, status: "success", date })}>{formatMs(stats.p95)}</DrillLink>,
+  ];
+}
+
+export default function WorkflowHealth() {
+  const { days, workflows, workflowNames, range, timezone, error, n8nError } = useLoaderData();
+  const navigation = useNavigation();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [expanded, setExpanded] = useState(null);
+
+  const isLoading = navigation.state === "loading";
+  const nameOf = (workflowId) => workflowNames[workflowId] || `Workflow ${workflowId}`;
+
+  function handleRangeChange(value) {
+    const params = new URLSearchParams(searchParams);
+    params.set("days", value);
+    setSearchParams(params);
+  }
+
+  const summaryRows = workflows.map((wf) => [
+    <Button key="name" variant="plain" onClick={() => setExpanded(expanded === wf.workflowId ? null : wf.workflowId)}>
+      {nameOf(wf.workflowId)}
+    </Button>,
+    ...statCells(wf.total, { workflowId: wf.workflowId }),
+    wf.running > 0 ? (
+      <DrillLink key="running" to={executionsUrl({ workflowId: wf.workflowId, status: "running" })}>{wf.running}</DrillLink>
+    ) : "0",
+    wf.waiting > 0 ? (
+      <DrillLink key="waiting" to={executionsUrl({ workflowId: wf.workflowId, status: "waiting" })}>{wf.waiting}</DrillLink>
+    ) : "0",
+  ]);
+
+  const expandedWorkflow = workflows.find((wf) => wf.workflowId === expanded);
+  const dayRows = expandedWorkflow
+    ? [...days].reverse().map((day) => [
+      day,
+      ...statCells(expandedWorkflow.byDay[day], { workflowId: expandedWorkflow.workflowId, date: day }),
+    ])
+    : [];
+
+  return (
+    <Page fullWidth>
+      <TitleBar title="Workflow health" />
+      <BlockStack gap="400">
+        {error && (
+          <Banner tone="critical">
+            <p>Failed to load workflow health: {error}</p>
+          </Banner>
+        )}
+        {n8nError && (
+          <Banner tone={n8nError.tone} title={n8nError.title}>
+            <p>{n8nError.hint} Workflow names may be missing.</p>
+          </Banner>
+        )}
+
+        <Card>
+          <InlineStack align="space-between" blockAlign="center">
+            <Select
+              label="Range"
+              labelInline
+              options={RANGE_OPTIONS}
+              value={range}
+              onChange={handleRangeChange}
+              disabled={isLoading}
+            />
+            <Text variant="bodySm" tone="subdued">
+              Days in {timezone}. Durations are for finished runs; error rate includes crashed runs.
+            </Text>
+          </InlineStack>
+        </Card>
+
+        <Card padding="0">
+          {workflows.length === 0 ? (
+            <EmptyState
+              heading="No executions in this range"
+              image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+            >
+              <p>Executions synced from n8n will show up here.</p>
+            </EmptyState>
+          ) : (
+            <DataTable
+              columnContentTypes={["text", "numeric", "numeric", "numeric", "numeric", "numeric", "numeric"]}
+              headings={["Workflow", "Runs", "Error rate", "p50", "p95", "Running", "Waiting"]}
+              rows={summaryRows}
+            />
+          )}
+        </Card>
+
+        {expandedWorkflow && (
+          <Card padding="0">
+            <Box padding="400">
+              <InlineStack align="space-between" blockAlign="center">
+                <Text variant="headingSm" as="h3">Per day: {nameOf(expandedWorkflow.workflowId)}</Text>
+                <Button variant="plain" onClick={() => setExpanded(null)}>Close</Button>
+              </InlineStack>
+            </Box>
+            <DataTable
+              columnContentTypes={["text", "numeric", "numeric", "numeric", "numeric"]}
+              headings={["Day", "Runs", "Error rate", "p50", "p95"]}
+              rows={dayRows}
+            />
+          </Card>
+        )}
+      </BlockStack>
+    </Page>
+  );
+}
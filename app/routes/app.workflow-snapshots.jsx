@@ -0,0 +1,490 @@
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData, useNavigation, useSearchParams } from "@remix-run/react";
+import { json } from "@remix-run/node";
+import {
+  Page,
+  Card,
+  Text,
+  Badge,
+  InlineStack,
+  BlockStack,
+  Banner,
+  Box,
+  Button,
+  Select,
+  ChoiceList,
+  TextField,
+  DataTable,
+  EmptyState,
+  Divider,
+} from "@shopify/polaris";
+import { TitleBar, Modal as AppBridgeModal, useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { getAllWorkflows, describeN8nError } from "../n8n.server";
+import { createSnapshot, listSnapshots, diffVersions, restoreSnapshot } from "../n8n-snapshots.server";
+import { getStaffMember } from "../staff.server";
+import { isAdmin } from "../redaction.server";
+import { N8nErrorBanner } from "../components/N8nErrorBanner";
+
+export const loader = async ({ request }) => {
+  const auth = await authenticate.admin(request);
+  const canRestore = await isAdmin(await getStaffMember(auth));
+
+  const url = new URL(request.url);
+  const workflowId = url.searchParams.get("workflowId") || "";
+  const a = url.searchParams.get("a") || "";
+  const b = url.searchParams.get("b") || "";
+
+  let workflows = [];
+  let n8nError = null;
+  try {
+    workflows = (await getAllWorkflows())
+      .map((w) => ({ id: String(w.id), name: w.name, active: w.active }))
+      .sort((x, y) => x.name.localeCompare(y.name));
+  } catch (e) {
+    n8nError = describeN8nError(e);
+  }
+
+  const snapshots = workflowId ? await listSnapshots(workflowId) : [];
+
+  let diff = null;
+  if (workflowId && a && b) {
+    try {
+      diff = await diffVersions(workflowId, a, b);
+    } catch (e) {
+      n8nError = describeN8nError(e);
+    }
+  }
+
+  return json({ workflows, workflowId, snapshots, a, b, diff, canRestore, n8nError });
+};
+
+export const action = async ({ request }) => {
+  const auth = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("_action");
+
+  if (intent === "snapshot") {
+    // One snapshot per selected workflow; a failure does not stop the others
+    let workflowIds = [];
+    try {
+      workflowIds = JSON.parse(formData.get("workflowIds") || "[]");
+    } catch {
+      return json({ ok: false, intent, error: "Invalid workflow selection" }, { status: 400 });
+    }
+    if (!Array.isArray(workflowIds) || workflowIds.length === 0) return json({ ok: false, intent, error: "Select at least one workflow" }, { status: 400 });
+
+    const results = [];
+    for (const workflowId of workflowIds) {
+      try {
+        const snapshot = await createSnapshot(workflowId, { reason: "manual", note: formData.get("note") });
+        results.push({ workflowId, snapshotId: snapshot.id, error: null });
+      } catch (e) {
+        console.error(`[workflow-snapshots] snapshot failed for ${workflowId}:`, e.message);
+        results.push({ workflowId, snapshotId: null, error: e.message });
+      }
+    }
+    const failed = results.filter((r) => r.error);
+    return json({
+      ok: failed.length === 0,
+      intent,
+      results,
+      error: failed.length > 0 ? `${failed.length} of ${results.length} snapshots failed` : null,
+    });
+  }
+
+  if (intent === "restore" && !(await isAdmin(await getStaffMember(auth)))) {
+    return json({ ok: false, intent, error: "Only admins can restore snapshots" }, { status: 403 });
+  }
+
+  try {
+    if (intent === "restore") {
+      const result = await restoreSnapshot(formData.get("snapshotId"));
+      return json({ ok: true, intent, ...result });
+    }
+  } catch (e) {
+    console.error(`[workflow-snapshots] ${intent} failed:`, e.message);
+    return json({ ok: false, intent, error: e.message, n8nError: describeN8nError(e) }, { status: 502 });
+  }
+
+  return json({ ok: false, error: `Unknown action: ${intent}` }, { status: 400 });
+};
+
+const REASON_BADGE = {
+  manual: { tone: "info", label: "Manual" },
+  "pre-restore": { tone: "attention", label: "Pre-restore" },
+  "pre-activate": { tone: "attention", label: "Pre-activate" },
+  "pre-deactivate": { tone: "attention", label: "Pre-deactivate" },
+};
+
+const NODE_STATUS_BADGE = {
+  added: { tone: "success", label: "Added" },
+  removed: { tone: "critical", label: "Removed" },
+  changed: { tone: "attention", label: "Changed" },
+};
+
+const CONTEXT_LINES = 3;
+const MONO = "ui-monospace, SFMono-Regular, 'SF Mono', Menlo, Consolas, monospace";
+
+function formatDate(dateString) {
+  if (!dateString) return "\u2014";
+  return new Date(dateString).toLocaleString();
+}
+
+/**
+ * Collapse long runs of unchanged lines, keeping CONTEXT_LINES around each change.
+ */
+function withCollapsedContext(lines) {
+  const keep = lines.map(() => false);
+  lines.forEach((line, i) => {
+    if (line.type === "equal") return;
+    for (let k = Math.max(0, i - CONTEXT_LINES); k <= Math.min(lines.length - 1, i + CONTEXT_LINES); k++) {
+      keep[k] = true;
+    }
+  });
+
+  const result = [];
+  let skipped = 0;
+  lines.forEach((line, i) => {
+    if (keep[i]) {
+      if (skipped > 0) result.push({ type: "skip", count: skipped });
+      skipped = 0;
+      result.push(line);
+    } else {
+      skipped++;
+    }
+  });
+  if (skipped > 0) result.push({ type: "skip", count: skipped });
+  return result;
+}
+
+const LINE_STYLES = {
+  added: { background: "var(--p-color-bg-surface-success)", prefix: "+" },
+  removed: { background: "var(--p-color-bg-surface-critical)", prefix: "-" },
+  equal: { background: "transparent", prefix: " " },
+};
+
+function CodeDiff({ lines }) {
+  return (
+    <div
+      style={{
+        border: "1px solid var(--p-color-border)",
+        borderRadius: 8,
+        overflow: "auto",
+        maxHeight: 480,
+        fontFamily: MONO,
+        fontSize: 11,
+        lineHeight: 1.5,
+      }}
+    >
+      {withCollapsedContext(lines).map((line, i) =>
+        line.type === "skip" ? (
+          <div key={i} style={{ padding: "2px 8px", color: "var(--p-color-text-secondary)", background: "var(--p-color-bg-surface-secondary)" }}>
+            ⋯ {line.count} unchanged line{line.count === 1 ? "" : "s"}
+          </div>
+        ) : (
+          <div key={i} style={{ display: "flex", background: LINE_STYLES[line.type].background, whiteSpace: "pre" }}>
+            <span style={{ width: 40, textAlign: "right", paddingRight: 6, color: "var(--p-color-text-secondary)", flexShrink: 0 }}>
+              {line.oldNumber ?? ""}
+            </span>
+            <span style={{ width: 40, textAlign: "right", paddingRight: 6, color: "var(--p-color-text-secondary)", flexShrink: 0 }}>
+              {line.newNumber ?? ""}
+            </span>
+            <span style={{ paddingRight: 8 }}>{LINE_STYLES[line.type].prefix} {line.line}</span>
+          </div>
+        ),
+      )}
+    </div>
+  );
+}
+
+function NodeDiff({ node }) {
+  const badge = NODE_STATUS_BADGE[node.status];
+  return (
+    <BlockStack gap="200">
+      <InlineStack gap="200" blockAlign="center">
+        <Text variant="headingSm" as="h4">{node.name}</Text>
+        <Text variant="bodySm" tone="subdued">{node.type}</Text>
+        {badge && <Badge tone={badge.tone}>{badge.label}</Badge>}
+      </InlineStack>
+      {node.codeDiff && <CodeDiff lines={node.codeDiff} />}
+      {node.parameterChanges.length > 0 && (
+        <BlockStack gap="050">
+          {node.parameterChanges.map((change) => (
+            <Text key={change.path} variant="bodySm" tone="subdued">
+              {change.kind} <code>{change.path}</code>
+            </Text>
+          ))}
+        </BlockStack>
+      )}
+    </BlockStack>
+  );
+}
+
+export default function WorkflowSnapshots() {
+  const { workflows, workflowId, snapshots, a, b, diff, canRestore, n8nError } = useLoaderData();
+  const navigation = useNavigation();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+
+  const [note, setNote] = useState("");
+  const [selectedIds, setSelectedIds] = useState(workflowId ? [workflowId] : []);
+  const [from, setFrom] = useState(a);
+  const [to, setTo] = useState(b || "live");
+  const [restoreTarget, setRestoreTarget] = useState(null);
+
+  const busy = fetcher.state !== "idle";
+  const pendingIntent = busy ? fetcher.formData?.get("_action") : null;
+  const result = fetcher.state === "idle" ? fetcher.data : null;
+
+  useEffect(() => {
+    setFrom(a);
+    setTo(b || "live");
+  }, [a, b, workflowId]);
+
+  useEffect(() => {
+    if (workflowId) setSelectedIds((ids) => (ids.includes(workflowId) ? ids : [...ids, workflowId]));
+  }, [workflowId]);
+
+  useEffect(() => {
+    if (fetcher.state !== "idle" || !fetcher.data) return;
+    if (!fetcher.data.ok) return;
+    if (fetcher.data.intent === "snapshot") {
+      const count = fetcher.data.results.length;
+      shopify.toast.show(count === 1 ? `Snapshot #${fetcher.data.results[0].snapshotId} saved` : `${count} snapshots saved`);
+      setNote("");
+    }
+    if (fetcher.data.intent === "restore") {
+      shopify.toast.show("Snapshot restored");
+    }
+  }, [fetcher.state, fetcher.data, shopify]);
+
+  function updateParams(updates) {
+    const params = new URLSearchParams(searchParams);
+    for (const [key, value] of Object.entries(updates)) {
+      if (value) params.set(key, value);
+      else params.delete(key);
+    }
+    setSearchParams(params);
+  }
+
+  function handleSnapshot() {
+    fetcher.submit({ _action: "snapshot", workflowIds: JSON.stringify(selectedIds), note }, { method: "POST" });
+  }
+
+  function openRestore(snapshot) {
+    setRestoreTarget(snapshot);
+    shopify.modal.show("restore-snapshot-modal");
+  }
+
+  function confirmRestore() {
+    fetcher.submit({ _action: "restore", snapshotId: String(restoreTarget.id) }, { method: "POST" });
+    shopify.modal.hide("restore-snapshot-modal");
+  }
+
+  const workflowOptions = [
+    { label: "Select a workflow", value: "" },
+    ...workflows.map((w) => ({ label: `${w.name}${w.active ? "" : " (inactive)"}`, value: w.id })),
+  ];
+
+  const versionOptions = [
+    { label: "Select…", value: "" },
+    { label: "Live (current in n8n)", value: "live" },
+    ...snapshots.map((s) => ({ label: `#${s.id} · ${formatDate(s.createdAt)}${s.note ? ` · ${s.note}` : ""}`, value: String(s.id) })),
+  ];
+
+  const workflowNames = Object.fromEntries(workflows.map((w) => [w.id, w.name]));
+
+  const changedNodes = diff ? diff.nodes.filter((n) => n.status !== "unchanged") : [];
+
+  const rows = snapshots.map((s, i) => {
+    const reason = REASON_BADGE[s.reason] || { tone: undefined, label: s.reason };
+    const previous = snapshots[i + 1];
+    return [
+      `#${s.id}`,
+      formatDate(s.createdAt),
+      <Badge key="reason" tone={reason.tone}>{reason.label}</Badge>,
+      s.note || "\u2014",
+      String(s.nodeCount),
+      <InlineStack key="actions" gap="200" wrap={false}>
+        <Button size="slim" onClick={() => updateParams({ a: String(s.id), b: "live" })}>Diff vs live</Button>
+        {previous && (
+          <Button size="slim" onClick={() => updateParams({ a: String(previous.id), b: String(s.id) })}>
+            Diff vs previous
+          </Button>
+        )}
+        {canRestore && (
+          <Button size="slim" tone="critical" onClick={() => openRestore(s)} loading={pendingIntent === "restore" && restoreTarget?.id === s.id}>
+            Restore
+          </Button>
+        )}
+      </InlineStack>,
+    ];
+  });
+
+  return (
+    <Page fullWidth>
+      <TitleBar title="Workflow snapshots" />
+
+      <AppBridgeModal id="restore-snapshot-modal">
+        <Box padding="400">
+          {restoreTarget && (
+            <BlockStack gap="200">
+              <Text as="p">
+                Restore snapshot #{restoreTarget.id} of <strong>{restoreTarget.workflowName}</strong> from{" "}
+                {formatDate(restoreTarget.createdAt)}?
+              </Text>
+              <Text as="p" tone="subdued">
+                The current live version is snapshotted first, so this can be undone. Credentials are kept from
+                the live workflow. The workflow stays active.
+              </Text>
+            </BlockStack>
+          )}
+        </Box>
+        <TitleBar title="Restore snapshot">
+          <button variant="primary" tone="critical" onClick={confirmRestore}>Restore</button>
+          <button onClick={() => shopify.modal.hide("restore-snapshot-modal")}>Cancel</button>
+        </TitleBar>
+      </AppBridgeModal>
+
+      <BlockStack gap="400">
+        {n8nError && <N8nErrorBanner error={n8nError} />}
+
+        {result && !result.ok && !result.results && (
+          result.n8nError ? <N8nErrorBanner error={result.n8nError} /> : <Banner tone="critical">{result.error}</Banner>
+        )}
+
+        {result?.ok && result.intent === "restore" && (
+          <Banner tone={result.missingCredentials.length > 0 ? "warning" : "success"} title="Snapshot restored">
+            <BlockStack gap="100">
+              <p>The previous live version was saved as snapshot #{result.preRestoreSnapshotId}.</p>
+              {result.missingCredentials.length > 0 && (
+                <p>
+                  These nodes had credentials that no longer exist in the live workflow; set them in n8n:{" "}
+                  {result.missingCredentials.join(", ")}
+                </p>
+              )}
+            </BlockStack>
+          </Banner>
+        )}
+
+        {result && !result.ok && result.intent === "snapshot" && result.results && (
+          <Banner tone="warning" title={result.error}>
+            <BlockStack gap="050">
+              {result.results.map((r) => (
+                <Text key={r.workflowId} as="p" variant="bodySm">
+                  {workflowNames[r.workflowId] ?? r.workflowId}: {r.error ? r.error : `snapshot #${r.snapshotId}`}
+                </Text>
+              ))}
+            </BlockStack>
+          </Banner>
+        )}
+
+        <Card>
+          <BlockStack gap="300">
+            <InlineStack gap="300" blockAlign="end">
+              <div style={{ minWidth: 320 }}>
+                <Select
+                  label="Workflow"
+                  options={workflowOptions}
+                  value={workflowId}
+                  onChange={(value) => updateParams({ workflowId: value, a: "", b: "" })}
+                />
+              </div>
+              <div style={{ minWidth: 280 }}>
+                <TextField label="Note" value={note} onChange={setNote} autoComplete="off" placeholder="e.g. before decimal fix" />
+              </div>
+              <Button variant="primary" onClick={handleSnapshot} disabled={selectedIds.length === 0} loading={pendingIntent === "snapshot"}>
+                {selectedIds.length > 1 ? `Snapshot ${selectedIds.length} workflows` : "Snapshot now"}
+              </Button>
+            </InlineStack>
+            <Box maxWidth="640px">
+              <div style={{ maxHeight: 200, overflowY: "auto" }}>
+                <ChoiceList
+                  title="Workflows to snapshot"
+                  allowMultiple
+                  choices={workflows.map((w) => ({ label: `${w.name}${w.active ? "" : " (inactive)"}`, value: w.id }))}
+                  selected={selectedIds}
+                  onChange={setSelectedIds}
+                />
+              </div>
+            </Box>
+            <InlineStack gap="200">
+              <Button variant="plain" onClick={() => setSelectedIds(workflows.filter((w) => w.active).map((w) => w.id))}>
+                Select all active
+              </Button>
+              <Button variant="plain" onClick={() => setSelectedIds([])} disabled={selectedIds.length === 0}>
+                Clear selection
+              </Button>
+            </InlineStack>
+          </BlockStack>
+        </Card>
+
+        {!workflowId ? (
+          <Card>
+            <EmptyState
+              heading="Select a workflow"
+              image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+            >
+              <p>Snapshots are stored in the app without credentials or pinned data.</p>
+            </EmptyState>
+          </Card>
+        ) : (
+          <>
+            <Card padding="0">
+              {snapshots.length === 0 ? (
+                <Box padding="400">
+                  <Text variant="bodySm" tone="subdued">No snapshots yet for this workflow.</Text>
+                </Box>
+              ) : (
+                <DataTable
+                  columnContentTypes={["text", "text", "text", "text", "numeric", "text"]}
+                  headings={["Snapshot", "Taken", "Reason", "Note", "Nodes", ""]}
+                  rows={rows}
+                />
+              )}
+            </Card>
+
+            <Card>
+              <BlockStack gap="400">
+                <InlineStack gap="300" blockAlign="end">
+                  <div style={{ minWidth: 280 }}>
+                    <Select label="From" options={versionOptions} value={from} onChange={setFrom} />
+                  </div>
+                  <div style={{ minWidth: 280 }}>
+                    <Select label="To" options={versionOptions} value={to} onChange={setTo} />
+                  </div>
+                  <Button onClick={() => updateParams({ a: from, b: to })} disabled={!from || !to || from === to}>
+                    Show diff
+                  </Button>
+                </InlineStack>
+
+                {navigation.state === "loading" && <Text variant="bodySm" tone="subdued">Loading…</Text>}
+
+                {diff && (
+                  <BlockStack gap="400">
+                    <Divider />
+                    <Text variant="headingSm" as="h3">
+                      {diff.before} → {diff.after}: {changedNodes.length} node{changedNodes.length === 1 ? "" : "s"} changed
+                      {diff.connectionsChanged ? ", connections changed" : ""}
+                      {diff.settingsChanges.length > 0 ? ", settings changed" : ""}
+                    </Text>
+                    {changedNodes.length === 0 ? (
+                      <Text variant="bodySm" tone="subdued">No node changes.</Text>
+                    ) : (
+                      changedNodes.map((node) => <NodeDiff key={node.name} node={node} />)
+                    )}
+                  </BlockStack>
+                )}
+                {!diff && a && b && navigation.state === "idle" && (
+                  <Text variant="bodySm" tone="subdued">These versions could not be loaded.</Text>
+                )}
+              </BlockStack>
+            </Card>
+          </>
+        )}
+      </BlockStack>
+    </Page>
+  );
+}
@@ -0,0 +1,280 @@
+import { useEffect, useState } from "react";
+import { Link, useFetcher, useLoaderData } from "@remix-run/react";
+import { json } from "@remix-run/node";
+import {
+  Page,
+  Card,
+  Text,
+  Badge,
+  InlineStack,
+  BlockStack,
+  Banner,
+  Button,
+  TextField,
+  DataTable,
+  EmptyState,
+} from "@shopify/polaris";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { describeN8nError, N8nApiError } from "../n8n.server";
+import { syncExecutions } from "../n8n-sync.server";
+import { getStaffMember } from "../staff.server";
+import { isAdmin, getViewRedaction } from "../redaction.server";
+import { getWorkflowCatalogue, changeWorkflowActive } from "../workflow-catalogue.server";
+import { N8nErrorBanner } from "../components/N8nErrorBanner";
+
+export const loader = async ({ request }) => {
+  const auth = await authenticate.admin(request);
+  const staff = await getStaffMember(auth);
+
+  // Keep local DB in sync (fire-and-forget, throttled to 1 min)
+  syncExecutions().catch(() => {});
+
+  const [canToggle, redaction] = await Promise.all([isAdmin(staff), getViewRedaction(staff)]);
+  try {
+    // Error messages can quote customer data; mask it for staff who may not see it
+    const redactRun = (run) => run && { ...run, errorMessage: redaction.text(run.errorMessage) };
+    const workflows = (await getWorkflowCatalogue()).map((workflow) => ({
+      ...workflow,
+      lastExecution: redactRun(workflow.lastExecution),
+      lastError: redactRun(workflow.lastError),
+    }));
+    return json({ workflows, canToggle, n8nError: null });
+  } catch (e) {
+    console.error("Failed to load workflows:", e.message);
+    return json({ workflows: [], canToggle, n8nError: describeN8nError(e) });
+  }
+};
+
+export const action = async ({ request }) => {
+  const auth = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("_action");
+  const workflowId = formData.get("workflowId");
+
+  if (intent !== "activate" && intent !== "deactivate") {
+    return json({ ok: false, error: `Unknown action: ${intent}` }, { status: 400 });
+  }
+
+  const staff = await getStaffMember(auth);
+  if (!(await isAdmin(staff))) {
+    return json({ ok: false, intent, error: "Only admins can activate or deactivate workflows" }, { status: 403 });
+  }
+
+  try {
+    const workflow = await changeWorkflowActive(workflowId, intent === "activate", {
+      staff,
+      reason: formData.get("reason"),
+    });
+    return json({ ok: true, intent, workflowId, name: workflow?.name ?? null });
+  } catch (e) {
+    console.error(`[workflows] ${intent} failed for ${workflowId}:`, e.message);
+    const n8nError = e instanceof N8nApiError ? describeN8nError(e) : null;
+    return json({ ok: false, intent, workflowId, error: e.message, n8nError }, { status: n8nError ? 502 : 400 });
+  }
+};
+
+const EXEC_STATUS_BADGE = {
+  success: { tone: "success", label: "Success" },
+  error: { tone: "critical", label: "Error" },
+  crashed: { tone: "critical", label: "Crashed" },
+  canceled: { tone: "warning", label: "Canceled" },
+  waiting: { tone: "attention", label: "Waiting" },
+  running: { tone: "info", label: "Running" },
+};
+
+const MAX_ERROR_LENGTH = 120;
+
+function formatDate(dateString) {
+  if (!dateString) return "\u2014";
+  return new Date(dateString).toLocaleString();
+}
+
+function truncate(text, max) {
+  if (!text || text.length <= max) return text;
+  return `${text.slice(0, max - 1)}\u2026`;
+}
+
+function LastExecution({ workflowId, execution }) {
+  if (!execution) return "\u2014";
+  const badge = EXEC_STATUS_BADGE[execution.status] ?? { tone: undefined, label: execution.status };
+  return (
+    <BlockStack gap="050">
+      <Link to={`/app/executions?workflowId=${workflowId}`}>{formatDate(execution.startedAt)}</Link>
+      <InlineStack>
+        <Badge tone={badge.tone}>{badge.label}</Badge>
+      </InlineStack>
+    </BlockStack>
+  );
+}
+
+function LastError({ workflowId, execution }) {
+  if (!execution) return "\u2014";
+  return (
+    <BlockStack gap="050">
+      <Link to={`/app/executions?workflowId=${workflowId}&status=${execution.status}`}>
+        {formatDate(execution.startedAt)}
+      </Link>
+      {(execution.errorNode || execution.errorMessage) && (
+        <Text as="span" variant="bodySm" tone="subdued" breakWord>
+          {execution.errorNode ? `${execution.errorNode}: ` : ""}
+          {truncate(execution.errorMessage, MAX_ERROR_LENGTH) ?? ""}
+        </Text>
+      )}
+    </BlockStack>
+  );
+}
+
+function Webhooks({ webhooks }) {
+  if (webhooks.length === 0) return "\u2014";
+  return (
+    <BlockStack gap="050">
+      {webhooks.map((webhook) => (
+        <Text key={webhook.node} as="span" variant="bodySm" breakWord>
+          {webhook.method} <code>/webhook/{webhook.path ?? "?"}</code>
+        </Text>
+      ))}
+    </BlockStack>
+  );
+}
+
+/**
+ * Reason form for activating or deactivating one workflow.
+ */
+function ToggleForm({ workflow, fetcher, onCancel }) {
+  const [reason, setReason] = useState("");
+  const intent = workflow.active ? "deactivate" : "activate";
+  const submitting = fetcher.state !== "idle";
+
+  function handleSubmit() {
+    fetcher.submit({ _action: intent, workflowId: workflow.id, reason }, { method: "POST" });
+  }
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <Text variant="headingSm" as="h3">
+          {workflow.active ? "Deactivate" : "Activate"} {workflow.name}
+        </Text>
+        <Text as="p" variant="bodySm" tone="subdued">
+          {workflow.active
+            ? "Triggers and webhooks stop firing until the workflow is activated again."
+            : "Triggers and webhooks start firing right away."}
+          {" "}A snapshot is taken first and the reason is written to the audit log.
+        </Text>
+        <TextField
+          label="Reason"
+          value={reason}
+          onChange={setReason}
+          multiline={2}
+          autoComplete="off"
+          requiredIndicator
+        />
+        <InlineStack gap="200">
+          <Button
+            variant="primary"
+            tone={workflow.active ? "critical" : undefined}
+            onClick={handleSubmit}
+            loading={submitting}
+            disabled={reason.trim().length < 5}
+          >
+            {workflow.active ? "Deactivate" : "Activate"}
+          </Button>
+          <Button onClick={onCancel} disabled={submitting}>Cancel</Button>
+        </InlineStack>
+      </BlockStack>
+    </Card>
+  );
+}
+
+export default function Workflows() {
+  const { workflows, canToggle, n8nError } = useLoaderData();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+  const [toggleTarget, setToggleTarget] = useState(null);
+
+  useEffect(() => {
+    if (fetcher.state !== "idle" || !fetcher.data) return;
+    const { ok, intent, name, error } = fetcher.data;
+    if (ok) {
+      shopify.toast.show(`${name ?? "Workflow"} ${intent === "activate" ? "activated" : "deactivated"}`);
+      setToggleTarget(null);
+    } else if (!fetcher.data.n8nError) {
+      shopify.toast.show(error || "Failed", { isError: true });
+    }
+  }, [fetcher.state, fetcher.data, shopify]);
+
+  const rows = workflows.map((workflow) => [
+    <BlockStack key="name" gap="050">
+      <Text as="span" fontWeight="semibold">{workflow.name}</Text>
+      <InlineStack gap="100">
+        {workflow.active ? <Badge tone="success">Active</Badge> : <Badge>Inactive</Badge>}
+      </InlineStack>
+    </BlockStack>,
+    workflow.nodeCount,
+    workflow.triggers.length > 0 ? (
+      <InlineStack key="triggers" gap="100">
+        {workflow.triggers.map((trigger) => <Badge key={trigger}>{trigger}</Badge>)}
+      </InlineStack>
+    ) : "\u2014",
+    <Webhooks key="webhooks" webhooks={workflow.webhooks} />,
+    <LastExecution key="last" workflowId={workflow.id} execution={workflow.lastExecution} />,
+    <LastError key="error" workflowId={workflow.id} execution={workflow.lastError} />,
+    canToggle ? (
+      <Button
+        key="toggle"
+        size="slim"
+        tone={workflow.active ? "critical" : undefined}
+        onClick={() => setToggleTarget(workflow)}
+      >
+        {workflow.active ? "Deactivate" : "Activate"}
+      </Button>
+    ) : "",
+  ]);
+
+  return (
+    <Page fullWidth>
+      <TitleBar title="Workflows" />
+      <BlockStack gap="400">
+        {n8nError && <N8nErrorBanner error={n8nError} />}
+
+        {fetcher.state === "idle" && fetcher.data?.n8nError && (
+          <N8nErrorBanner error={fetcher.data.n8nError} />
+        )}
+
+        {!canToggle && (
+          <Banner tone="info">
+            <p>Only admins can activate or deactivate workflows. Roles are managed under Settings \u203a Privacy.</p>
+          </Banner>
+        )}
+
+        {toggleTarget && (
+          <ToggleForm
+            key={toggleTarget.id}
+            workflow={toggleTarget}
+            fetcher={fetcher}
+            onCancel={() => setToggleTarget(null)}
+          />
+        )}
+
+        <Card padding="0">
+          {workflows.length === 0 ? (
+            <EmptyState
+              heading="No workflows"
+              image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+            >
+              <p>Workflows from n8n will show up here.</p>
+            </EmptyState>
+          ) : (
+            <DataTable
+              columnContentTypes={["text", "numeric", "text", "text", "text", "text", "text"]}
+              headings={["Workflow", "Nodes", "Triggers", "Webhooks", "Last execution", "Last error", ""]}
+              rows={rows}
+              verticalAlign="top"
+            />
+          )}
+        </Card>
+      </BlockStack>
+    </Page>
+  );
+}
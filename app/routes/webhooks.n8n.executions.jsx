@@ -0,0 +1,39 @@
+import { json } from "@remix-run/node";
+import {
+  ingestExecutionEvent,
+  IngestError,
+  TIMESTAMP_HEADER,
+  SIGNATURE_HEADER,
+} from "../n8n-ingest.server";
+
+/**
+ * Inbound execution events from n8n (error workflows, end-of-workflow nodes).
+ * Not behind Shopify auth: requests are authenticated by their HMAC signature,
+ * see app/n8n-ingest.server.js.
+ *
+ * Body: { executionId, workflowId, status, orderNumber?, orderGid?, destination?,
+ *         customerEmail?, startedAt?, stoppedAt?, mode? }
+ */
+export const action = async ({ request }) => {
+  if (request.method !== "POST") {
+    return json({ ok: false, error: "Method not allowed" }, { status: 405 });
+  }
+
+  const body = await request.text();
+
+  try {
+    const record = await ingestExecutionEvent({
+      timestamp: request.headers.get(TIMESTAMP_HEADER),
+      signature: request.headers.get(SIGNATURE_HEADER),
+      body,
+    });
+    return json({ ok: true, executionId: record.executionId, status: record.status });
+  } catch (e) {
+    if (e instanceof IngestError) {
+      console.warn(`[n8n-ingest] Rejected event: ${e.message}`);
+      return json({ ok: false, error: e.message }, { status: e.status });
+    }
+    console.error("[n8n-ingest] Failed to store event:", e.message);
+    return json({ ok: false, error: "Failed to store event" }, { status: 500 });
+  }
+};
@@ -0,0 +1,44 @@
+import prisma from "./db.server";
+
+function displayName(firstName, lastName, email) {
+  const name = [firstName, lastName].filter(Boolean).join(" ");
+  return name || email || null;
+}
+
+/**
+ * The staff member behind an admin request, for change log entries.
+ *
+ * The app runs on offline tokens, so the user is only known from the session
+ * token (`sub`). Name and email are looked up from a stored online session for
+ * that user, when there is one.
+ *
+ * `accountOwner` is true for the shop owner, who is always an admin (see isAdmin).
+ *
+ * @param {object} auth - Result of authenticate.admin(request)
+ * @returns {Promise<{ id: string|null, name: string, accountOwner: boolean }>}
+ */
+export async function getStaffMember({ session, sessionToken }) {
+  const user = session?.onlineAccessInfo?.associated_user;
+  if (user) {
+    return {
+      id: String(user.id),
+      name: displayName(user.first_name, user.last_name, user.email) ?? `Staff ${user.id}`,
+      accountOwner: !!user.account_owner,
+    };
+  }
+
+  const userId = sessionToken?.sub ? String(sessionToken.sub) : null;
+  if (!userId) return { id: null, name: "Unknown staff member", accountOwner: false };
+
+  try {
+    const online = await prisma.session.findFirst({
+      where: { userId: Number(userId), isOnline: true },
+      select: { firstName: true, lastName: true, email: true, accountOwner: true },
+    });
+    const name = online && displayName(online.firstName, online.lastName, online.email);
+    return { id: userId, name: name || `Staff ${userId}`, accountOwner: !!online?.accountOwner };
+  } catch (e) {
+    console.error(`[staff] Failed to look up staff member ${userId}:`, e.message);
+  }
+  return { id: userId, name: `Staff ${userId}`, accountOwner: false };
+}
@@ -17,28 +17,6 @@ const supabase = global.supabaseGlobal ?? createClient(supabaseUrl, supabaseKey)
 
 export default supabase;
 
-export async function queryTable(table, { from = 0, to = 49, sortBy = "id", sortDir = "desc", status = "" } = {}) {
-  let query = supabase
-    .from(table)
-    .select("*", { count: "exact" })
-    .order(sortBy, { ascending: sortDir === "asc" })
-    .range(from, to);
-
-  if (status) {
-    const statuses = status.split(",").map((s) => s.trim());
-    if (statuses.length === 1) {
-      query = query.ilike("status", statuses[0]);
-    } else {
-      query = query.or(statuses.map((s) => `status.ilike.${s}`).join(","));
-    }
-  }
-
-  const { data, error, count } = await query;
-
-  if (error) throw error;
-  return { data: data ?? [], count };
-}
-
 export async function queryLinesByOrderNumber(orderNumber) {
   const { data, error } = await supabase
     .from("Webattelier - lines")
@@ -50,6 +28,17 @@ export async function queryLinesByOrderNumber(orderNumber) {
   return data ?? [];
 }
 
+export async function queryLine(lineId) {
+  const { data, error } = await supabase
+    .from("Webattelier - lines")
+    .select("*")
+    .eq("id", lineId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
 export async function queryLinesByOrderNumbers(orderNumbers) {
   if (!orderNumbers.length) return {};
   const { data, error } = await supabase
@@ -70,90 +59,51 @@ export async function queryLinesByOrderNumbers(orderNumbers) {
   return grouped;
 }
 
-export async function updateLine(lineId, fields) {
-  // First get the current line to access orderJson
-  const { data: current, error: fetchError } = await supabase
-    .from("Webattelier - lines")
-    .select("*")
-    .eq("id", lineId)
-    .single();
-
-  if (fetchError) throw fetchError;
-
-  // Update orderJson with the new field values
-  let orderJson = {};
-  try {
-    orderJson = typeof current.orderJson === "string"
-      ? JSON.parse(current.orderJson)
-      : (current.orderJson || {});
-  } catch {}
-
-  const jsonFieldMap = {
-    panelsLeft: "panelsLeft",
-    panelsRight: "panelsRight",
-    finishedWidthLeftInMm: "finishedWidthLeftInMm",
-    finishedWidthRightInMm: "finishedWidthRightInMm",
-    cutSizeLeftInMm: "cutSizeLeftInMm",
-    cutSizeRightInMm: "cutSizeRightInMm",
-  };
-
-  for (const [fieldKey, jsonKey] of Object.entries(jsonFieldMap)) {
-    if (fields[fieldKey] !== undefined) {
-      orderJson[jsonKey] = fields[fieldKey];
-    }
+export class LineConflictError extends Error {
+  constructor(line) {
+    super("Deze lijn is intussen door iemand anders gewijzigd");
+    this.name = "LineConflictError";
+    this.line = line;
   }
+}
 
-  fields.orderJson = JSON.stringify(orderJson);
-
-  // Update the line
-  const { data, error } = await supabase
-    .from("Webattelier - lines")
-    .update(fields)
-    .eq("id", lineId)
-    .select()
-    .single();
+/**
+ * Update the panel fields of a line, its orderJson and the customerJson of every
+ * line in the order in one transaction (webattelier_update_line in supabase/migrations).
+ *
+ * `expectedVersion` is the `version` the edit was based on. When the line has been
+ * changed since, nothing is written and a LineConflictError carrying the current
+ * line is thrown. Each edit is kept in "Webattelier - line history"; `revertedTo`
+ * marks an edit that reverts the line to an earlier version.
+ */
+export async function updateLine(lineId, fields, { expectedVersion, updatedBy = null, revertedTo = null }) {
+  const { data, error } = await supabase.rpc("webattelier_update_line", {
+    p_line_id: lineId,
+    p_expected_version: expectedVersion,
+    p_fields: fields,
+    p_updated_by: updatedBy,
+    p_reverted_to: revertedTo,
+  });
 
   if (error) throw error;
+  if (data.status === "conflict") throw new LineConflictError(data.line);
+  if (data.status !== "ok") throw new Error(`Line ${lineId} not found`);
 
-  // Update customerJson on all lines for this order
-  await rebuildCustomerJson(current.orderId);
-
-  return data;
+  return data.line;
 }
 
-async function rebuildCustomerJson(orderId) {
-  // Get all lines for this order
-  const { data: lines, error: linesErr } = await supabase
-    .from("Webattelier - lines")
-    .select("id, orderJson, customerJson")
-    .eq("orderId", orderId)
-    .order("customer_reference", { ascending: true });
-
-  if (linesErr || !lines || lines.length === 0) return;
-
-  // Parse the customerJson from the first line as template
-  let customerJson = {};
-  try {
-    const raw = lines[0].customerJson;
-    customerJson = typeof raw === "string" ? JSON.parse(raw) : (raw || {});
-  } catch {}
-
-  // Rebuild orderLines from each line's orderJson
-  customerJson.orderLines = lines.map((l) => {
-    try {
-      return typeof l.orderJson === "string" ? JSON.parse(l.orderJson) : (l.orderJson || {});
-    } catch {
-      return {};
-    }
-  });
-
-  const updatedCustomerJson = JSON.stringify(customerJson);
+export async function queryLineHistory(lineId, { versions = null, limit = 50 } = {}) {
+  let query = supabase
+    .from("Webattelier - line history")
+    .select("*")
+    .eq("line_id", String(lineId))
+    .order("version", { ascending: false })
+    .limit(limit);
+  if (versions) query = query.in("version", versions);
 
-  // Update customerJson on all lines for this order
-  await supabase
-    .from("Webattelier - lines")
-    .update({ customerJson: updatedCustomerJson })
-    .eq("orderId", orderId);
+  const { data, error } = await query;
+  if (error) throw error;
+  return data ?? [];
 }
 
 export async function querySyncChecks({ from = 0, to = 49, date = "" } = {}) {
@@ -232,38 +182,6 @@ export async function updateSyncCheckReport(id, report) {
   return data;
 }
 
-export async function queryGrandHome({ from = 0, to = 49, search = "" } = {}) {
-  let query = supabase
-    .from("grandhome")
-    .select("*", { count: "exact" })
-    .order("created_at", { ascending: false })
-    .range(from, to);
-
-  if (search.trim()) {
-    query = query.ilike("ordernumber", `%${search.trim()}%`);
-  }
-
-  const { data, error, count } = await query;
-  if (error) throw error;
-  return { data: data ?? [], count };
-}
-
-export async function queryHkl({ from = 0, to = 49, search = "" } = {}) {
-  let query = supabase
-    .from("hkl")
-    .select("*", { count: "exact" })
-    .order("created_at", { ascending: false })
-    .range(from, to);
-
-  if (search.trim()) {
-    query = query.ilike("ordernumber", `%${search.trim()}%`);
-  }
-
-  const { data, error, count } = await query;
-  if (error) throw error;
-  return { data: data ?? [], count };
-}
-
 export async function queryLinesForMonth(year, month) {
   const startDate = `${year}-${String(month).padStart(2, "0")}-01T00:00:00`;
   const endMonth = month === 12 ? 1 : month + 1;
@@ -291,32 +209,3 @@ export async function queryLinesForMonth(year, month) {
 
   return allData;
 }
-
-export async function searchOrders(search, { from = 0, to = 49, sortBy = "id", sortDir = "desc", status = "" } = {}) {
-  const isNumeric = /^\d+$/.test(search.trim());
-  const filters = [`customer name.ilike.%${search}%`];
-  if (isNumeric) {
-    filters.push(`id.eq.${search.trim()}`);
-  }
-
-  let query = supabase
-    .from("Webattelier - orders")
-    .select("*", { count: "exact" })
-    .or(filters.join(","))
-    .order(sortBy, { ascending: sortDir === "asc" })
-    .range(from, to);
-
-  if (status) {
-    const statuses = status.split(",").map((s) => s.trim());
-    if (statuses.length === 1) {
-      query = query.ilike("status", statuses[0]);
-    } else {
-      query = query.or(statuses.map((s) => `status.ilike.${s}`).join(","));
-    }
-  }
-
-  const { data, error, count } = await query;
-
-  if (error) throw error;
-  return { data: data ?? [], count };
-}
@@ -0,0 +1,206 @@
+/**
+ * Registry of outbound n8n webhooks, resolved by name.
+ *
+ * URLs are stored per environment in the `webhook_registry` setting:
+ *   { "production": { "print_and_send": "https://..." }, "development": { ... } }
+ * Names without a stored URL fall back to the default below.
+ *
+ * Optional environment variables:
+ *   APP_ENV            – Environment whose URLs are used (defaults to NODE_ENV, then "development")
+ *   N8N_WEBHOOK_SECRET – Shared secret sent as X-Webhook-Secret, checked by the n8n workflows.
+ *                        Only sent to URLs on the host of N8N_API_URL.
+ */
+
+import prisma from "./db.server";
+
+const REGISTRY_KEY = "webhook_registry";
+const LEGACY_KEYS = { order_resubmit: "resubmit_webhook_url" };
+const PING_TIMEOUT = 10_000;
+const SECRET_HEADER = "X-Webhook-Secret";
+
+export const ENVIRONMENTS = ["production", "development"];
+
+export const WEBHOOKS = [
+  {
+    name: "print_and_send",
+    label: "Print & verstuur",
+    description: "Webattelier order printen en naar de atelier versturen.",
+    defaultUrl: "https://voordeelgordijnen.n8n.sition.cloud/webhook/377b0505-2c7c-4808-8643-eb74796f1449",
+  },
+  {
+    name: "archive_and_send",
+    label: "Archiveer & verstuur",
+    description: "Webattelier order archiveren en markeren voor bulk.",
+    defaultUrl: "https://voordeelgordijnen.n8n.sition.cloud/webhook/7e0022e4-630d-4f0d-99aa-efc0864457c1",
+  },
+  {
+    name: "nedistri_bundles",
+    label: "NE Distri bundels",
+    description: "Ordernummer na het aanpassen van de bundels.",
+    defaultUrl: "https://voordeelgordijnen.n8n.sition.cloud/webhook/13ac60c2-2f3e-4652-9f54-9c425c3605ac",
+  },
+  {
+    name: "kleurstalen_print_all",
+    label: "Kleurstalen alles printen",
+    description: "Genereert één PDF met alle kleurstalen die klaar zijn voor print.",
+    defaultUrl: "https://voordeelgordijnen.n8n.sition.cloud/webhook/abbffa92-b0ab-409c-a0bd-c615224aad22",
+  },
+  {
+    name: "order_resend",
+    label: "Resend order",
+    description: "Volledige Shopify order JSON vanuit de order lookup.",
+    defaultUrl: "https://voordeelgordijnen.n8n.sition.cloud/webhook/fe5da6d2-8eaf-44c8-a9e8-6550aa3404d2",
+  },
+  {
+    name: "order_resubmit",
+    label: "Bied opnieuw aan",
+    description: "Aangepast order payload vanuit de admin-actie en de vooraf betalen check.",
+    defaultUrl: "https://voordeelgordijnen.n8n.sition.cloud/webhook/b16cf368-ecf4-414a-89bb-f5387ca2ffd0",
+  },
+  {
+    name: "sync_check_manual",
+    label: "Sync check handmatig",
+    description: "Start handmatig een nieuwe sync check.",
+    defaultUrl: "https://voordeelgordijnen.n8n.sition.cloud/webhook/sync-check-manual",
+  },
+];
+
+const WEBHOOKS_BY_NAME = Object.fromEntries(WEBHOOKS.map((w) => [w.name, w]));
+
+export function currentEnvironment() {
+  const env = process.env.APP_ENV || process.env.NODE_ENV;
+  return ENVIRONMENTS.includes(env) ? env : "development";
+}
+
+/**
+ * Stored URLs for every environment. Returns {} when nothing is stored yet.
+ */
+export async function getWebhookRegistry() {
+  try {
+    const setting = await prisma.setting.findUnique({ where: { key: REGISTRY_KEY } });
+    if (setting?.value) return JSON.parse(setting.value);
+  } catch {}
+  return {};
+}
+
+/**
+ * Resolve the URL for a named webhook in the given environment.
+ * Throws for names that are not in the registry.
+ */
+export async function resolveWebhookUrl(name, env = currentEnvironment()) {
+  const urls = await resolveWebhookUrls([name], env);
+  return urls[name];
+}
+
+/**
+ * Resolve several webhook URLs at once, keyed by name.
+ */
+export async function resolveWebhookUrls(names, env = currentEnvironment()) {
+  for (const name of names) {
+    if (!WEBHOOKS_BY_NAME[name]) throw new Error(`Unknown webhook: ${name}`);
+  }
+
+  const registry = await getWebhookRegistry();
+  const stored = registry[env] ?? {};
+
+  const legacyKeys = names.map((n) => LEGACY_KEYS[n]).filter(Boolean);
+  const legacy = {};
+  if (legacyKeys.length > 0) {
+    try {
+      const settings = await prisma.setting.findMany({ where: { key: { in: legacyKeys } } });
+      for (const s of settings) legacy[s.key] = s.value;
+    } catch {}
+  }
+
+  return Object.fromEntries(
+    names.map((name) => [
+      name,
+      stored[name] || legacy[LEGACY_KEYS[name]] || WEBHOOKS_BY_NAME[name].defaultUrl,
+    ]),
+  );
+}
+
+// Whether `url` points at the n8n instance of N8N_API_URL
+function isN8nHost(url) {
+  try {
+    return new URL(url).host === new URL(process.env.N8N_API_URL).host;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Request headers for an outbound webhook call to `url`, including the shared
+ * secret when configured and `url` is on the n8n host.
+ */
+export function webhookHeaders(url) {
+  const headers = { "Content-Type": "application/json" };
+  if (process.env.N8N_WEBHOOK_SECRET && isN8nHost(url)) headers[SECRET_HEADER] = process.env.N8N_WEBHOOK_SECRET;
+  return headers;
+}
+
+/**
+ * Store (or clear, with an empty url) the URL for a webhook in one environment.
+ */
+export async function saveWebhookUrl(env, name, url) {
+  if (!ENVIRONMENTS.includes(env)) throw new Error(`Unknown environment: ${env}`);
+  if (!WEBHOOKS_BY_NAME[name]) throw new Error(`Unknown webhook: ${name}`);
+
+  const trimmed = (url || "").trim();
+  if (trimmed) new URL(trimmed); // throws on malformed URLs
+
+  const registry = await getWebhookRegistry();
+  const envUrls = { ...(registry[env] ?? {}) };
+  if (trimmed) envUrls[name] = trimmed;
+  else delete envUrls[name];
+  registry[env] = envUrls;
+
+  const value = JSON.stringify(registry);
+  await prisma.setting.upsert({
+    where: { key: REGISTRY_KEY },
+    update: { value },
+    create: { key: REGISTRY_KEY, value },
+  });
+  return registry;
+}
+
+/**
+ * Check that a webhook is reachable and registered, without running its workflow:
+ * an OPTIONS (CORS preflight) request, which n8n answers from its webhook table
+ * with 2xx for an active webhook and 404 for an unknown or inactive one.
+ * The webhooks all change data, so a POST "test" is never sent.
+ */
+export async function pingWebhook(name, env = currentEnvironment()) {
+  const url = await resolveWebhookUrl(name, env);
+  const startedAt = Date.now();
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), PING_TIMEOUT);
+
+  try {
+    const res = await fetch(url, {
+      method: "OPTIONS",
+      headers: { Origin: new URL(url).origin, "Access-Control-Request-Method": "POST" },
+      signal: controller.signal,
+    });
+    const body = await res.text().catch(() => "");
+    return {
+      ok: res.ok,
+      url,
+      status: res.status,
+      durationMs: Date.now() - startedAt,
+      body: body.slice(0, 2000),
+      error: res.status === 404 ? "Webhook niet geregistreerd (workflow inactief of verkeerde URL)" : null,
+    };
+  } catch (e) {
+    return {
+      ok: false,
+      url,
+      status: null,
+      durationMs: Date.now() - startedAt,
+      body: "",
+      error: e.name === "AbortError" ? `Timeout after ${PING_TIMEOUT / 1000}s` : e.message,
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
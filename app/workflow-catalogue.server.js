@@ -0,0 +1,95 @@
+import prisma from "./db.server";
+import { getAllWorkflows, setWorkflowActive } from "./n8n.server";
+import { recordAudit } from "./audit.server";
+import { createSnapshot } from "./n8n-snapshots.server";
+
+const WEBHOOK_NODE_TYPES = ["n8n-nodes-base.webhook", "n8n-nodes-base.formTrigger"];
+const ERROR_STATUSES = ["error", "crashed"];
+const MIN_REASON_LENGTH = 5;
+
+/**
+ * Short trigger label of a node ("schedule", "webhook", ...), or null when
+ * the node does not start the workflow.
+ */
+function triggerLabel(node) {
+  const type = node.type?.split(".").pop() ?? "";
+  if (WEBHOOK_NODE_TYPES.includes(node.type)) return type === "webhook" ? "webhook" : "form";
+  if (/Trigger$/.test(type)) return type.replace(/Trigger$/, "");
+  return null;
+}
+
+function summarizeWorkflow(workflow) {
+  const nodes = workflow.nodes ?? [];
+  return {
+    id: String(workflow.id),
+    name: workflow.name,
+    active: !!workflow.active,
+    updatedAt: workflow.updatedAt ?? null,
+    nodeCount: nodes.length,
+    triggers: [...new Set(nodes.map(triggerLabel).filter(Boolean))],
+    webhooks: nodes
+      .filter((node) => WEBHOOK_NODE_TYPES.includes(node.type) && !node.disabled)
+      .map((node) => ({
+        node: node.name,
+        method: node.parameters?.httpMethod ?? (node.type.endsWith("formTrigger") ? "POST" : "GET"),
+        path: node.parameters?.path || node.webhookId || null,
+      })),
+  };
+}
+
+/**
+ * Last execution and last failed execution of a workflow, from ExecutionOrder.
+ */
+async function getLastRuns(workflowId) {
+  const select = { executionId: true, status: true, startedAt: true, errorNode: true, errorMessage: true };
+  const [lastExecution, lastError] = await Promise.all([
+    prisma.executionOrder.findFirst({ where: { workflowId }, orderBy: { startedAt: "desc" }, select }),
+    prisma.executionOrder.findFirst({
+      where: { workflowId, status: { in: ERROR_STATUSES } },
+      orderBy: { startedAt: "desc" },
+      select,
+    }),
+  ]);
+  return { lastExecution, lastError };
+}
+
+/**
+ * Every n8n workflow, active and inactive, with node count, triggers, webhook
+ * paths and its last execution and last error (from the synced executions).
+ * Sorted active first, then by name.
+ */
+export async function getWorkflowCatalogue() {
+  const workflows = (await getAllWorkflows()).map(summarizeWorkflow);
+  const lastRuns = await Promise.all(workflows.map((w) => getLastRuns(w.id)));
+
+  return workflows
+    .map((workflow, i) => ({ ...workflow, ...lastRuns[i] }))
+    .sort((a, b) => Number(b.active) - Number(a.active) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Activate or deactivate a workflow on behalf of a staff member. The reason is
+ * required. The workflow is snapshotted first ("pre-activate" / "pre-deactivate",
+ * nothing changes when that fails) and the change is audited
+ * ("workflow_activate" / "workflow_deactivate") before n8n is called; a failed
+ * call is audited as well.
+ */
+export async function changeWorkflowActive(workflowId, active, { staff, reason }) {
+  const trimmed = String(reason ?? "").trim();
+  if (trimmed.length < MIN_REASON_LENGTH) {
+    throw new Error(`A reason of at least ${MIN_REASON_LENGTH} characters is required`);
+  }
+
+  const snapshot = await createSnapshot(workflowId, { reason: active ? "pre-activate" : "pre-deactivate", note: trimmed });
+
+  const action = active ? "workflow_activate" : "workflow_deactivate";
+  const target = `workflow:${workflowId}`;
+  await recordAudit({ action, target, staff, details: { reason: trimmed, snapshotId: snapshot.id }, required: true });
+
+  try {
+    return await setWorkflowActive(workflowId, active);
+  } catch (e) {
+    await recordAudit({ action: `${action}_failed`, target, staff, details: { reason: trimmed, error: e.message } });
+    throw e;
+  }
+}
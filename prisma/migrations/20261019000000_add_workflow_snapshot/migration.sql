@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE "WorkflowSnapshot" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "workflowId" TEXT NOT NULL,
+    "workflowName" TEXT NOT NULL,
+    "reason" TEXT NOT NULL,
+    "note" TEXT,
+    "versionId" TEXT,
+    "n8nUpdatedAt" DATETIME,
+    "data" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "WorkflowSnapshot_workflowId_createdAt_idx" ON "WorkflowSnapshot"("workflowId", "createdAt");
@@ -0,0 +1,9 @@
+-- CreateTable
+CREATE TABLE "IngestEvent" (
+    "signature" TEXT NOT NULL PRIMARY KEY,
+    "executionId" TEXT NOT NULL,
+    "receivedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "IngestEvent_receivedAt_idx" ON "IngestEvent"("receivedAt");
@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE "ExecutionOrder" ADD COLUMN "customerEmail" TEXT;
+ALTER TABLE "ExecutionOrder" ADD COLUMN "destination" TEXT;
+ALTER TABLE "ExecutionOrder" ADD COLUMN "orderGid" TEXT;
+
+-- CreateIndex
+CREATE INDEX "ExecutionOrder_orderGid_idx" ON "ExecutionOrder"("orderGid");
+
+-- CreateIndex
+CREATE INDEX "ExecutionOrder_destination_idx" ON "ExecutionOrder"("destination");
+
+-- CreateIndex
+CREATE INDEX "ExecutionOrder_customerEmail_idx" ON "ExecutionOrder"("customerEmail");
@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE "ExecutionOrder" ADD COLUMN "vote" TEXT;
+
+-- CreateTable
+CREATE TABLE "ExecutionTag" (
+    "executionId" TEXT NOT NULL,
+    "tag" TEXT NOT NULL,
+
+    PRIMARY KEY ("executionId", "tag"),
+    CONSTRAINT "ExecutionTag_executionId_fkey" FOREIGN KEY ("executionId") REFERENCES "ExecutionOrder" ("executionId") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "ExecutionTag_tag_idx" ON "ExecutionTag"("tag");
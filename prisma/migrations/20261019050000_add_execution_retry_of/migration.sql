@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "ExecutionOrder" ADD COLUMN "retryOf" TEXT;
+
+-- CreateIndex
+CREATE INDEX "ExecutionOrder_retryOf_idx" ON "ExecutionOrder"("retryOf");
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "ExecutionOrder" ADD COLUMN "errorMessage" TEXT;
+ALTER TABLE "ExecutionOrder" ADD COLUMN "errorNode" TEXT;
+
+-- CreateIndex
+CREATE INDEX "ExecutionOrder_status_errorNode_idx" ON "ExecutionOrder"("status", "errorNode");
@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE "OrderPurgeReport" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "trigger" TEXT NOT NULL,
+    "staffName" TEXT,
+    "retentionDays" INTEGER NOT NULL,
+    "orderIds" TEXT NOT NULL,
+    "orderCount" INTEGER NOT NULL,
+    "lineCount" INTEGER NOT NULL,
+    "error" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "OrderPurgeReport_createdAt_idx" ON "OrderPurgeReport"("createdAt");
@@ -0,0 +1,8 @@
+-- Who last changed an order's status and when, written by /app/order-status
+ALTER TABLE "Webattelier - orders" ADD COLUMN IF NOT EXISTS status_changed_at timestamptz;
+ALTER TABLE "Webattelier - orders" ADD COLUMN IF NOT EXISTS status_changed_by text;
+
+-- Orders already in the trash have no stamp; their trash period starts now, so the
+-- scheduled purge never removes them on the first run after deploy
+UPDATE "Webattelier - orders" SET status_changed_at = now()
+WHERE status ILIKE 'Deleted' AND status_changed_at IS NULL;
@@ -0,0 +1,13 @@
+-- Every status change of an order, written by /app/order-status.
+-- Restoring an order from the trash puts it back to the status it had before "Deleted".
+CREATE TABLE IF NOT EXISTS "Webattelier - order status history" (
+  id bigserial PRIMARY KEY,
+  order_id text NOT NULL,
+  from_status text,
+  to_status text NOT NULL,
+  changed_by text,
+  changed_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS webattelier_order_status_history_order_idx
+  ON "Webattelier - order status history" (order_id, changed_at DESC);
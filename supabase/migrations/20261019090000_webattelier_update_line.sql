@@ -0,0 +1,85 @@
+-- Atomic line edits with optimistic concurrency, called by updateLine() in app/supabase.server.js.
+-- Every edit bumps `version`; an edit based on an older version is refused with the current line.
+ALTER TABLE "Webattelier - lines" ADD COLUMN IF NOT EXISTS version integer NOT NULL DEFAULT 1;
+ALTER TABLE "Webattelier - lines" ADD COLUMN IF NOT EXISTS updated_at timestamptz;
+ALTER TABLE "Webattelier - lines" ADD COLUMN IF NOT EXISTS updated_by text;
+
+-- orderJson and customerJson are stored as text; rows holding invalid JSON count as {}
+CREATE OR REPLACE FUNCTION webattelier_try_jsonb(value text)
+RETURNS jsonb
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+BEGIN
+  RETURN coalesce(nullif(value, '')::jsonb, '{}'::jsonb);
+EXCEPTION WHEN others THEN
+  RETURN '{}'::jsonb;
+END;
+$$;
+
+-- Patch the panel fields of one line (columns and orderJson), then rebuild customerJson.orderLines
+-- on every line of its order, in one transaction. All lines of the order are locked first, so
+-- two edits on the same order never interleave.
+--
+-- Returns { status: "ok", line } | { status: "conflict", line } | { status: "not_found" }.
+CREATE OR REPLACE FUNCTION webattelier_update_line(
+  p_line_id "Webattelier - lines".id%TYPE,
+  p_expected_version integer,
+  p_fields jsonb,
+  p_updated_by text
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_order_id "Webattelier - lines"."orderId"%TYPE;
+  v_line "Webattelier - lines";
+  v_patch jsonb;
+  v_customer jsonb;
+BEGIN
+  SELECT "orderId" INTO v_order_id FROM "Webattelier - lines" WHERE id = p_line_id;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('status', 'not_found');
+  END IF;
+
+  PERFORM 1 FROM "Webattelier - lines" WHERE "orderId" = v_order_id ORDER BY id FOR UPDATE;
+
+  SELECT * INTO v_line FROM "Webattelier - lines" WHERE id = p_line_id;
+  IF v_line.version <> p_expected_version THEN
+    RETURN jsonb_build_object('status', 'conflict', 'line', to_jsonb(v_line));
+  END IF;
+
+  SELECT coalesce(jsonb_object_agg(key, value), '{}'::jsonb) INTO v_patch
+  FROM jsonb_each(p_fields)
+  WHERE key IN ('panelsLeft', 'panelsRight', 'finishedWidthLeftInMm', 'finishedWidthRightInMm', 'cutSizeLeftInMm', 'cutSizeRightInMm');
+
+  UPDATE "Webattelier - lines" SET
+    "panelsLeft" = CASE WHEN v_patch ? 'panelsLeft' THEN (v_patch->>'panelsLeft')::numeric ELSE "panelsLeft" END,
+    "panelsRight" = CASE WHEN v_patch ? 'panelsRight' THEN (v_patch->>'panelsRight')::numeric ELSE "panelsRight" END,
+    "finishedWidthLeftInMm" = CASE WHEN v_patch ? 'finishedWidthLeftInMm' THEN (v_patch->>'finishedWidthLeftInMm')::numeric ELSE "finishedWidthLeftInMm" END,
+    "finishedWidthRightInMm" = CASE WHEN v_patch ? 'finishedWidthRightInMm' THEN (v_patch->>'finishedWidthRightInMm')::numeric ELSE "finishedWidthRightInMm" END,
+    "cutSizeLeftInMm" = CASE WHEN v_patch ? 'cutSizeLeftInMm' THEN (v_patch->>'cutSizeLeftInMm')::numeric ELSE "cutSizeLeftInMm" END,
+    "cutSizeRightInMm" = CASE WHEN v_patch ? 'cutSizeRightInMm' THEN (v_patch->>'cutSizeRightInMm')::numeric ELSE "cutSizeRightInMm" END,
+    "orderJson" = (webattelier_try_jsonb("orderJson") || v_patch)::text,
+    version = version + 1,
+    updated_at = now(),
+    updated_by = p_updated_by
+  WHERE id = p_line_id
+  RETURNING * INTO v_line;
+
+  -- customerJson of the first line is the template; orderLines is rebuilt from every line
+  SELECT webattelier_try_jsonb("customerJson") INTO v_customer
+  FROM "Webattelier - lines" WHERE "orderId" = v_order_id
+  ORDER BY customer_reference ASC LIMIT 1;
+
+  v_customer := jsonb_set(v_customer, '{orderLines}', (
+    SELECT coalesce(jsonb_agg(webattelier_try_jsonb("orderJson") ORDER BY customer_reference ASC), '[]'::jsonb)
+    FROM "Webattelier - lines" WHERE "orderId" = v_order_id
+  ));
+
+  UPDATE "Webattelier - lines" SET "customerJson" = v_customer::text WHERE "orderId" = v_order_id;
+
+  SELECT * INTO v_line FROM "Webattelier - lines" WHERE id = p_line_id;
+  RETURN jsonb_build_object('status', 'ok', 'line', to_jsonb(v_line));
+END;
+$$;
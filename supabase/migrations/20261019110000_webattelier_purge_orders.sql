@@ -0,0 +1,26 @@
+-- Permanent deletion of trashed orders, called by purgeDeletedOrders() in app/order-trash.server.js.
+-- Orders and their lines go in one transaction, so a failed run never leaves orphaned lines.
+--
+-- Only orders that are still Deleted are removed (one restored meanwhile keeps its lines).
+-- Returns { orderIds, lineCount }.
+CREATE OR REPLACE FUNCTION webattelier_purge_orders(p_order_ids text[])
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_order_ids text[];
+  v_line_count integer;
+BEGIN
+  WITH purged AS (
+    DELETE FROM "Webattelier - orders"
+    WHERE id::text = ANY(p_order_ids) AND status ILIKE 'Deleted'
+    RETURNING id::text AS id
+  )
+  SELECT coalesce(array_agg(id ORDER BY id), '{}') INTO v_order_ids FROM purged;
+
+  DELETE FROM "Webattelier - lines" WHERE "orderId"::text = ANY(v_order_ids);
+  GET DIAGNOSTICS v_line_count = ROW_COUNT;
+
+  RETURN jsonb_build_object('orderIds', to_jsonb(v_order_ids), 'lineCount', v_line_count);
+END;
+$$;